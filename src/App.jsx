@@ -1,6 +1,9 @@
 import { BrowserRouter as Router, Routes, Route, Link, useNavigate } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { AQIStandardProvider } from './contexts/AQIStandardContext';
 import AQIDashboard from './pages/AQIDashboard';
+import History from './pages/History';
+import StationDetail from './pages/StationDetail';
 import Login from './pages/Login';
 import SignUp from './pages/SignUp';
 import ProtectedRoute from './components/ProtectedRoute';
@@ -36,6 +39,12 @@ function Navigation() {
                 >
                   Dashboard
                 </Link>
+                <Link
+                  to="/history"
+                  className="text-blue-400 hover:text-blue-300 font-medium transition-colors"
+                >
+                  History
+                </Link>
                 <span className="text-gray-300">
                   {user.email}
                 </span>
@@ -107,6 +116,22 @@ function AppContent() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/history"
+          element={
+            <ProtectedRoute>
+              <History />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/station/:uid"
+          element={
+            <ProtectedRoute>
+              <StationDetail />
+            </ProtectedRoute>
+          }
+        />
       </Routes>
     </div>
   );
@@ -116,7 +141,9 @@ function App() {
   return (
     <Router>
       <AuthProvider>
-        <AppContent />
+        <AQIStandardProvider>
+          <AppContent />
+        </AQIStandardProvider>
       </AuthProvider>
     </Router>
   );
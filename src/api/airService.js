@@ -1,201 +1,441 @@
 /**
  * Air Quality Service
- * Fetches data from AQICN and OpenWeather APIs and merges them
+ * Fetches readings from the configured air quality provider and merges in weather and forecast data.
+ * Every provider call goes through the request cache (see ./cache.js).
  */
 
-const AQICN_BASE = 'https://api.waqi.info';
-const AQICN_FEED = 'https://api.waqi.info/feed';
-const OWM_BASE = 'https://api.openweathermap.org/data/2.5';
+import { getProvider, getWeatherProvider } from './providers';
+import { cachedRequest, findCachedKey } from './cache';
+import { isAbortError } from './http';
+import { parseGeoQuery } from './providers/geoQuery';
+import { numberOrNull, validateReading, validateWeather } from './readingSchema';
+import { computeAQIFromComponents } from '../utils/aqiCalculator';
+import { aggregateStationReadings } from '../utils/aggregate';
+import { assessStations, withoutFlagged } from '../utils/dataQuality';
+
+export { toGeoQuery } from './providers/geoQuery';
+
+const MINUTE = 60 * 1000;
+
+// How long each endpoint's data is considered fresh
+export const CACHE_TTLS = {
+  reading: 10 * MINUTE,
+  weather: 10 * MINUTE,
+  forecast: 30 * MINUTE,
+  stations: 5 * MINUTE,
+  search: 60 * MINUTE,
+};
+
+// Bumped when the normalised reading shape changes, so persisted entries in the old shape are ignored
+const READING_CACHE_VERSION = 4;
+
+// Station requests are padded and snapped to this grid (degrees) so nearby viewports share a cache entry
+const BOUNDS_GRID = 0.05;
+const BOUNDS_PADDING = 0.25;
+
+// City aggregates cover stations within this many degrees of the city centre
+const CITY_RADIUS_DEG = 0.3;
+// Upper bound on station feeds fetched for one aggregate, and how many feeds load at once
+const AGGREGATE_MAX_STATIONS = 30;
+const FEED_CONCURRENCY = 4;
+// Stations around the main one used for source attribution
+const NEIGHBOUR_STATIONS = 6;
+
+// Map overlay layers, in the order the layer control lists them
+const POLLUTION_LAYERS = ['aqi', 'pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+const WEATHER_LAYERS = ['wind', 'precipitation'];
+
+function coordinateKey({ lat, lon }) {
+  return `${lat.toFixed(3)},${lon.toFixed(3)}`;
+}
 
 /**
- * Get AQI data for a city by merging AQICN and OpenWeather APIs
- * @param {string} city - City name (e.g., "beijing", "london")
- * @returns {Promise<Object>} Merged AQI and weather data
+ * Pad a bounding box by a fraction of its size and snap it outward to the grid
  */
-export async function getAQIData(city) {
-  const aqicnKey = import.meta.env.VITE_AQICN_KEY;
-  const owmKey = import.meta.env.VITE_OWM_KEY;
+function snapBounds(lat1, lng1, lat2, lng2) {
+  const south = Math.min(lat1, lat2);
+  const north = Math.max(lat1, lat2);
+  const west = Math.min(lng1, lng2);
+  const east = Math.max(lng1, lng2);
+  const padLat = (north - south) * BOUNDS_PADDING;
+  const padLng = (east - west) * BOUNDS_PADDING;
+  const snap = (value, round) => Number((round(value / BOUNDS_GRID) * BOUNDS_GRID).toFixed(2));
 
-  if (!aqicnKey || !owmKey) {
-    throw new Error('API keys are missing. Please check your .env file.');
-  }
+  return {
+    south: snap(Math.max(-90, south - padLat), Math.floor),
+    west: snap(Math.max(-180, west - padLng), Math.floor),
+    north: snap(Math.min(90, north + padLat), Math.ceil),
+    east: snap(Math.min(180, east + padLng), Math.ceil),
+  };
+}
 
-  let aqicnData = null;
-  let owmWeatherData = null;
-  let owmPollutionData = null;
-  let coordinates = null;
+function boundsKey({ south, west, north, east }) {
+  return `${south},${west},${north},${east}`;
+}
 
-  // Fetch AQICN data
-  try {
-    const aqicnUrl = `${AQICN_FEED}/${city}/?token=${aqicnKey}`;
-    const aqicnResponse = await fetch(aqicnUrl);
-    const aqicnJson = await aqicnResponse.json();
-    console.log("aqicnJson", aqicnJson);
-    if (aqicnJson.status === 'ok' && aqicnJson.data) {
-      aqicnData = aqicnJson.data;
-      // Extract coordinates from AQICN data
-      if (aqicnData.city?.geo) {
-        coordinates = {
-          lat: aqicnData.city.geo[0],
-          lon: aqicnData.city.geo[1],
-        };
-      }
-    } else if (aqicnJson.status === 'error') {
-      throw new Error(aqicnJson.data || 'Failed to fetch AQI data for this city');
-    }
-  } catch (error) {
-    console.error('AQICN API error:', error);
-    if (error.message) {
-      throw error;
+function parseBoundsKey(key) {
+  const [south, west, north, east] = key.split(',').map(Number);
+  return { south, west, north, east };
+}
+
+function containsBounds(outer, inner) {
+  return outer.south <= inner.south && outer.west <= inner.west &&
+    outer.north >= inner.north && outer.east >= inner.east;
+}
+
+/**
+ * Put every hourly forecast entry on the US EPA scale, whatever index the source uses
+ */
+function withEPAIndex(forecast) {
+  if (!forecast) return null;
+
+  return {
+    ...forecast,
+    hourly: (forecast.hourly || []).map((entry) => ({
+      ...entry,
+      ...computeAQIFromComponents(entry.components),
+    })),
+  };
+}
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
     }
-    throw new Error('Failed to fetch AQI data. Please check the city name and try again.');
-  }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function getReading(provider, query, { onRevalidate, signal } = {}) {
+  return cachedRequest(
+    `reading:v${READING_CACHE_VERSION}:${provider.id}:${query.toLowerCase()}`,
+    // Validated before caching, so a malformed response is neither cached nor shown
+    async (request) => validateReading(await provider.getCurrentReading(query, request), { source: provider.name }),
+    { ttl: CACHE_TTLS.reading, onRevalidate, signal }
+  );
+}
+
+/**
+ * Call onUpdate with a freshly merged result once every background revalidation has settled
+ */
+function notifyWhenRevalidated(revalidations, recompute, onUpdate) {
+  if (!onUpdate || revalidations.length === 0) return;
+
+  Promise.allSettled(revalidations)
+    .then(recompute)
+    .then(onUpdate)
+    .catch((error) => console.warn('Failed to refresh stale data:', error));
+}
+
+/**
+ * Get AQI data for a city by merging the air quality and weather providers
+ *
+ * The result extends the validated provider reading (see ./readingSchema.js) with the weather and
+ * forecast: `temp`, `humidity`, `wind` and `windDeg` are null when missing and keep measured zeros,
+ * `observedAt` / `weatherObservedAt` are measurement times (null when unknown), `fetchedAt` is when
+ * the data was assembled, and `issues` lists values validation dropped or estimated ({ kind, message }).
+ *
+ * @param {string} city - City name (e.g., "beijing", "london"), "@uid" station or "geo:lat;lon" point
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with refreshed data when a stale cached result was served
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Merged AQI and weather data
+ * @throws {ReadingValidationError} When the provider's reading is unusable
+ */
+export async function getAQIData(city, { onUpdate, signal } = {}) {
+  const provider = getProvider();
+  const weatherProvider = getWeatherProvider();
+  const revalidations = [];
+  const onRevalidate = (promise) => revalidations.push(promise);
+
+  const reading = await getReading(provider, city, { onRevalidate, signal });
+  const coordinates = reading.coordinates;
+
+  let weather = null;
+  let forecast = null;
 
-  // If we have coordinates, fetch OpenWeather data
+  // If we have coordinates, fetch weather and the pollution forecast
   if (coordinates) {
-    console.log("coordinates", coordinates);
-    try {
-      // Fetch current weather
-      const weatherUrl = `${OWM_BASE}/weather?lat=${coordinates.lat}&lon=${coordinates.lon}&appid=${owmKey}&units=metric`;
-      const weatherResponse = await fetch(weatherUrl);
-      owmWeatherData = await weatherResponse.json();
-      console.log("owmWeatherData", owmWeatherData);
-    } catch (error) {
-      console.error('OpenWeather API error:', error);
+    const [weatherResult, forecastResult] = await Promise.allSettled([
+      weatherProvider.getWeather
+        ? cachedRequest(
+          `weather:${weatherProvider.id}:${coordinateKey(coordinates)}`,
+          async (request) => validateWeather(await weatherProvider.getWeather(coordinates, request)),
+          { ttl: CACHE_TTLS.weather, onRevalidate, signal }
+        )
+        : null,
+      cachedRequest(
+        `forecast:${weatherProvider.id}:${coordinateKey(coordinates)}`,
+        (request) => weatherProvider.getForecast(coordinates, request),
+        { ttl: CACHE_TTLS.forecast, onRevalidate, signal }
+      ),
+    ]);
+    signal?.throwIfAborted();
+
+    if (weatherResult.status === 'fulfilled') {
+      weather = weatherResult.value;
+    } else {
+      console.error(`${weatherProvider.name} weather error:`, weatherResult.reason);
     }
 
-    try {
-      // Fetch air pollution forecast
-      const pollutionUrl = `${OWM_BASE}/air_pollution/forecast?lat=${coordinates.lat}&lon=${coordinates.lon}&appid=${owmKey}`;
-      const pollutionResponse = await fetch(pollutionUrl);
-      owmPollutionData = await pollutionResponse.json();
-      console.log("ownm" ,owmPollutionData);
-    } catch (error) {
-      console.error('OpenWeather Pollution API error:', error);
+    if (forecastResult.status === 'fulfilled') {
+      forecast = withEPAIndex(forecastResult.value);
+    } else {
+      console.error(`${weatherProvider.name} forecast error:`, forecastResult.reason);
     }
   }
 
-  // Extract AQI data from AQICN
-  const aqi = aqicnData?.aqi || null;
-  const iaqi = aqicnData?.iaqi || {};
-  const pm25 = iaqi?.pm25?.v || null;
-  const pm10 = iaqi?.pm10?.v || null;
-  const co = iaqi?.co?.v || null;
-  const no2 = iaqi?.no2?.v || null;
-  const so2 = iaqi?.so2?.v || null;
-  const o3 = iaqi?.o3?.v || null;
-
-  // Extract weather data from OpenWeather
-  const temp = owmWeatherData?.main?.temp || null;
-  const humidity = owmWeatherData?.main?.humidity || null;
-  const wind = owmWeatherData?.wind?.speed || null;
-
-  // Extract forecast for next hour
-  let forecast_next_hour = null;
-  if (owmPollutionData?.list && owmPollutionData.list.length > 0) {
-    // Get the first forecast entry (closest to current time)
-    const firstForecast = owmPollutionData.list[0];
-    forecast_next_hour = firstForecast.main?.aqi || null;
+  notifyWhenRevalidated(revalidations, () => getAQIData(city), onUpdate);
+
+  // A daily forecast published with the reading (AQICN) complements the hourly one
+  if (reading.forecastDaily) {
+    forecast = { hourly: [], ...forecast, daily: reading.forecastDaily };
   }
 
-  // Build heatmap tile URL
-  const heatmap_tile = `https://tiles.aqicn.org/tiles/{z}/{x}/{y}.png?token=${aqicnKey}`;
+  // Get the first forecast entry after the current time
+  const now = Date.now();
+  const nextHour = forecast?.hourly?.find((entry) => entry.time > now) || forecast?.hourly?.[0];
 
   return {
-    city: aqicnData?.city?.name || city,
-    aqi,
-    pm25,
-    pm10,
-    co,
-    no2,
-    so2,
-    o3,
-    temp,
-    humidity,
-    wind,
-    forecast_next_hour,
-    heatmap_tile,
+    city: reading.city,
+    aqi: reading.aqi,
+    subIndices: reading.subIndices,
+    dominantPollutant: reading.dominantPollutant,
+    pollutants: reading.pollutants,
+    temp: weather?.temp ?? null,
+    humidity: weather?.humidity ?? null,
+    wind: weather?.wind ?? null,
+    windDeg: weather?.windDeg ?? null,
+    forecast_next_hour: nextHour?.aqi ?? null,
+    forecast_next_hour_dominant: nextHour?.dominantPollutant ?? null,
+    forecast_next_hour_subindices: nextHour?.subIndices ?? {},
+    forecast,
+    timezoneOffset: reading.timezoneOffset ?? weather?.timezoneOffset ?? 0,
     coordinates,
+    station: reading.station,
+    stationUid: reading.stationUid,
+    observedAt: reading.observedAt,
+    weatherObservedAt: weather?.observedAt ?? null,
+    fetchedAt: now,
+    attributions: reading.attributions,
+    issues: [...reading.issues, ...(weather?.issues || [])],
+    source: provider.name,
   };
 }
 
 /**
  * Get nearby AQI stations within map bounds
+ *
+ * Requests are padded and snapped to a grid, and a cached area that already contains the
+ * viewport is reused, so small pans and zooms don't hit the network again.
+ *
  * @param {number} lat1 - Southwest latitude
  * @param {number} lng1 - Southwest longitude
  * @param {number} lat2 - Northeast latitude
  * @param {number} lng2 - Northeast longitude
+ * @param {Object} [options]
+ * @param {Function} [options.onUpdate] - Called with refreshed stations when stale ones were served
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Array>} Array of station data
  */
-export async function getMapStations(lat1, lng1, lat2, lng2) {
-  const aqicnKey = import.meta.env.VITE_AQICN_KEY;
+export async function getMapStations(lat1, lng1, lat2, lng2, { onUpdate, signal } = {}) {
+  const provider = getProvider();
+  const prefix = `stations:${provider.id}:`;
+  const viewport = {
+    south: Math.min(lat1, lat2),
+    west: Math.min(lng1, lng2),
+    north: Math.max(lat1, lat2),
+    east: Math.max(lng1, lng2),
+  };
+  const inViewport = (station) =>
+    station.lat >= viewport.south && station.lat <= viewport.north &&
+    station.lon >= viewport.west && station.lon <= viewport.east;
 
-  if (!aqicnKey) {
-    throw new Error('AQICN API key is missing. Please check your .env file.');
-  }
+  const area = parseBoundsKey(
+    findCachedKey(prefix, (key) => containsBounds(parseBoundsKey(key), viewport), CACHE_TTLS.stations)
+      ?.slice(prefix.length) ?? boundsKey(snapBounds(lat1, lng1, lat2, lng2))
+  );
 
   try {
-    // AQICN map bounds API
-    const boundsUrl = `${AQICN_BASE}/map/bounds/?token=${aqicnKey}&latlng=${lat1},${lng1},${lat2},${lng2}`;
-    const response = await fetch(boundsUrl);
-    const data = await response.json();
-
-    if (data.status === 'ok' && data.data) {
-      // Transform the data to a more usable format
-      const stations = data.data.map((station) => ({
-        uid: station.uid,
-        aqi: station.aqi,
-        lat: station.lat,
-        lon: station.lon,
-        station: {
-          name: station.station?.name || 'Unknown Station',
-          time: station.station?.time,
-        },
-        iaqi: station.iaqi || {},
-      }));
-
-      return stations;
-    }
+    const revalidations = [];
+    const stations = await cachedRequest(
+      prefix + boundsKey(area),
+      (request) => provider.getStationsInBounds(area.south, area.west, area.north, area.east, request),
+      { ttl: CACHE_TTLS.stations, onRevalidate: (promise) => revalidations.push(promise), signal }
+    );
 
-    return [];
+    notifyWhenRevalidated(
+      revalidations,
+      async () => (await Promise.all(revalidations))[0].filter(inViewport),
+      onUpdate
+    );
+
+    return stations.filter(inViewport);
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error fetching map stations:', error);
     return [];
   }
 }
 
+/**
+ * Full readings for map stations, whose listing carries only the overall AQI
+ * Feeds are cached and fetched a few at a time; stations whose feed fails are left out.
+ * @param {Array} stations - getMapStations results
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the requests
+ * @returns {Promise<Map>} uid -> normalised reading
+ */
+export async function getStationReadings(stations, { signal } = {}) {
+  const provider = getProvider();
+  const readings = new Map();
+
+  await mapWithConcurrency(stations, FEED_CONCURRENCY, async (station) => {
+    try {
+      readings.set(station.uid, await getReading(provider, `@${station.uid}`, { signal }));
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.warn(`Station ${station.uid} feed unavailable:`, error);
+    }
+  });
+
+  return readings;
+}
+
+// Readings of the stations nearest a point, as [{ uid, name, aqi, subIndices }], and how many
+// stations failing a data-quality check (see utils/dataQuality.js) were skipped for them
+async function getNearestStationReadings(coordinates, limit, { includeFlagged = false, signal } = {}) {
+  const { lat, lon } = coordinates;
+
+  const stations = await getMapStations(
+    lat - CITY_RADIUS_DEG,
+    lon - CITY_RADIUS_DEG,
+    lat + CITY_RADIUS_DEG,
+    lon + CITY_RADIUS_DEG,
+    { signal }
+  );
+
+  const candidates = includeFlagged ? stations : withoutFlagged(stations, assessStations(stations));
+  const byDistance = (a, b) => Math.hypot(a.lat - lat, a.lon - lon) - Math.hypot(b.lat - lat, b.lon - lon);
+  const nearest = [...candidates].sort(byDistance).slice(0, limit);
+  // Flagged stations that would otherwise have been among the nearest
+  const excluded = [...stations].sort(byDistance).slice(0, limit)
+    .filter((station) => !candidates.includes(station)).length;
+
+  const feeds = await getStationReadings(nearest, { signal });
+
+  // Stations whose feed failed fall back to the AQI from the map listing
+  const readings = nearest.map((station) => {
+    const feed = feeds.get(station.uid);
+    return {
+      uid: station.uid,
+      name: station.station?.name || `Station ${station.uid}`,
+      aqi: feed ? feed.aqi : numberOrNull(station.aqi),
+      subIndices: feed?.subIndices || {},
+    };
+  });
+  return { readings, excluded };
+}
+
+/**
+ * City-level statistics across every station around a city's centre
+ *
+ * Each station's own feed is fetched for its sub-indices (see getStationReadings). Stale, invalid
+ * and outlier stations are left out by default.
+ *
+ * @param {{lat: number, lon: number}} coordinates - City centre
+ * @param {Object} [options]
+ * @param {boolean} [options.includeFlagged=false] - Keep stations failing a data-quality check
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} aggregateStationReadings result plus the per-station `readings` and
+ *   `excludedCount`, the flagged stations left out
+ */
+export async function getCityAggregate(coordinates, { includeFlagged = false, signal } = {}) {
+  const { readings, excluded } = await getNearestStationReadings(coordinates, AGGREGATE_MAX_STATIONS, { includeFlagged, signal });
+  return { ...aggregateStationReadings(readings), readings, excludedCount: excluded };
+}
+
+/**
+ * Readings of the stations nearest a reading's location, for comparing it with its neighbours
+ * @param {{lat: number, lon: number}} coordinates - Location of the reading
+ * @param {Object} [options]
+ * @param {*} [options.exclude] - Station uid of the reading itself
+ * @param {number} [options.limit] - Number of neighbours
+ * @param {boolean} [options.includeFlagged=false] - Keep stations failing a data-quality check
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Array<{uid: *, name: string, aqi: number|null, subIndices: Object}>>} Nearest first
+ */
+export async function getNeighbourReadings(coordinates, { exclude = null, limit = NEIGHBOUR_STATIONS, includeFlagged = false, signal } = {}) {
+  const { readings } = await getNearestStationReadings(coordinates, limit + 1, { includeFlagged, signal });
+  return readings.filter((reading) => String(reading.uid) !== String(exclude)).slice(0, limit);
+}
+
 /**
  * Search for AQI stations by keyword
  * @param {string} keyword - Search keyword (city name, etc.)
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
  * @returns {Promise<Array>} Array of station search results
  */
-export async function searchStations(keyword) {
-  const aqicnKey = import.meta.env.VITE_AQICN_KEY;
-
-  if (!aqicnKey) {
-    throw new Error('AQICN API key is missing. Please check your .env file.');
-  }
+export async function searchStations(keyword, { signal } = {}) {
+  const provider = getProvider();
 
   try {
-    const searchUrl = `${AQICN_BASE}/search/?token=${aqicnKey}&keyword=${encodeURIComponent(keyword)}`;
-    const response = await fetch(searchUrl);
-    const data = await response.json();
-
-    if (data.status === 'ok' && data.data) {
-      return data.data.map((result) => ({
-        uid: result.uid,
-        name: result.station?.name || result.name || 'Unknown',
-        aqi: result.aqi,
-        lat: result.lat,
-        lon: result.lon,
-        time: result.time,
-      }));
-    }
-
-    return [];
+    return await cachedRequest(
+      `search:${provider.id}:${keyword.trim().toLowerCase()}`,
+      (request) => provider.searchStations(keyword, request),
+      { ttl: CACHE_TTLS.search, signal }
+    );
   } catch (error) {
+    if (isAbortError(error)) throw error;
     console.error('Error searching stations:', error);
     return [];
   }
 }
 
+/**
+ * The query getAQIData needs to load a search result: stations load their own feed ("@uid"),
+ * geocoded places (OpenWeather) load their "geo:lat;lon" point
+ * @param {Object} station - searchStations result
+ * @returns {string}
+ */
+export function stationQuery(station) {
+  if (typeof station.uid === 'number') return `@${station.uid}`;
+  return parseGeoQuery(String(station.uid)) ? station.uid : station.name;
+}
+
+/**
+ * Tile overlays the current providers publish for the map
+ * Pollution tiles come from the air quality provider, weather tiles from the weather provider;
+ * layers a provider doesn't publish are left out.
+ * @returns {{pollution: Array<{id: string, url: string}>, weather: Array<{id: string, url: string}>,
+ *   attribution: {pollution: string, weather: string}}}
+ */
+export function getMapLayers() {
+  const provider = getProvider();
+  const weatherProvider = getWeatherProvider();
+
+  return {
+    pollution: POLLUTION_LAYERS
+      .map((id) => ({ id, url: provider.getHeatmapTileUrl(id) }))
+      .filter((layer) => layer.url),
+    weather: WEATHER_LAYERS
+      .map((id) => ({ id, url: weatherProvider.getWeatherTileUrl?.(id) ?? null }))
+      .filter((layer) => layer.url),
+    attribution: {
+      pollution: provider.attribution,
+      weather: weatherProvider.attribution,
+    },
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Request Cache
+ * In-memory + localStorage cache with TTLs, in-flight de-duplication and stale-while-revalidate
+ */
+
+import { createAbortError } from './http';
+
+const STORAGE_PREFIX = 'aqi-cache:';
+const DEFAULT_MAX_STALE = 24 * 60 * 60 * 1000; // serve stale data for up to a day while revalidating
+
+const memory = new Map(); // key -> { value, storedAt }
+const inFlight = new Map(); // key -> { promise, controller, waiters }
+
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Access to localStorage can throw (e.g., disabled cookies, sandboxed iframes)
+    return null;
+  }
+}
+
+function readEntry(key) {
+  if (memory.has(key)) {
+    return memory.get(key);
+  }
+
+  const storage = getStorage();
+  if (!storage) return null;
+
+  try {
+    const raw = storage.getItem(STORAGE_PREFIX + key);
+    if (!raw) return null;
+    const entry = JSON.parse(raw);
+    memory.set(key, entry);
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+function storageKeys(storage) {
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key?.startsWith(STORAGE_PREFIX)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Drop the oldest half of persisted entries to make room when storage is full
+ */
+function pruneStorage(storage) {
+  const entries = storageKeys(storage).map((key) => {
+    try {
+      return { key, storedAt: JSON.parse(storage.getItem(key)).storedAt || 0 };
+    } catch {
+      return { key, storedAt: 0 };
+    }
+  });
+  entries.sort((a, b) => a.storedAt - b.storedAt);
+  entries.slice(0, Math.ceil(entries.length / 2)).forEach(({ key }) => storage.removeItem(key));
+}
+
+function writeEntry(key, value, persist) {
+  const entry = { value, storedAt: Date.now() };
+  memory.set(key, entry);
+
+  const storage = persist ? getStorage() : null;
+  if (!storage) return;
+
+  const raw = JSON.stringify(entry);
+  try {
+    storage.setItem(STORAGE_PREFIX + key, raw);
+  } catch {
+    try {
+      pruneStorage(storage);
+      storage.setItem(STORAGE_PREFIX + key, raw);
+    } catch (error) {
+      console.warn('Cache persistence failed:', error);
+    }
+  }
+}
+
+/**
+ * Run the fetcher once per key at a time; concurrent callers share the same request.
+ * The shared request gets its own AbortSignal and is only cancelled once every caller waiting
+ * on it has cancelled.
+ */
+function fetchAndStore(key, fetcher, persist) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const controller = new AbortController();
+  const request = {
+    key,
+    controller,
+    waiters: 0,
+    promise: Promise.resolve()
+      .then(() => fetcher({ signal: controller.signal }))
+      .then((value) => {
+        writeEntry(key, value, persist);
+        return value;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === request) inFlight.delete(key);
+      }),
+  };
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Wait for a shared request on behalf of one caller; without a signal the caller never leaves
+ */
+function waitFor(request, signal) {
+  request.waiters += 1;
+  if (!signal) return request.promise;
+
+  if (signal.aborted) {
+    leave(request);
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      leave(request);
+      reject(createAbortError(signal));
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    request.promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+function leave(request) {
+  request.waiters -= 1;
+  if (request.waiters <= 0) {
+    // Forget the cancelled request so later callers start a new one
+    if (inFlight.get(request.key) === request) inFlight.delete(request.key);
+    request.controller.abort();
+  }
+}
+
+/**
+ * Get a value from the cache, fetching it when missing or expired
+ *
+ * - Fresh entries (younger than `ttl`) are returned directly.
+ * - Stale entries (up to `ttl + maxStale`) are returned immediately and revalidated in the
+ *   background; `onRevalidate` receives the revalidation promise.
+ * - Otherwise the fetcher runs, and identical in-flight requests share one call.
+ *
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function producing the value; receives `{ signal }`
+ * @param {Object} options
+ * @param {number} options.ttl - Time in ms an entry is considered fresh
+ * @param {number} [options.maxStale] - Extra time in ms a stale entry may still be served
+ * @param {boolean} [options.persist=true] - Persist the entry to localStorage
+ * @param {Function} [options.onRevalidate] - Called with the background revalidation promise
+ * @param {AbortSignal} [options.signal] - Stops waiting; the request is cancelled once no caller needs it
+ * @returns {Promise<*>} Cached or fetched value
+ */
+export async function cachedRequest(key, fetcher, {
+  ttl,
+  maxStale = DEFAULT_MAX_STALE,
+  persist = true,
+  onRevalidate,
+  signal,
+} = {}) {
+  if (signal?.aborted) throw createAbortError(signal);
+
+  const entry = readEntry(key);
+  const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+  if (age < ttl) {
+    return entry.value;
+  }
+
+  if (age < ttl + maxStale) {
+    // Background revalidations outlive the caller, so they wait without a signal
+    const revalidation = waitFor(fetchAndStore(key, fetcher, persist));
+    // Background failures keep the stale value; they are only reported
+    revalidation.catch((error) => console.warn(`Revalidation failed for ${key}:`, error));
+    onRevalidate?.(revalidation);
+    return entry.value;
+  }
+
+  return waitFor(fetchAndStore(key, fetcher, persist), signal);
+}
+
+/**
+ * Find a usable cached key under a prefix, e.g. a cached bounding box that contains a new one
+ * @param {string} prefix - Key prefix to search
+ * @param {Function} predicate - Called with each key (minus the prefix); return true to select it
+ * @param {number} maxAge - Maximum entry age in ms
+ * @returns {string|null} Matching key, or null
+ */
+export function findCachedKey(prefix, predicate, maxAge) {
+  const candidates = new Set([...memory.keys(), ...inFlight.keys()]);
+  const storage = getStorage();
+  if (storage) {
+    storageKeys(storage).forEach((key) => candidates.add(key.slice(STORAGE_PREFIX.length)));
+  }
+
+  for (const key of candidates) {
+    if (!key.startsWith(prefix) || !predicate(key.slice(prefix.length))) continue;
+    if (inFlight.has(key)) return key;
+    const entry = readEntry(key);
+    if (entry && Date.now() - entry.storedAt < maxAge) return key;
+  }
+
+  return null;
+}
+
+/**
+ * Clear every cached entry, in memory and persisted
+ */
+export function clearCache() {
+  memory.clear();
+  const storage = getStorage();
+  if (storage) {
+    storageKeys(storage).forEach((key) => storage.removeItem(key));
+  }
+}
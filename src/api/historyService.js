@@ -0,0 +1,146 @@
+/**
+ * History Service
+ * Persists fetched readings to Supabase and loads them back for trend charts and the forecaster
+ */
+
+import { supabase } from '../lib/supabase';
+
+const TABLE = 'aqi_readings';
+const POLLUTANTS = ['pm25', 'pm10', 'co', 'no2', 'so2', 'o3'];
+
+function toRow(data) {
+  const row = {
+    city: data.city,
+    station_uid: data.stationUid !== null && data.stationUid !== undefined ? String(data.stationUid) : '',
+    aqi: Number.isFinite(data.aqi) ? Math.round(data.aqi) : null,
+    dominant_pollutant: data.dominantPollutant || null,
+    sub_indices: data.subIndices || {},
+    temp: data.temp ?? null,
+    humidity: data.humidity ?? null,
+    wind: data.wind ?? null,
+    timezone_offset: data.timezoneOffset || 0,
+    source: data.source || null,
+    observed_at: new Date(data.observedAt ?? data.fetchedAt ?? Date.now()).toISOString(),
+  };
+  // Values go in the numeric columns, what they are (unit, index or concentration) alongside
+  row.pollutant_units = {};
+  POLLUTANTS.forEach((pollutant) => {
+    const value = data.pollutants?.[pollutant] || null;
+    row[pollutant] = value?.value ?? null;
+    if (value) row.pollutant_units[pollutant] = { unit: value.unit, kind: value.kind };
+  });
+  return row;
+}
+
+function fromRow(row) {
+  const reading = {
+    id: row.id,
+    city: row.city,
+    stationUid: row.station_uid || null,
+    aqi: row.aqi,
+    dominantPollutant: row.dominant_pollutant,
+    subIndices: row.sub_indices || {},
+    temp: row.temp,
+    humidity: row.humidity,
+    wind: row.wind,
+    timezoneOffset: row.timezone_offset || 0,
+    source: row.source,
+    time: Date.parse(row.observed_at),
+    pollutants: {},
+  };
+  // Values stored without a unit can't be interpreted and are left out
+  POLLUTANTS.forEach((pollutant) => {
+    const unit = row.pollutant_units?.[pollutant];
+    reading.pollutants[pollutant] = row[pollutant] !== null && unit ? { value: Number(row[pollutant]), ...unit } : null;
+  });
+  return reading;
+}
+
+/**
+ * Store a reading returned by getAQIData
+ * Repeated fetches of the same observation are ignored.
+ * @param {Object} data - getAQIData result
+ * @returns {Promise<void>}
+ */
+export async function saveReading(data) {
+  if (!data?.city || data.aqi === null || data.aqi === undefined) return;
+
+  const { error } = await supabase
+    .from(TABLE)
+    .upsert(toRow(data), { onConflict: 'city,station_uid,observed_at', ignoreDuplicates: true });
+
+  if (error) {
+    throw new Error(error.message || 'Failed to save reading');
+  }
+}
+
+/**
+ * Load stored readings for a city, oldest first
+ * @param {string} city - City name as returned by getAQIData
+ * @param {Object} [options]
+ * @param {number} [options.since] - Earliest observation time in ms
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} Readings with `time` in ms
+ */
+export async function getReadingHistory(city, { since, signal } = {}) {
+  let query = supabase
+    .from(TABLE)
+    .select('*')
+    .eq('city', city)
+    .order('observed_at', { ascending: true });
+
+  if (since) {
+    query = query.gte('observed_at', new Date(since).toISOString());
+  }
+  if (signal) {
+    query = query.abortSignal(signal);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Failed to load reading history');
+  }
+  return (data || []).map(fromRow);
+}
+
+/**
+ * Cities that have stored readings, most recently observed first
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<string[]>}
+ */
+export async function getHistoryCities({ signal } = {}) {
+  let query = supabase
+    .from(TABLE)
+    .select('city, observed_at')
+    .order('observed_at', { ascending: false })
+    .limit(1000);
+
+  if (signal) {
+    query = query.abortSignal(signal);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    throw new Error(error.message || 'Failed to load cities');
+  }
+  return [...new Set((data || []).map((row) => row.city))];
+}
+
+/**
+ * Recent AQI readings for the forecaster's trend; history is optional, so failures yield []
+ * @param {string} city - City name as returned by getAQIData
+ * @param {number} [hours=12] - How far back to look
+ * @returns {Promise<Array<{time: number, aqi: number}>>}
+ */
+export async function getRecentReadings(city, hours = 12) {
+  try {
+    const readings = await getReadingHistory(city, { since: Date.now() - hours * 60 * 60 * 1000 });
+    return readings
+      .filter((reading) => reading.aqi !== null)
+      .map((reading) => ({ time: reading.time, aqi: reading.aqi }));
+  } catch (error) {
+    console.error('Reading history unavailable:', error);
+    return [];
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * HTTP helpers
+ * JSON fetching with per-attempt timeouts, exponential backoff retries and AbortSignal support
+ */
+
+export const HTTP_DEFAULTS = {
+  timeout: Number(import.meta.env.VITE_HTTP_TIMEOUT_MS) || 10000, // per attempt, in ms
+  retries: Number(import.meta.env.VITE_HTTP_RETRIES ?? 2), // attempts after the first one
+  backoff: 500, // delay before the first retry, doubled on each further retry
+};
+
+/**
+ * Error for non-2xx HTTP responses
+ */
+export class HttpError extends Error {
+  constructor(status, url) {
+    super(`Request failed with status ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/**
+ * Error raised when an attempt exceeds its timeout
+ */
+export class TimeoutError extends Error {
+  constructor(timeout) {
+    super(`Request timed out after ${timeout / 1000}s`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Create the error used to reject cancelled operations
+ * @param {AbortSignal} [signal]
+ * @returns {Error}
+ */
+export function createAbortError(signal) {
+  if (isAbortError(signal?.reason)) return signal.reason;
+  return new DOMException('The operation was aborted.', 'AbortError');
+}
+
+function isRetryable(error) {
+  if (error instanceof HttpError) {
+    return error.status === 429 || error.status >= 500;
+  }
+  // Timeouts and network failures (fetch rejects with a TypeError)
+  return error instanceof TimeoutError || error instanceof TypeError;
+}
+
+/**
+ * Resolve after `ms`, or reject as soon as the signal aborts
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function attempt(url, { signal, timeout, headers }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers });
+    if (!response.ok) {
+      throw new HttpError(response.status, url);
+    }
+    return await response.json();
+  } catch (error) {
+    if (timedOut) throw new TimeoutError(timeout);
+    if (signal?.aborted) throw createAbortError(signal);
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Fetch a URL and parse the JSON body, retrying transient failures
+ *
+ * Timeouts, network errors, 429 and 5xx responses are retried with exponential backoff;
+ * other HTTP errors and cancellations fail immediately.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (and any pending retry)
+ * @param {number} [options.timeout] - Per-attempt timeout in ms
+ * @param {number} [options.retries] - Number of retries after the first attempt
+ * @param {number} [options.backoff] - Initial retry delay in ms
+ * @param {Object} [options.headers] - Request headers
+ * @returns {Promise<*>} Parsed JSON body
+ */
+export async function fetchJSON(url, {
+  signal,
+  timeout = HTTP_DEFAULTS.timeout,
+  retries = HTTP_DEFAULTS.retries,
+  backoff = HTTP_DEFAULTS.backoff,
+  headers,
+} = {}) {
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    if (signal?.aborted) throw createAbortError(signal);
+
+    try {
+      return await attempt(url, { signal, timeout, headers });
+    } catch (error) {
+      if (isAbortError(error) || attemptNumber >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      await wait(backoff * 2 ** attemptNumber, signal);
+    }
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * AQICN Provider
+ * Current readings, map stations and station search from the World Air Quality Index project
+ */
+
+import { fetchJSON, isAbortError } from '../http';
+import { parseTimezoneOffset } from '../../utils/forecastSeries';
+import { POLLUTANT_KEYS, pollutantIndices } from '../../utils/pollutants';
+import { numberOrNull } from '../readingSchema';
+
+const AQICN_BASE = 'https://api.waqi.info';
+const AQICN_FEED = 'https://api.waqi.info/feed';
+const AQICN_TILES = 'https://tiles.aqicn.org/tiles';
+
+// Tile sets per layer, all coloured on the US EPA scale
+const TILE_LAYERS = {
+  aqi: 'usepa-aqi',
+  pm25: 'usepa-pm25',
+  pm10: 'usepa-pm10',
+  o3: 'usepa-o3',
+  no2: 'usepa-no2',
+  so2: 'usepa-so2',
+  co: 'usepa-co',
+};
+
+function getKey() {
+  const aqicnKey = import.meta.env.VITE_AQICN_KEY;
+
+  if (!aqicnKey) {
+    throw new Error('AQICN API key is missing. Please check your .env file.');
+  }
+
+  return aqicnKey;
+}
+
+/**
+ * Search results give the local station time ("2026-10-19 15:00:00") and its zone ("+05:30")
+ * @returns {number|null} Timestamp in ms
+ */
+function parseStationTime(time) {
+  if (!time?.stime) return null;
+  const parsed = Date.parse(`${time.stime.replace(' ', 'T')}${time.tz || 'Z'}`);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Map a feed response to the provider reading shape (see ../readingSchema.js)
+ * AQICN's iaqi values are US EPA sub-indices, not concentrations.
+ */
+function normalizeFeed(feed, query) {
+  const iaqi = feed?.iaqi || {};
+  const subIndices = Object.fromEntries(
+    POLLUTANT_KEYS.map((pollutant) => [pollutant, numberOrNull(iaqi[pollutant]?.v)])
+  );
+
+  return {
+    city: feed?.city?.name || query,
+    coordinates: feed?.city?.geo
+      ? { lat: numberOrNull(feed.city.geo[0]), lon: numberOrNull(feed.city.geo[1]) }
+      : null,
+    // "-" when the station has no current reading
+    aqi: numberOrNull(feed?.aqi),
+    pollutants: pollutantIndices(subIndices),
+    subIndices: Object.fromEntries(
+      Object.entries(subIndices).filter(([, value]) => value !== null)
+    ),
+    dominantPollutant: feed?.dominentpol || null,
+    // Daily min/avg/max sub-indices per pollutant, published with the feed
+    forecastDaily: feed?.forecast?.daily || null,
+    timezoneOffset: parseTimezoneOffset(feed?.time?.tz),
+    station: Number.isFinite(feed?.idx)
+      ? { uid: feed.idx, name: feed.city?.name || query, url: feed.city?.url || null }
+      : null,
+    observedAt: feed?.time?.iso ? Date.parse(feed.time.iso) : null,
+    attributions: (feed?.attributions || []).map(({ name, url }) => ({ name, url: url || null })),
+  };
+}
+
+export const aqicnProvider = {
+  id: 'aqicn',
+  name: 'AQICN',
+  attribution: '&copy; <a href="https://aqicn.org">AQICN</a>',
+
+  /**
+   * Get the current reading for a city (or an "@uid" station feed)
+   * @param {string} city - City name or AQICN feed keyword ("@uid", "geo:lat;lon" for the nearest station)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} Normalised reading
+   */
+  async getCurrentReading(city, { signal } = {}) {
+    const aqicnKey = getKey();
+
+    let aqicnData = null;
+    try {
+      const aqicnUrl = `${AQICN_FEED}/${city}/?token=${aqicnKey}`;
+      const aqicnJson = await fetchJSON(aqicnUrl, { signal });
+      if (aqicnJson.status === 'ok' && aqicnJson.data) {
+        aqicnData = aqicnJson.data;
+      } else if (aqicnJson.status === 'error') {
+        throw new Error(aqicnJson.data || 'Failed to fetch AQI data for this city');
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error('AQICN API error:', error);
+      if (error.message) {
+        throw error;
+      }
+      throw new Error('Failed to fetch AQI data. Please check the city name and try again.');
+    }
+
+    return normalizeFeed(aqicnData, city);
+  },
+
+  /**
+   * Get AQI stations within map bounds
+   * @returns {Promise<Array>} Array of station data
+   */
+  async getStationsInBounds(lat1, lng1, lat2, lng2, { signal } = {}) {
+    const aqicnKey = getKey();
+
+    const boundsUrl = `${AQICN_BASE}/map/bounds/?token=${aqicnKey}&latlng=${lat1},${lng1},${lat2},${lng2}`;
+    const data = await fetchJSON(boundsUrl, { signal });
+
+    if (data.status === 'ok' && data.data) {
+      return data.data.map((station) => ({
+        uid: station.uid,
+        aqi: station.aqi,
+        lat: station.lat,
+        lon: station.lon,
+        station: {
+          name: station.station?.name || 'Unknown Station',
+          time: station.station?.time,
+        },
+        iaqi: station.iaqi || {},
+      }));
+    }
+
+    if (data.status === 'error') {
+      throw new Error(data.data || 'Failed to fetch map stations');
+    }
+
+    return [];
+  },
+
+  /**
+   * Search for AQI stations by keyword
+   * @returns {Promise<Array>} Array of station search results
+   */
+  async searchStations(keyword, { signal } = {}) {
+    const aqicnKey = getKey();
+
+    const searchUrl = `${AQICN_BASE}/search/?token=${aqicnKey}&keyword=${encodeURIComponent(keyword)}`;
+    const data = await fetchJSON(searchUrl, { signal });
+
+    if (data.status === 'ok' && data.data) {
+      return data.data.map((result) => ({
+        uid: result.uid,
+        name: result.station?.name || result.name || 'Unknown',
+        // "-" when the station has no current reading
+        aqi: numberOrNull(result.aqi),
+        lat: result.station?.geo?.[0] ?? result.lat,
+        lon: result.station?.geo?.[1] ?? result.lon,
+        time: parseStationTime(result.time),
+      }));
+    }
+
+    if (data.status === 'error') {
+      throw new Error(data.data || 'Failed to search stations');
+    }
+
+    return [];
+  },
+
+  /**
+   * Get the daily pollutant forecast AQICN publishes with the nearest station feed
+   * @param {{lat: number, lon: number}} coordinates
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object|null>} Forecast with a `daily` block, or null
+   */
+  async getForecast(coordinates, { signal } = {}) {
+    const aqicnKey = getKey();
+
+    const url = `${AQICN_FEED}/geo:${coordinates.lat};${coordinates.lon}/?token=${aqicnKey}`;
+    const data = await fetchJSON(url, { signal });
+
+    if (data.status === 'ok' && data.data?.forecast?.daily) {
+      return { hourly: [], daily: data.data.forecast.daily };
+    }
+
+    return null;
+  },
+
+  /**
+   * Tile URL template for an AQICN heatmap overlay
+   * @param {string} [layer='aqi'] - "aqi" or a pollutant key
+   * @returns {string|null} Null for unknown layers or without an API key
+   */
+  getHeatmapTileUrl(layer = 'aqi') {
+    const aqicnKey = import.meta.env.VITE_AQICN_KEY;
+    if (!aqicnKey || !TILE_LAYERS[layer]) return null;
+    return `${AQICN_TILES}/${TILE_LAYERS[layer]}/{z}/{x}/{y}.png?token=${aqicnKey}`;
+  },
+};
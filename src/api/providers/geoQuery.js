@@ -0,0 +1,26 @@
+/**
+ * Coordinate Queries
+ * Besides city names and "@uid" station feeds, providers accept "geo:lat;lon" to load conditions
+ * at a point (the nearest station for station-based providers), the same syntax as AQICN's geo feed.
+ */
+
+const GEO_QUERY = /^geo:(-?\d+(?:\.\d+)?);(-?\d+(?:\.\d+)?)$/;
+
+/**
+ * Build a coordinate query
+ * @param {{lat: number, lon: number}} coordinates
+ * @returns {string} e.g. "geo:28.6139;77.2090"
+ */
+export function toGeoQuery({ lat, lon }) {
+  return `geo:${lat.toFixed(4)};${lon.toFixed(4)}`;
+}
+
+/**
+ * Parse a coordinate query
+ * @param {string} query
+ * @returns {{lat: number, lon: number}|null} null when the query is not a coordinate query
+ */
+export function parseGeoQuery(query) {
+  const match = GEO_QUERY.exec(query.trim());
+  return match ? { lat: Number(match[1]), lon: Number(match[2]) } : null;
+}
@@ -0,0 +1,88 @@
+/**
+ * Air Quality Providers
+ *
+ * Every provider implements the same interface so the dashboard never depends on a specific API:
+ *   - getCurrentReading(query) -> { city, coordinates, aqi, pollutants, subIndices, dominantPollutant,
+ *       forecastDaily?, timezoneOffset?, station?, observedAt?, attributions? }
+ *     (`query` is a city name, an "@uid" station or "geo:lat;lon" - see ./geoQuery.js)
+ *     (`aqi` and `subIndices` are always on the US EPA 0–500 scale; `pollutants` holds typed
+ *     { value, unit, kind } values per pollutant, indices or concentrations - see utils/pollutants.js)
+ *     (`observedAt` is the measurement time in ms; `station` is { uid, name, url } when the reading is
+ *     a station's; `attributions` lists the agencies behind the data as [{ name, url }])
+ *     (missing values are null and measured zeros stay 0; airService checks every result with
+ *     validateReading - see ../readingSchema.js)
+ *   - getStationsInBounds(lat1, lng1, lat2, lng2) -> [{ uid, aqi, lat, lon, station, iaqi }]
+ *   - searchStations(keyword) -> [{ uid, name, aqi, lat, lon, time }]
+ *     (`aqi` is a number or null, `time` the last update in ms or null)
+ *   - getForecast(coordinates) -> { hourly: [{ time, index, components }], daily } | null
+ *     (`index` is the source's own scale; airService derives the EPA AQI from `components`)
+ *   - getWeather(coordinates) -> { temp, humidity, wind, windDeg, timezoneOffset, observedAt? } (optional)
+ *     (`wind` in m/s; `windDeg` is where the wind blows from, degrees clockwise from north)
+ *   - getHeatmapTileUrl(layer) -> tile URL template | null
+ *     (`layer` is "aqi" or a pollutant key; null when the provider has no such tiles)
+ *   - getWeatherTileUrl(layer) -> tile URL template | null (weather providers, optional)
+ *
+ * Network methods take a trailing `{ signal }` options object and reject with an AbortError
+ * when it is cancelled.
+ *
+ * The provider is selected with VITE_AQ_PROVIDER; weather and the pollution forecast
+ * come from VITE_WEATHER_PROVIDER (OpenWeather by default, fixtures when offline).
+ */
+
+import { aqicnProvider } from './aqicnProvider';
+import { openWeatherProvider } from './openWeatherProvider';
+import { openAQProvider } from './openAQProvider';
+import { offlineProvider } from './offlineProvider';
+
+const PROVIDERS = {
+  [aqicnProvider.id]: aqicnProvider,
+  [openWeatherProvider.id]: openWeatherProvider,
+  [openAQProvider.id]: openAQProvider,
+  [offlineProvider.id]: offlineProvider,
+};
+
+const DEFAULT_PROVIDER = aqicnProvider.id;
+const DEFAULT_WEATHER_PROVIDER = openWeatherProvider.id;
+
+function resolveProvider(id) {
+  const provider = PROVIDERS[id.toLowerCase()];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown air quality provider "${id}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Get the provider used for readings, map stations and search
+ * @param {string} [id] - Provider id, defaults to VITE_AQ_PROVIDER or "aqicn"
+ * @returns {Object} Air quality provider
+ */
+export function getProvider(id = import.meta.env.VITE_AQ_PROVIDER) {
+  return resolveProvider(id || DEFAULT_PROVIDER);
+}
+
+/**
+ * Get the provider used for weather and the pollution forecast
+ * @param {string} [id] - Provider id, defaults to VITE_WEATHER_PROVIDER
+ * @returns {Object} Provider implementing getWeather and getForecast
+ */
+export function getWeatherProvider(id = import.meta.env.VITE_WEATHER_PROVIDER) {
+  if (id) {
+    return resolveProvider(id);
+  }
+  return getProvider().id === offlineProvider.id
+    ? offlineProvider
+    : resolveProvider(DEFAULT_WEATHER_PROVIDER);
+}
+
+/**
+ * List the registered provider ids
+ * @returns {Array<string>}
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
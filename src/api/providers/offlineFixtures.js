@@ -0,0 +1,63 @@
+/**
+ * Offline fixtures
+ * Representative readings for a few cities so the dashboard can be developed and demoed without API keys.
+ * Pollutant values follow AQICN's conventions (US EPA sub-indices); `components` follow OpenWeather (μg/m³).
+ */
+
+export const OFFLINE_CITIES = [
+  {
+    key: 'delhi',
+    aliases: ['new delhi', 'delhi, india'],
+    name: 'Delhi, India',
+    coordinates: { lat: 28.6139, lon: 77.209 },
+    timezoneOffset: 19800,
+    aqi: 178,
+    pollutants: { pm25: 178, pm10: 142, co: 12, no2: 28, so2: 6, o3: 18 },
+    weather: { temp: 29.5, humidity: 48, wind: 2.1, windDeg: 300 },
+    components: { pm2_5: 108, pm10: 236, co: 1420, no2: 52, so2: 14, o3: 38 },
+    stations: [
+      { uid: 910001, name: 'Anand Vihar, Delhi', lat: 28.6469, lon: 77.316, aqi: 232 },
+      { uid: 910002, name: 'ITO, Delhi', lat: 28.6289, lon: 77.241, aqi: 196 },
+      { uid: 910003, name: 'R K Puram, Delhi', lat: 28.5633, lon: 77.1869, aqi: 171 },
+      { uid: 910004, name: 'Punjabi Bagh, Delhi', lat: 28.674, lon: 77.131, aqi: 184 },
+      { uid: 910005, name: 'Lodhi Road, Delhi', lat: 28.5918, lon: 77.2273, aqi: 152 },
+      { uid: 910006, name: 'Dwarka Sector 8, Delhi', lat: 28.571, lon: 77.0719, aqi: 165 },
+    ],
+  },
+  {
+    key: 'beijing',
+    aliases: ['beijing, china'],
+    name: 'Beijing, China',
+    coordinates: { lat: 39.9042, lon: 116.4074 },
+    timezoneOffset: 28800,
+    aqi: 87,
+    pollutants: { pm25: 87, pm10: 54, co: 7, no2: 21, so2: 3, o3: 31 },
+    weather: { temp: 14.2, humidity: 36, wind: 3.4, windDeg: 20 },
+    components: { pm2_5: 29, pm10: 61, co: 690, no2: 38, so2: 7, o3: 64 },
+    stations: [
+      { uid: 920001, name: 'Dongsi, Dongcheng, Beijing', lat: 39.929, lon: 116.417, aqi: 92 },
+      { uid: 920002, name: 'Wanliu, Haidian, Beijing', lat: 39.987, lon: 116.287, aqi: 81 },
+      { uid: 920003, name: 'Olympic Center, Chaoyang, Beijing', lat: 39.982, lon: 116.397, aqi: 79 },
+      { uid: 920004, name: 'Fengtai Garden, Beijing', lat: 39.863, lon: 116.279, aqi: 95 },
+      { uid: 920005, name: 'Shunyi New Town, Beijing', lat: 40.127, lon: 116.655, aqi: 68 },
+    ],
+  },
+  {
+    key: 'london',
+    aliases: ['london, uk', 'london, united kingdom'],
+    name: 'London, United Kingdom',
+    coordinates: { lat: 51.5074, lon: -0.1278 },
+    timezoneOffset: 0,
+    aqi: 42,
+    pollutants: { pm25: 42, pm10: 18, co: 2, no2: 19, so2: 1, o3: 24 },
+    weather: { temp: 11.8, humidity: 77, wind: 4.6, windDeg: 230 },
+    components: { pm2_5: 10, pm10: 17, co: 240, no2: 31, so2: 3, o3: 52 },
+    stations: [
+      { uid: 930001, name: 'Marylebone Road, London', lat: 51.5225, lon: -0.1546, aqi: 58 },
+      { uid: 930002, name: 'Westminster, London', lat: 51.4945, lon: -0.1319, aqi: 39 },
+      { uid: 930003, name: 'Bloomsbury, London', lat: 51.5223, lon: -0.1259, aqi: 44 },
+      { uid: 930004, name: 'North Kensington, London', lat: 51.5211, lon: -0.2135, aqi: 35 },
+      { uid: 930005, name: 'Greenwich, London', lat: 51.4786, lon: 0.0092, aqi: 37 },
+    ],
+  },
+];
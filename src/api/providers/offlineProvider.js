@@ -0,0 +1,239 @@
+/**
+ * Offline Provider
+ * Serves bundled fixtures so the dashboard works without network access or API keys
+ */
+
+import { OFFLINE_CITIES } from './offlineFixtures';
+import { parseGeoQuery } from './geoQuery';
+import { pollutantIndices } from '../../utils/pollutants';
+
+const HOUR_MS = 60 * 60 * 1000;
+const FORECAST_HOURS = 96;
+const NEAREST_CITY_MAX_DEG = 1;
+
+function findCity(query) {
+  const needle = query.trim().toLowerCase();
+  return OFFLINE_CITIES.find(
+    (city) => city.key === needle || city.aliases.includes(needle)
+  );
+}
+
+function findNearestCity({ lat, lon }) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  OFFLINE_CITIES.forEach((city) => {
+    const distance = Math.hypot(city.coordinates.lat - lat, city.coordinates.lon - lon);
+    if (distance < nearestDistance) {
+      nearest = city;
+      nearestDistance = distance;
+    }
+  });
+  return nearestDistance <= NEAREST_CITY_MAX_DEG ? nearest : null;
+}
+
+function allStations() {
+  return OFFLINE_CITIES.flatMap((city) => city.stations);
+}
+
+function findNearestStation({ lat, lon }) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+  allStations().forEach((station) => {
+    const distance = Math.hypot(station.lat - lat, station.lon - lon);
+    if (distance < nearestDistance) {
+      nearest = station;
+      nearestDistance = distance;
+    }
+  });
+  return nearestDistance <= NEAREST_CITY_MAX_DEG ? nearest : null;
+}
+
+/**
+ * Stations report "a few minutes ago" relative to now so fixtures never look stale
+ */
+function stationTime(station) {
+  const minutesAgo = (station.uid % 7) * 5 + 5;
+  return new Date(Date.now() - minutesAgo * 60 * 1000).toISOString();
+}
+
+function toStation(station) {
+  return {
+    uid: station.uid,
+    aqi: station.aqi,
+    lat: station.lat,
+    lon: station.lon,
+    station: {
+      name: station.name,
+      time: stationTime(station),
+    },
+    iaqi: { pm25: { v: station.aqi } },
+  };
+}
+
+function stationReading(station) {
+  const fixture = OFFLINE_CITIES.find((candidate) => candidate.stations.includes(station));
+  return {
+    city: station.name,
+    coordinates: { lat: station.lat, lon: station.lon },
+    aqi: station.aqi,
+    timezoneOffset: fixture.timezoneOffset,
+    ...indexReading({ pm25: station.aqi }),
+    station: { uid: station.uid, name: station.name, url: null },
+    observedAt: Date.parse(stationTime(station)),
+    attributions: [{ name: 'Offline fixtures', url: null }],
+  };
+}
+
+/**
+ * Deterministic diurnal swing around the fixture's components: a morning and an evening peak
+ */
+function forecastFactor(date) {
+  const hour = date.getHours();
+  return 1 + 0.25 * Math.cos(((hour - 9) / 24) * 2 * Math.PI) + 0.15 * Math.cos(((hour - 20) / 12) * 2 * Math.PI);
+}
+
+// Fixture pollutant values are US EPA sub-indices, like AQICN's
+function indexReading(values) {
+  const subIndices = Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== null)
+  );
+  const dominantPollutant = Object.keys(subIndices)
+    .reduce((worst, key) => (worst === null || subIndices[key] > subIndices[worst] ? key : worst), null);
+  return { pollutants: pollutantIndices(subIndices), subIndices, dominantPollutant };
+}
+
+function owmIndexFromPm25(pm25) {
+  if (pm25 < 10) return 1;
+  if (pm25 < 25) return 2;
+  if (pm25 < 50) return 3;
+  if (pm25 < 75) return 4;
+  return 5;
+}
+
+export const offlineProvider = {
+  id: 'offline',
+  name: 'Offline fixtures',
+  attribution: 'Offline demo data',
+
+  /**
+   * Get the fixture reading for a city name, an "@uid" station or the station nearest "geo:lat;lon"
+   * @param {string} city - City name, "@uid" or "geo:lat;lon"
+   * @returns {Promise<Object>} Normalised reading
+   */
+  async getCurrentReading(city) {
+    if (city.startsWith('@')) {
+      const uid = Number(city.slice(1));
+      const station = allStations().find((candidate) => candidate.uid === uid);
+      if (!station) {
+        throw new Error(`Unknown station "${city}"`);
+      }
+      return stationReading(station);
+    }
+
+    const point = parseGeoQuery(city);
+    if (point) {
+      const station = findNearestStation(point);
+      if (!station) {
+        throw new Error('No offline station near this location. Fixtures cover delhi, beijing and london.');
+      }
+      return stationReading(station);
+    }
+
+    const fixture = findCity(city);
+    if (!fixture) {
+      const available = OFFLINE_CITIES.map((candidate) => candidate.key).join(', ');
+      throw new Error(`No offline data for "${city}". Try one of: ${available}`);
+    }
+
+    return {
+      city: fixture.name,
+      coordinates: { ...fixture.coordinates },
+      aqi: fixture.aqi,
+      timezoneOffset: fixture.timezoneOffset,
+      ...indexReading(fixture.pollutants),
+      station: null,
+      attributions: [{ name: 'Offline fixtures', url: null }],
+    };
+  },
+
+  /**
+   * Get fixture stations within map bounds
+   * @returns {Promise<Array>} Array of station data
+   */
+  async getStationsInBounds(lat1, lng1, lat2, lng2) {
+    const [minLat, maxLat] = [Math.min(lat1, lat2), Math.max(lat1, lat2)];
+    const [minLng, maxLng] = [Math.min(lng1, lng2), Math.max(lng1, lng2)];
+
+    return allStations()
+      .filter((station) =>
+        station.lat >= minLat && station.lat <= maxLat &&
+        station.lon >= minLng && station.lon <= maxLng
+      )
+      .map(toStation);
+  },
+
+  /**
+   * Search fixture stations by name
+   * @returns {Promise<Array>} Array of station search results
+   */
+  async searchStations(keyword) {
+    const needle = keyword.trim().toLowerCase();
+    return allStations()
+      .filter((station) => station.name.toLowerCase().includes(needle))
+      .map((station) => ({
+        uid: station.uid,
+        name: station.name,
+        aqi: station.aqi,
+        lat: station.lat,
+        lon: station.lon,
+        time: Date.parse(stationTime(station)),
+      }));
+  },
+
+  /**
+   * Build an hourly forecast from the nearest fixture city
+   * @param {{lat: number, lon: number}} coordinates
+   * @returns {Promise<Object|null>} Forecast with an `hourly` series
+   */
+  async getForecast(coordinates) {
+    const fixture = findNearestCity(coordinates);
+    if (!fixture) {
+      return null;
+    }
+
+    const start = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    const hourly = Array.from({ length: FORECAST_HOURS }, (_, i) => {
+      const time = start + i * HOUR_MS;
+      const factor = forecastFactor(new Date(time));
+      const components = {};
+      Object.entries(fixture.components).forEach(([key, value]) => {
+        components[key] = Math.round(value * factor * 100) / 100;
+      });
+      return {
+        time,
+        index: owmIndexFromPm25(components.pm2_5),
+        components,
+      };
+    });
+
+    return { hourly, daily: null };
+  },
+
+  /**
+   * Get fixture weather for the nearest city
+   * @param {{lat: number, lon: number}} coordinates
+   * @returns {Promise<Object|null>} { temp, humidity, wind, windDeg, timezoneOffset }
+   */
+  async getWeather(coordinates) {
+    const fixture = findNearestCity(coordinates);
+    return fixture ? { ...fixture.weather, timezoneOffset: fixture.timezoneOffset } : null;
+  },
+
+  getHeatmapTileUrl() {
+    return null;
+  },
+
+  getWeatherTileUrl() {
+    return null;
+  },
+};
@@ -0,0 +1,197 @@
+/**
+ * OpenAQ Provider
+ * Open government and research monitoring data from the OpenAQ v3 API
+ */
+
+import { fetchJSON } from '../http';
+import { geocodeCity } from './openWeatherProvider';
+import { parseGeoQuery } from './geoQuery';
+import { computeAQI, toEPAUnit } from '../../utils/aqiCalculator';
+import { distanceKm } from '../../utils/geo';
+import { concentrationValue } from '../../utils/pollutants';
+import { numberOrNull } from '../readingSchema';
+
+const OPENAQ_BASE = 'https://api.openaq.org/v3';
+const SEARCH_RADIUS_M = 25000; // OpenAQ caps coordinate searches at 25 km
+const PARAMETERS = ['pm25', 'pm10', 'co', 'no2', 'so2', 'o3'];
+
+async function openAQFetch(path, signal) {
+  const openAQKey = import.meta.env.VITE_OPENAQ_KEY;
+
+  if (!openAQKey) {
+    throw new Error('OpenAQ API key is missing. Please check your .env file.');
+  }
+
+  const data = await fetchJSON(`${OPENAQ_BASE}${path}`, {
+    signal,
+    headers: { 'X-API-Key': openAQKey },
+  });
+  return data.results || [];
+}
+
+function toStation(location) {
+  return {
+    uid: location.id,
+    aqi: null,
+    lat: location.coordinates?.latitude,
+    lon: location.coordinates?.longitude,
+    station: {
+      name: location.name || location.locality || 'Unknown Station',
+      time: location.datetimeLast?.utc,
+    },
+    iaqi: {},
+  };
+}
+
+/**
+ * Merge a location's latest measurements into { pm25, pm10, ... } typed values in each sensor's
+ * own unit, using the location's sensor list. Also returns the same values converted to EPA units
+ * for computing the AQI.
+ */
+function latestToPollutants(location, latest) {
+  const sensorsById = {};
+  (location.sensors || []).forEach((sensor) => {
+    sensorsById[sensor.id] = sensor.parameter || {};
+  });
+
+  const pollutants = {};
+  const concentrations = {};
+  PARAMETERS.forEach((parameter) => {
+    pollutants[parameter] = null;
+  });
+  latest.forEach((measurement) => {
+    const { name, units } = sensorsById[measurement.sensorsId] || {};
+    if (PARAMETERS.includes(name)) {
+      const value = numberOrNull(measurement.value);
+      pollutants[name] = concentrationValue(value, units);
+      concentrations[name] = toEPAUnit(name, value, units);
+    }
+  });
+
+  return { pollutants, concentrations };
+}
+
+/**
+ * Map a location and its latest measurements to the provider reading shape (see ../readingSchema.js)
+ */
+function normalizeLocation(location, latest, query) {
+  const { pollutants, concentrations } = latestToPollutants(location, latest);
+  const { aqi, dominantPollutant, subIndices } = computeAQI(concentrations);
+
+  return {
+    city: location.locality || location.name || query,
+    coordinates: {
+      lat: numberOrNull(location.coordinates?.latitude),
+      lon: numberOrNull(location.coordinates?.longitude),
+    },
+    aqi,
+    subIndices,
+    dominantPollutant,
+    pollutants,
+    station: {
+      uid: location.id,
+      name: location.name || location.locality || `Location ${location.id}`,
+      url: null,
+    },
+    observedAt: location.datetimeLast?.utc ? Date.parse(location.datetimeLast.utc) : null,
+    attributions: [location.provider, location.owner]
+      .filter((agency) => agency?.name)
+      .map((agency) => ({ name: agency.name, url: null })),
+  };
+}
+
+async function findLocations(query, limit, signal) {
+  if (query.startsWith('@')) {
+    return openAQFetch(`/locations/${encodeURIComponent(query.slice(1))}`, signal);
+  }
+
+  const point = parseGeoQuery(query);
+  const [place] = point ? [point] : await geocodeCity(query, { signal });
+  if (!place) {
+    return [];
+  }
+
+  const locations = await openAQFetch(
+    `/locations?coordinates=${place.lat},${place.lon}&radius=${SEARCH_RADIUS_M}&limit=${Math.max(limit, 10)}`,
+    signal
+  );
+  // Nearest first, so a point query resolves to the closest monitor
+  return locations
+    .map((location) => ({
+      location,
+      distance: distanceKm(place, {
+        lat: location.coordinates?.latitude,
+        lon: location.coordinates?.longitude,
+      }),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ location }) => location);
+}
+
+export const openAQProvider = {
+  id: 'openaq',
+  name: 'OpenAQ',
+  attribution: '&copy; <a href="https://openaq.org">OpenAQ</a>',
+
+  /**
+   * Get the latest measurements from the location nearest to a city or point (or "@id")
+   * @param {string} city - City name, "geo:lat;lon" or "@locationId"
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} Normalised reading
+   */
+  async getCurrentReading(city, { signal } = {}) {
+    const [location] = await findLocations(city, 1, signal);
+
+    if (!location) {
+      throw new Error(`No OpenAQ monitoring location found near "${city}".`);
+    }
+
+    const latest = await openAQFetch(`/locations/${location.id}/latest`, signal);
+    return normalizeLocation(location, latest, city);
+  },
+
+  /**
+   * Get monitoring locations within map bounds
+   * @returns {Promise<Array>} Array of station data
+   */
+  async getStationsInBounds(lat1, lng1, lat2, lng2, { signal } = {}) {
+    const bbox = [
+      Math.min(lng1, lng2),
+      Math.min(lat1, lat2),
+      Math.max(lng1, lng2),
+      Math.max(lat1, lat2),
+    ].join(',');
+    const locations = await openAQFetch(`/locations?bbox=${bbox}&limit=1000`, signal);
+    return locations.map(toStation);
+  },
+
+  /**
+   * Search monitoring locations near a place name
+   * @returns {Promise<Array>} Array of station search results
+   */
+  async searchStations(keyword, { signal } = {}) {
+    const locations = await findLocations(keyword, 10, signal);
+    return locations.map((location) => ({
+      uid: location.id,
+      name: location.name || location.locality || 'Unknown',
+      aqi: null,
+      lat: location.coordinates?.latitude,
+      lon: location.coordinates?.longitude,
+      time: location.datetimeLast?.utc ? Date.parse(location.datetimeLast.utc) : null,
+    }));
+  },
+
+  /**
+   * OpenAQ publishes measurements only, no forecasts
+   * @returns {Promise<null>}
+   */
+  async getForecast() {
+    return null;
+  },
+
+  getHeatmapTileUrl() {
+    return null;
+  },
+};
@@ -0,0 +1,215 @@
+/**
+ * OpenWeather Provider
+ * Weather, air pollution readings and the hourly pollution forecast from OpenWeather
+ */
+
+import { fetchJSON } from '../http';
+import { computeAQIFromComponents } from '../../utils/aqiCalculator';
+import { parseGeoQuery } from './geoQuery';
+import { pollutantConcentrations } from '../../utils/pollutants';
+import { numberOrNull } from '../readingSchema';
+
+const OWM_BASE = 'https://api.openweathermap.org/data/2.5';
+const OWM_GEO = 'https://api.openweathermap.org/geo/1.0';
+const OWM_TILES = 'https://tile.openweathermap.org/map';
+
+// Weather map layers offered on the dashboard
+const WEATHER_TILE_LAYERS = {
+  wind: 'wind_new',
+  precipitation: 'precipitation_new',
+};
+
+function getKey() {
+  const owmKey = import.meta.env.VITE_OWM_KEY;
+
+  if (!owmKey) {
+    throw new Error('OpenWeather API key is missing. Please check your .env file.');
+  }
+
+  return owmKey;
+}
+
+/**
+ * Resolve a place name to coordinates with the OpenWeather geocoding API
+ * @param {string} query - Place name (e.g., "delhi", "london,gb")
+ * @param {Object} [options]
+ * @param {number} [options.limit=1] - Maximum number of matches
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array>} Matches as { name, country, lat, lon }
+ */
+export async function geocodeCity(query, { limit = 1, signal } = {}) {
+  const owmKey = getKey();
+  const url = `${OWM_GEO}/direct?q=${encodeURIComponent(query)}&limit=${limit}&appid=${owmKey}`;
+  const data = await fetchJSON(url, { signal });
+
+  if (!Array.isArray(data)) {
+    return [];
+  }
+
+  return data.map((place) => ({
+    name: place.name,
+    country: place.country,
+    lat: place.lat,
+    lon: place.lon,
+  }));
+}
+
+/**
+ * Resolve a city name or "geo:lat;lon" query to a named point
+ * Coordinate queries keep the exact point and only borrow a name from reverse geocoding.
+ */
+async function resolvePlace(query, signal) {
+  const point = parseGeoQuery(query);
+  if (!point) {
+    const [place] = await geocodeCity(query, { signal });
+    return place || null;
+  }
+
+  const url = `${OWM_GEO}/reverse?lat=${point.lat}&lon=${point.lon}&limit=1&appid=${getKey()}`;
+  const data = await fetchJSON(url, { signal });
+  const name = Array.isArray(data) ? data[0]?.name : null;
+  return { name: name || `${point.lat.toFixed(3)}, ${point.lon.toFixed(3)}`, ...point };
+}
+
+/**
+ * Map a current air pollution entry to the provider reading shape (see ../readingSchema.js)
+ */
+function normalizePollution(place, current) {
+  const components = current?.components || {};
+  // OpenWeather's own main.aqi is a 1–5 index; use the EPA scale like every other source
+  const { aqi, dominantPollutant, subIndices } = computeAQIFromComponents(components);
+
+  return {
+    city: place.name,
+    coordinates: { lat: place.lat, lon: place.lon },
+    aqi,
+    subIndices,
+    dominantPollutant,
+    // Every OpenWeather component, CO included, is in μg/m³
+    pollutants: pollutantConcentrations({
+      pm25: numberOrNull(components.pm2_5),
+      pm10: numberOrNull(components.pm10),
+      co: numberOrNull(components.co),
+      no2: numberOrNull(components.no2),
+      so2: numberOrNull(components.so2),
+      o3: numberOrNull(components.o3),
+    }, 'μg/m³'),
+    station: null,
+    observedAt: current?.dt ? current.dt * 1000 : null,
+    attributions: [{ name: 'OpenWeather Air Pollution API (modelled)', url: 'https://openweathermap.org/api/air-pollution' }],
+  };
+}
+
+export const openWeatherProvider = {
+  id: 'openweather',
+  name: 'OpenWeather',
+  attribution: '&copy; <a href="https://openweathermap.org">OpenWeather</a>',
+
+  /**
+   * Get the current modelled air pollution for a city or point
+   * @param {string} city - City name or "geo:lat;lon"
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} Normalised reading
+   */
+  async getCurrentReading(city, { signal } = {}) {
+    const owmKey = getKey();
+    const place = await resolvePlace(city, signal);
+
+    if (!place) {
+      throw new Error(`Unknown city "${city}". Please check the city name and try again.`);
+    }
+
+    const url = `${OWM_BASE}/air_pollution?lat=${place.lat}&lon=${place.lon}&appid=${owmKey}`;
+    const data = await fetchJSON(url, { signal });
+    return normalizePollution(place, data?.list?.[0]);
+  },
+
+  /**
+   * OpenWeather models pollution on a grid and has no monitoring stations
+   * @returns {Promise<Array>} Always empty
+   */
+  async getStationsInBounds() {
+    return [];
+  },
+
+  /**
+   * Search places by name; results are geocoded points rather than stations
+   * @returns {Promise<Array>} Array of search results
+   */
+  async searchStations(keyword, { signal } = {}) {
+    const places = await geocodeCity(keyword, { limit: 5, signal });
+    return places.map((place) => ({
+      uid: `geo:${place.lat};${place.lon}`,
+      name: [place.name, place.country].filter(Boolean).join(', '),
+      aqi: null,
+      lat: place.lat,
+      lon: place.lon,
+      time: null,
+    }));
+  },
+
+  /**
+   * Get the hourly air pollution forecast
+   * @param {{lat: number, lon: number}} coordinates
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object|null>} Forecast with an `hourly` series
+   */
+  async getForecast(coordinates, { signal } = {}) {
+    const owmKey = getKey();
+    const pollutionUrl = `${OWM_BASE}/air_pollution/forecast?lat=${coordinates.lat}&lon=${coordinates.lon}&appid=${owmKey}`;
+    const owmPollutionData = await fetchJSON(pollutionUrl, { signal });
+
+    if (!owmPollutionData?.list) {
+      return null;
+    }
+
+    return {
+      hourly: owmPollutionData.list.map((entry) => ({
+        time: entry.dt * 1000,
+        index: numberOrNull(entry.main?.aqi),
+        components: entry.components || {},
+      })),
+      daily: null,
+    };
+  },
+
+  /**
+   * Get the current weather
+   * @param {{lat: number, lon: number}} coordinates
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Object>} { temp, humidity, wind, windDeg, timezoneOffset, observedAt }
+   *   (`windDeg` is the direction the wind blows from, degrees clockwise from north)
+   */
+  async getWeather(coordinates, { signal } = {}) {
+    const owmKey = getKey();
+    const weatherUrl = `${OWM_BASE}/weather?lat=${coordinates.lat}&lon=${coordinates.lon}&appid=${owmKey}&units=metric`;
+    const owmWeatherData = await fetchJSON(weatherUrl, { signal });
+
+    return {
+      temp: numberOrNull(owmWeatherData?.main?.temp),
+      humidity: numberOrNull(owmWeatherData?.main?.humidity),
+      wind: numberOrNull(owmWeatherData?.wind?.speed),
+      windDeg: numberOrNull(owmWeatherData?.wind?.deg),
+      timezoneOffset: numberOrNull(owmWeatherData?.timezone),
+      observedAt: owmWeatherData?.dt ? owmWeatherData.dt * 1000 : null,
+    };
+  },
+
+  getHeatmapTileUrl() {
+    return null;
+  },
+
+  /**
+   * Tile URL template for an OpenWeather map layer
+   * @param {string} layer - "wind" or "precipitation"
+   * @returns {string|null} Null for unknown layers or without an API key
+   */
+  getWeatherTileUrl(layer) {
+    const owmKey = import.meta.env.VITE_OWM_KEY;
+    if (!owmKey || !WEATHER_TILE_LAYERS[layer]) return null;
+    return `${OWM_TILES}/${WEATHER_TILE_LAYERS[layer]}/{z}/{x}/{y}.png?appid=${owmKey}`;
+  },
+};
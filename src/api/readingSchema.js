@@ -0,0 +1,177 @@
+/**
+ * Reading Schema
+ * The shape every reading takes between the providers and the dashboard, history and AI prompt.
+ *
+ * Providers map their API responses with the helpers here (numberOrNull keeps a measured 0 apart
+ * from a missing value) and airService validates each result: problems that make a reading unusable
+ * throw a ReadingValidationError, problems that only drop or estimate one value are listed in `issues`
+ * as { kind, message } so the dashboard can show them instead of a silent "N/A". `kind` is 'dropped'
+ * for a value that is not shown and 'estimated' for one substituted from other values.
+ *
+ * Provider reading:
+ *   { city, coordinates, aqi, subIndices, pollutants, dominantPollutant, forecastDaily,
+ *     timezoneOffset, station, stationUid, observedAt, attributions, issues }
+ *   - `aqi` and `subIndices` are on the US EPA 0–500 scale; `subIndices` only lists measured pollutants
+ *   - `pollutants` has every POLLUTANT_KEYS entry, a typed value or null (see utils/pollutants.js)
+ *   - `station` is { uid, name, url } when the reading is a station's, otherwise null
+ *   - `observedAt` is the measurement time in ms, null when the provider doesn't say
+ *
+ * Weather: { temp, humidity, wind, windDeg, timezoneOffset, observedAt, issues }
+ */
+
+import { INDEX_UNIT, POLLUTANT_KEYS, canonicalUnit } from '../utils/pollutants';
+
+// Highest value accepted on the US EPA scale (the index tops out at 500, AQICN reports beyond it)
+const MAX_AQI = 999;
+// Measurement times further ahead than this are treated as clock or parsing errors
+const MAX_CLOCK_SKEW_MS = 60 * 60 * 1000;
+
+/**
+ * Error for readings that can't be shown at all
+ */
+export class ReadingValidationError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ReadingValidationError';
+    this.issues = issues;
+  }
+}
+
+// Issue for a value that failed validation and is not shown
+function dropped(message) {
+  return { kind: 'dropped', message };
+}
+
+/**
+ * A measured number, or null when the value is missing
+ * Unlike `value || null`, a reading of 0 stays 0.
+ * @param {*} value - Number or numeric string; "", "-", null and undefined are missing
+ * @returns {number|null}
+ */
+export function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// A number within [min, max], or null with an issue describing what was dropped
+function checkRange(value, label, { min = -Infinity, max = Infinity }, issues) {
+  const number = numberOrNull(value);
+  if (number === null) {
+    if (value !== null && value !== undefined) issues.push(dropped(`${label} "${value}" is not a number`));
+    return null;
+  }
+  if (number < min || number > max) {
+    issues.push(dropped(`${label} ${number} is out of range`));
+    return null;
+  }
+  return number;
+}
+
+function checkCoordinates(coordinates, issues) {
+  if (!coordinates) return null;
+  const lat = checkRange(coordinates.lat, 'Latitude', { min: -90, max: 90 }, issues);
+  const lon = checkRange(coordinates.lon, 'Longitude', { min: -180, max: 180 }, issues);
+  return lat !== null && lon !== null ? { lat, lon } : null;
+}
+
+function checkTimestamp(value, label, issues) {
+  const time = checkRange(value, label, { min: 0 }, issues);
+  if (time !== null && time > Date.now() + MAX_CLOCK_SKEW_MS) {
+    issues.push(dropped(`${label} is in the future`));
+    return null;
+  }
+  return time;
+}
+
+function checkPollutantValue(pollutant, reading, issues) {
+  if (!reading) return null;
+  const value = checkRange(reading.value, `${pollutant} value`, { min: 0 }, issues);
+  const unit = reading.kind === 'index' ? INDEX_UNIT : canonicalUnit(reading.unit);
+  if (!unit) issues.push(dropped(`${pollutant} has an unknown unit "${reading.unit}"`));
+  return value !== null && unit ? { ...reading, value, unit } : null;
+}
+
+/**
+ * Validate a provider's getCurrentReading result
+ * @param {Object} raw - Reading as mapped by the provider
+ * @param {Object} [options]
+ * @param {string} [options.source] - Provider name, for messages
+ * @returns {Object} Provider reading (see above)
+ * @throws {ReadingValidationError} When the reading has no location or no measurements
+ */
+export function validateReading(raw, { source = 'The provider' } = {}) {
+  const issues = [];
+
+  if (typeof raw?.city !== 'string' || !raw.city.trim()) {
+    throw new ReadingValidationError(`${source} returned a reading without a location.`);
+  }
+
+  const subIndices = {};
+  POLLUTANT_KEYS.forEach((pollutant) => {
+    const value = checkRange(raw.subIndices?.[pollutant], `${pollutant} sub-index`, { min: 0, max: MAX_AQI }, issues);
+    if (value !== null) subIndices[pollutant] = value;
+  });
+
+  const pollutants = Object.fromEntries(POLLUTANT_KEYS.map((pollutant) => [
+    pollutant,
+    checkPollutantValue(pollutant, raw.pollutants?.[pollutant], issues),
+  ]));
+
+  let aqi = checkRange(raw.aqi, 'AQI', { min: 0, max: MAX_AQI }, issues);
+  const measured = Object.keys(subIndices);
+  if (aqi === null && measured.length === 0) {
+    throw new ReadingValidationError(`${source} has no current air quality measurements for ${raw.city}.`, issues);
+  }
+  if (aqi === null) {
+    aqi = Math.max(...measured.map((pollutant) => subIndices[pollutant]));
+    issues.push({ kind: 'estimated', message: 'Overall AQI missing; using the highest pollutant sub-index' });
+  }
+
+  let dominantPollutant = raw.dominantPollutant ?? null;
+  if (dominantPollutant !== null && !POLLUTANT_KEYS.includes(dominantPollutant)) {
+    issues.push(dropped(`Unknown dominant pollutant "${dominantPollutant}"`));
+    dominantPollutant = null;
+  }
+
+  const stationUid = raw.station?.uid ?? raw.stationUid ?? null;
+
+  return {
+    city: raw.city.trim(),
+    coordinates: checkCoordinates(raw.coordinates, issues),
+    aqi,
+    subIndices,
+    pollutants,
+    dominantPollutant,
+    forecastDaily: raw.forecastDaily ?? null,
+    timezoneOffset: checkRange(raw.timezoneOffset, 'Time zone offset', { min: -14 * 3600, max: 14 * 3600 }, issues),
+    station: stationUid !== null
+      ? { uid: stationUid, name: raw.station?.name || raw.city.trim(), url: raw.station?.url ?? null }
+      : null,
+    stationUid,
+    observedAt: checkTimestamp(raw.observedAt, 'Measurement time', issues),
+    attributions: Array.isArray(raw.attributions) ? raw.attributions.filter((attribution) => attribution?.name) : [],
+    issues,
+  };
+}
+
+/**
+ * Validate a weather provider's getWeather result
+ * @param {Object|null} raw
+ * @returns {Object|null} Weather (see above), null when there is none
+ */
+export function validateWeather(raw) {
+  if (!raw) return null;
+  const issues = [];
+  const windDeg = checkRange(raw.windDeg, 'Wind direction', { min: 0, max: 360 }, issues);
+
+  return {
+    temp: checkRange(raw.temp, 'Temperature', { min: -90, max: 60 }, issues),
+    humidity: checkRange(raw.humidity, 'Humidity', { min: 0, max: 100 }, issues),
+    wind: checkRange(raw.wind, 'Wind speed', { min: 0, max: 120 }, issues),
+    windDeg: windDeg === null ? null : windDeg % 360,
+    timezoneOffset: checkRange(raw.timezoneOffset, 'Time zone offset', { min: -14 * 3600, max: 14 * 3600 }, issues),
+    observedAt: checkTimestamp(raw.observedAt, 'Weather time', issues),
+    issues,
+  };
+}
@@ -1,21 +1,45 @@
-import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip } from 'recharts';
+import { ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceArea } from 'recharts';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+import { convertAQI, getAQIColor as getStandardColor, getAQILabel, getCategoryBands } from '../utils/aqiStandards';
+import { FORECAST_SOURCES } from '../utils/forecaster';
+
+const SOURCE_COLORS = {
+    ai: '#A855F7',
+    blended: '#3B82F6',
+    statistical: '#14B8A6',
+    persistence: '#9CA3AF',
+};
+
+const AQIPredictionGraph = ({ data, dominantPollutant }) => {
+    const { standardId, standard } = useAQIStandard();
 
-const AQIPredictionGraph = ({ data }) => {
     if (!data || data.length === 0) return null;
 
-    const getAQIColor = (aqi) => {
-        if (aqi <= 50) return '#10B981'; // Green
-        if (aqi <= 100) return '#F59E0B'; // Yellow
-        if (aqi <= 150) return '#F97316'; // Orange
-        if (aqi <= 200) return '#EF4444'; // Red
-        if (aqi <= 300) return '#8B5CF6'; // Purple
-        return '#7F1D1D'; // Dark Red
-    };
+    const getAQIColor = (aqi) => getStandardColor(aqi, standardId);
+
+    // Forecast points are on the US EPA scale; express them in the selected standard
+    const chartData = data.map((point) => {
+        const aqi = convertAQI(Number(point.aqi), standardId, dominantPollutant || undefined);
+        return { ...point, aqi, level: getAQILabel(aqi, standardId) };
+    });
+    const bands = getCategoryBands(standardId);
+    const sources = [...new Set(chartData.map((point) => point.source).filter(Boolean))];
+
+    const SourceDot = ({ cx, cy, payload }) => (
+        <circle
+            cx={cx}
+            cy={cy}
+            r={4}
+            fill={SOURCE_COLORS[payload.source] || '#3B82F6'}
+            stroke="#1F2937"
+            strokeWidth={2}
+        />
+    );
 
     const CustomTooltip = ({ active, payload, label }) => {
         if (active && payload && payload.length) {
             const aqiValue = payload[0].value;
-            const level = payload[0].payload.level;
+            const { level, source } = payload[0].payload;
             return (
                 <div className="bg-gray-800 border border-gray-700 p-3 rounded-lg shadow-xl backdrop-blur-md bg-opacity-90">
                     <p className="text-gray-400 text-xs font-semibold uppercase tracking-wider mb-1">{label}</p>
@@ -27,6 +51,9 @@ const AQIPredictionGraph = ({ data }) => {
                         <p className="text-white font-bold text-lg">AQI {aqiValue}</p>
                     </div>
                     <p className="text-sm font-medium" style={{ color: getAQIColor(aqiValue) }}>{level}</p>
+                    {source && (
+                        <p className="text-xs text-gray-400 mt-1">Source: {FORECAST_SOURCES[source] || source}</p>
+                    )}
                 </div>
             );
         }
@@ -41,22 +68,31 @@ const AQIPredictionGraph = ({ data }) => {
                         <span className="text-blue-400">📊</span>
                         Next 5 Hours Prediction
                     </h3>
-                    <p className="text-xs text-gray-400 mt-1">AI-powered air quality forecasting</p>
+                    <p className="text-xs text-gray-400 mt-1">AI and statistical air quality forecasting</p>
+                    {sources.length > 0 && (
+                        <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-[10px] text-gray-400">
+                            {sources.map((source) => (
+                                <div key={source} className="flex items-center gap-1">
+                                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: SOURCE_COLORS[source] || '#3B82F6' }}></span>
+                                    {FORECAST_SOURCES[source] || source}
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </div>
-                <div className="flex gap-4 text-[10px] text-gray-400 uppercase tracking-widest">
-                    <div className="flex items-center gap-1">
-                        <span className="w-2 h-2 rounded-full bg-green-500"></span> Good
-                    </div>
-                    <div className="flex items-center gap-1">
-                        <span className="w-2 h-2 rounded-full bg-red-500"></span> Poor
-                    </div>
+                <div className="flex flex-wrap justify-end gap-x-4 gap-y-1 text-[10px] text-gray-400 uppercase tracking-widest max-w-xs">
+                    {standard.categories.map((category) => (
+                        <div key={category.label} className="flex items-center gap-1">
+                            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: category.color }}></span> {category.label}
+                        </div>
+                    ))}
                 </div>
             </div>
 
             <div className="h-64 w-full">
                 <ResponsiveContainer width="100%" height="100%">
                     <AreaChart
-                        data={data}
+                        data={chartData}
                         margin={{ top: 10, right: 10, left: -20, bottom: 0 }}
                     >
                         <defs>
@@ -82,8 +118,18 @@ const AQIPredictionGraph = ({ data }) => {
                             axisLine={false}
                             tickLine={false}
                             tick={{ fill: '#9CA3AF', fontSize: 10 }}
-                            domain={[0, (dataMax) => Math.max(150, dataMax + 50)]}
+                            domain={[0, (dataMax) => Math.min(standard.max, Math.max(bands[2].to, dataMax + bands[0].to))]}
                         />
+                        {bands.map((band) => (
+                            <ReferenceArea
+                                key={band.label}
+                                y1={band.from}
+                                y2={band.to}
+                                fill={band.color}
+                                fillOpacity={0.08}
+                                ifOverflow="hidden"
+                            />
+                        ))}
                         <Tooltip content={<CustomTooltip />} cursor={{ stroke: '#3B82F6', strokeWidth: 1, strokeDasharray: '4 4' }} />
                         <Area
                             type="monotone"
@@ -93,7 +139,7 @@ const AQIPredictionGraph = ({ data }) => {
                             fillOpacity={1}
                             fill="url(#colorAqi)"
                             animationDuration={1500}
-                            dot={{ r: 4, fill: '#3B82F6', strokeWidth: 2, stroke: '#1F2937' }}
+                            dot={<SourceDot />}
                             activeDot={{ r: 6, fill: '#60A5FA', strokeWidth: 0 }}
                         />
                     </AreaChart>
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { ASSUMPTION_FIELDS, DEFAULT_ASSUMPTIONS, resolveAssumptions } from '../utils/plantingImpact';
+
+const INPUT_CLASS = 'w-28 px-2 py-1 bg-gray-800 border border-gray-600 text-white text-sm rounded-lg text-right focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const FIELD_GROUPS = [
+  { id: undefined, label: 'Planting' },
+  { id: 'finance', label: 'Financial model' },
+];
+
+// Displayed value of an assumption, without float noise from the scale (0.07 * 100)
+function toDisplay(value, scale = 1) {
+  return Number((value * scale).toPrecision(6));
+}
+
+/**
+ * Editable assumptions behind the planting figures
+ * Only values the user changed are kept in `assumptions`; cleared inputs fall back to the default.
+ * @param {Object} props.assumptions - Assumption overrides
+ * @param {Function} props.onChange - Called with the new overrides
+ * @param {string[]} [props.species] - Recommended species, for per-species sequestration
+ * @param {Object} [props.defaults] - Defaults that replace DEFAULT_ASSUMPTIONS, e.g. speciesAssumptions
+ */
+function AssumptionsPanel({ assumptions, onChange, species = [], defaults = {} }) {
+  const [open, setOpen] = useState(false);
+  const resolved = resolveAssumptions(assumptions);
+  const changedCount = ASSUMPTION_FIELDS.filter(({ key }) => assumptions[key] !== undefined).length
+    + Object.keys(assumptions.speciesSequestration || {}).length;
+
+  const setField = (key, input, scale = 1) => {
+    const next = { ...assumptions };
+    if (input === '') {
+      delete next[key];
+    } else {
+      next[key] = Number(input) / scale;
+    }
+    onChange(next);
+  };
+
+  const setSpecies = (name, input) => {
+    const speciesSequestration = { ...assumptions.speciesSequestration };
+    if (input === '') {
+      delete speciesSequestration[name];
+    } else {
+      speciesSequestration[name] = Number(input);
+    }
+    onChange({ ...assumptions, speciesSequestration });
+  };
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => setOpen(!open)}
+          className="font-semibold text-white text-sm uppercase tracking-wide flex items-center gap-2"
+          aria-expanded={open}
+        >
+          <span>⚙️</span> Assumptions
+          <span className="text-gray-400 normal-case font-normal">
+            {changedCount > 0 ? `(${changedCount} changed)` : '(defaults)'} {open ? '▲' : '▼'}
+          </span>
+        </button>
+        {changedCount > 0 && (
+          <button
+            onClick={() => onChange({})}
+            className="px-2 py-1 text-xs bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors"
+          >
+            Reset to defaults
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="mt-4 space-y-5">
+          {FIELD_GROUPS.map((group) => (
+            <div key={group.label}>
+              <p className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-3">{group.label}</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+                {ASSUMPTION_FIELDS.filter((field) => field.group === group.id).map(({ key, label, unit, scale = 1, step, min, max }) => (
+                  <label key={key} className="flex items-center justify-between gap-3 text-sm">
+                    <span className="text-gray-400">
+                      {label} <span className="text-xs text-gray-500">({unit})</span>
+                    </span>
+                    <input
+                      type="number"
+                      value={assumptions[key] !== undefined ? toDisplay(assumptions[key], scale) : ''}
+                      placeholder={String(toDisplay(defaults[key] ?? DEFAULT_ASSUMPTIONS[key], scale))}
+                      step={step}
+                      min={min}
+                      max={max}
+                      onChange={(e) => setField(key, e.target.value, scale)}
+                      className={INPUT_CLASS}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          {species.length > 0 && (
+            <div>
+              <p className="text-xs text-gray-400 font-bold uppercase tracking-wider mb-3">
+                CO₂ per tree by species <span className="font-normal normal-case">(t/yr, blank uses the species figure or {resolved.sequestrationPerTree})</span>
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+                {species.map((name) => (
+                  <label key={name} className="flex items-center justify-between gap-3 text-sm">
+                    <span className="text-gray-300">{name}</span>
+                    <input
+                      type="number"
+                      value={assumptions.speciesSequestration?.[name] ?? ''}
+                      placeholder={String(defaults.speciesSequestration?.[name] ?? resolved.sequestrationPerTree)}
+                      step={0.001}
+                      min={0}
+                      onChange={(e) => setSpecies(name, e.target.value)}
+                      className={INPUT_CLASS}
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Tree counts, costs and projections recalculate as you type; the AI narrative is not regenerated.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AssumptionsPanel;
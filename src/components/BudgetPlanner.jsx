@@ -0,0 +1,131 @@
+import { formatRupees } from '../utils/currency';
+
+const INPUT_CLASS = 'w-40 px-2 py-1 bg-gray-800 border border-gray-600 text-white text-sm rounded-lg text-right focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const LIMIT_LABELS = {
+  total: 'the total budget',
+  capex: 'the planting budget',
+  maintenance: 'the annual maintenance budget',
+};
+
+function AmountInput({ label, unit = '₹', step = 100000, value, onChange }) {
+  return (
+    <label className="flex items-center justify-between gap-3 text-sm">
+      <span className="text-gray-400">{label} <span className="text-xs text-gray-500">({unit})</span></span>
+      <input
+        type="number"
+        value={value ?? ''}
+        min={0}
+        step={step}
+        onChange={(e) => onChange(e.target.value === '' ? null : Math.max(0, Number(e.target.value)))}
+        className={INPUT_CLASS}
+      />
+    </label>
+  );
+}
+
+/**
+ * Switch between sizing the programme to the AQI, to a tree count and to an available budget
+ * @param {Object} props.planning - Planning inputs (see DEFAULT_PLANNING)
+ * @param {Function} props.onChange - Called with the new planning inputs
+ * @param {Object|null} props.plan - getPlan result while a tree count or budget is entered
+ */
+function BudgetPlanner({ planning, onChange, plan }) {
+  const update = (changes) => onChange({ ...planning, ...changes });
+  const modeClass = (mode) => `px-3 py-1.5 text-sm rounded-lg transition-colors ${planning.mode === mode
+    ? 'bg-blue-600 text-white'
+    : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`;
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h3 className="font-semibold text-white text-sm uppercase tracking-wide flex items-center gap-2">
+          <span>🧾</span> Plan By
+        </h3>
+        <div className="flex gap-2">
+          <button onClick={() => update({ mode: 'need' })} className={modeClass('need')}>
+            Trees the AQI needs
+          </button>
+          <button onClick={() => update({ mode: 'trees' })} className={modeClass('trees')}>
+            Tree count
+          </button>
+          <button onClick={() => update({ mode: 'budget' })} className={modeClass('budget')}>
+            Available budget
+          </button>
+        </div>
+      </div>
+
+      {planning.mode === 'trees' && (
+        <div className="mt-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+            <AmountInput
+              label="Trees to establish"
+              unit="trees"
+              step={1000}
+              value={planning.trees}
+              onChange={(trees) => update({ trees })}
+            />
+          </div>
+          {plan ? (
+            <p className="text-sm text-gray-300">
+              {plan.coverage}% of what the current AQI calls for, planting{' '}
+              <span className="font-semibold text-blue-400">{plan.saplings.toLocaleString('en-IN')}</span> saplings.
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500">
+              Enter a tree count; the figures below show what the AQI calls for until then.
+            </p>
+          )}
+        </div>
+      )}
+
+      {planning.mode === 'budget' && (
+        <div className="mt-4 space-y-3">
+          <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input
+              type="checkbox"
+              checked={planning.split}
+              onChange={(e) => update({ split: e.target.checked })}
+              className="accent-blue-500"
+            />
+            Separate planting and annual maintenance budgets
+          </label>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3">
+            {planning.split ? (
+              <>
+                <AmountInput label="Planting (capex)" value={planning.capex} onChange={(capex) => update({ capex })} />
+                <AmountInput
+                  label="Maintenance per year"
+                  value={planning.annualMaintenance}
+                  onChange={(annualMaintenance) => update({ annualMaintenance })}
+                />
+              </>
+            ) : (
+              <AmountInput label="Total budget" value={planning.total} onChange={(total) => update({ total })} />
+            )}
+          </div>
+
+          {plan ? (
+            <p className="text-sm text-gray-300">
+              Affords <span className="font-semibold text-blue-400">{plan.trees.toLocaleString('en-IN')}</span> established
+              trees, {plan.coverage}% of what the current AQI calls for, limited by {LIMIT_LABELS[plan.limitedBy]}.
+              {plan.unspent > 0 && <> {formatRupees(plan.unspent)} is left unspent.</>}
+              {!planning.split && (
+                <span className="block text-xs text-gray-500 mt-1">
+                  Covers planting and {plan.assumptions.planningHorizonYears} years of maintenance.
+                </span>
+              )}
+            </p>
+          ) : (
+            <p className="text-xs text-gray-500">
+              Enter a budget to see how many trees it affords; the figures below show what the AQI calls for until then.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BudgetPlanner;
@@ -0,0 +1,113 @@
+import { Link } from 'react-router-dom';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { convertAQI, getAQIColor, getAQITextClass } from '../utils/aqiStandards';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+/**
+ * Spread of AQI across a city's stations: median/mean/max, a min–max bar and per-pollutant stats
+ */
+function CityAggregateSummary({ aggregate }) {
+  const { standardId, standard } = useAQIStandard();
+
+  if (!aggregate?.aqi) {
+    return (
+      <p className="text-sm text-gray-400 mt-4 pt-4 border-t border-gray-700">
+        No stations with readings were found around this city.
+      </p>
+    );
+  }
+
+  const convert = (value, pollutant) => convertAQI(value, standardId, pollutant);
+  const stats = aggregate.aqi;
+  const min = convert(stats.min);
+  const max = convert(stats.max);
+  const scaleMax = Math.max(max, standard.categories[2].max);
+  const position = (value) => `${Math.min(100, (value / scaleMax) * 100)}%`;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-700">
+      <p className="text-sm text-gray-400 mb-3">
+        City aggregate across {stats.count} station{stats.count !== 1 ? 's' : ''}
+        {aggregate.excludedCount > 0 && (
+          <span className="text-yellow-400">
+            {' '}· {aggregate.excludedCount} flagged station{aggregate.excludedCount !== 1 ? 's' : ''} excluded
+          </span>
+        )}
+      </p>
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        {[
+          ['Median', stats.median],
+          ['Mean', stats.mean],
+          ['Max', stats.max],
+        ].map(([label, value]) => (
+          <div key={label}>
+            <p className="text-xs text-gray-400">{label}</p>
+            <p className={`text-2xl font-bold ${getAQITextClass(convert(value), standardId)}`}>
+              {convert(value)}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {/* Min–max spread with the median marked */}
+      <div className="relative h-3 rounded-full bg-gray-700 mb-1">
+        <div
+          className="absolute h-3 rounded-full"
+          style={{
+            left: position(min),
+            width: `calc(${position(max)} - ${position(min)})`,
+            minWidth: '0.5rem',
+            background: `linear-gradient(to right, ${getAQIColor(min, standardId)}, ${getAQIColor(max, standardId)})`,
+          }}
+        ></div>
+        <div
+          className="absolute -top-1 h-5 w-1 rounded bg-white"
+          style={{ left: position(convert(stats.median)) }}
+          title={`Median ${convert(stats.median)}`}
+        ></div>
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mb-4">
+        <span>Min {min}</span>
+        <span>
+          Worst:{' '}
+          <Link to={`/station/${encodeURIComponent(stats.worst.uid)}`} className="text-blue-400 hover:text-blue-300">
+            {stats.worst.name}
+          </Link>
+        </span>
+        <span>Max {max}</span>
+      </div>
+
+      {Object.keys(aggregate.pollutants).length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-400 text-left">
+                <th className="py-1 font-medium">Pollutant</th>
+                <th className="py-1 font-medium">Median</th>
+                <th className="py-1 font-medium">Mean</th>
+                <th className="py-1 font-medium">Max</th>
+                <th className="py-1 font-medium">Worst station</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(aggregate.pollutants).map(([pollutant, summary]) => (
+                <tr key={pollutant} className="border-t border-gray-700/50">
+                  <td className="py-1 text-gray-300">{POLLUTANT_LABELS[pollutant] || pollutant}</td>
+                  {[summary.median, summary.mean, summary.max].map((value, index) => (
+                    <td key={index} className={`py-1 font-semibold ${getAQITextClass(convert(value, pollutant), standardId)}`}>
+                      {convert(value, pollutant)}
+                    </td>
+                  ))}
+                  <td className="py-1 text-gray-400 truncate max-w-[12rem]">{summary.worst.name}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">Sub-indices in {standard.name}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CityAggregateSummary;
@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { financialModelRows } from '../utils/financialModel';
+import { formatRupees, formatRupeesShort } from '../utils/currency';
+import { downloadCsv } from '../utils/csv';
+
+// Signed rupee amount with a proper minus sign
+function signedRupees(value) {
+  return value < 0 ? `−${formatRupees(-value)}` : formatRupees(value);
+}
+
+function formatPercent(rate) {
+  return rate !== null ? `${(rate * 100).toFixed(1)}%` : 'N/A';
+}
+
+/**
+ * Cash flows, NPV, IRR and payback of the planting plan, exportable as CSV
+ * @param {Object} props.model - buildFinancialModel result
+ * @param {string} props.city - For the export file name
+ * @param {string} [props.narrative] - AI text on returns beyond the cash flows
+ */
+function FinancialModelCard({ model, city, narrative }) {
+  const [showTable, setShowTable] = useState(false);
+
+  const handleExport = () => {
+    downloadCsv(`${city.replace(/[^\w-]+/g, '-').toLowerCase()}-planting-cash-flows.csv`, financialModelRows(model));
+  };
+
+  const metrics = [
+    { label: `NPV at ${formatPercent(model.discountRate)}`, value: signedRupees(model.npv), positive: model.npv >= 0 },
+    { label: 'IRR', value: formatPercent(model.irr), positive: model.irr !== null && model.irr >= model.discountRate },
+    {
+      label: 'Payback',
+      value: model.paybackYear !== null ? `Year ${model.paybackYear}` : `Not within ${model.years.length} yrs`,
+      positive: model.paybackYear !== null,
+    },
+    { label: 'Benefits / costs', value: model.totals.costs > 0 ? (model.totals.benefits / model.totals.costs).toFixed(2) : 'N/A', positive: model.totals.benefits >= model.totals.costs },
+  ];
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <div className="flex items-center justify-between gap-2 mb-5">
+        <h3 className="font-semibold text-white text-sm uppercase tracking-wide flex items-center gap-2">
+          <span>💹</span> Financial Model
+        </h3>
+        <button
+          onClick={handleExport}
+          className="px-2 py-1 text-xs bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors"
+        >
+          CSV
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        {metrics.map(({ label, value, positive }) => (
+          <div key={label} className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+            <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">{label}</p>
+            <p className={`text-xl font-bold ${positive ? 'text-blue-400' : 'text-orange-400'}`}>{value}</p>
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-400 mb-4">
+        Over {model.years.length} years: {formatRupeesShort(model.totals.costs)} in planting, maintenance and
+        replacement against {formatRupeesShort(model.totals.healthSavings)} of health savings and{' '}
+        {formatRupeesShort(model.totals.carbonCredits)} of carbon credits.
+      </p>
+
+      {narrative && <p className="text-gray-200 text-sm leading-relaxed mb-4">{narrative}</p>}
+
+      <button
+        onClick={() => setShowTable(!showTable)}
+        className="text-xs text-blue-400 hover:text-blue-300"
+        aria-expanded={showTable}
+      >
+        {showTable ? 'Hide' : 'Show'} yearly cash flows
+      </button>
+
+      {showTable && (
+        <div className="overflow-x-auto mt-3">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-400 uppercase tracking-wide border-b border-gray-600">
+                <th className="text-left py-2 font-medium">Year</th>
+                <th className="text-right py-2 font-medium">Planting</th>
+                <th className="text-right py-2 font-medium">Maintenance</th>
+                <th className="text-right py-2 font-medium">Replacement</th>
+                <th className="text-right py-2 font-medium">Health savings</th>
+                <th className="text-right py-2 font-medium">Carbon credits</th>
+                <th className="text-right py-2 font-medium">Net</th>
+                <th className="text-right py-2 font-medium">Cumulative</th>
+              </tr>
+            </thead>
+            <tbody>
+              {model.years.map((row) => (
+                <tr
+                  key={row.year}
+                  className={`border-b border-gray-700 text-gray-200 ${row.year === model.paybackYear ? 'bg-blue-900/20' : ''}`}
+                >
+                  <td className="py-1.5">{row.year}</td>
+                  <td className="py-1.5 text-right">{formatRupeesShort(row.capex)}</td>
+                  <td className="py-1.5 text-right">{formatRupeesShort(row.maintenance)}</td>
+                  <td className="py-1.5 text-right">{formatRupeesShort(row.replacement)}</td>
+                  <td className="py-1.5 text-right">{formatRupeesShort(row.healthSavings)}</td>
+                  <td className="py-1.5 text-right">{formatRupeesShort(row.carbonCredits)}</td>
+                  <td className={`py-1.5 text-right ${row.net < 0 ? 'text-orange-300' : 'text-blue-300'}`}>
+                    {formatRupeesShort(row.net)}
+                  </td>
+                  <td className={`py-1.5 text-right font-semibold ${row.cumulative < 0 ? 'text-orange-300' : 'text-blue-300'}`}>
+                    {formatRupeesShort(row.cumulative)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FinancialModelCard;
@@ -0,0 +1,235 @@
+import { useMemo, useState } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceArea,
+} from 'recharts';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { convertAQI, getCategoryBands, toStandard } from '../utils/aqiStandards';
+import { FORECAST_POLLUTANTS, buildForecastSeries, formatLocalTime } from '../utils/forecastSeries';
+
+const SERIES_COLORS = {
+  aqi: '#3B82F6',
+  pm25: '#F97316',
+  pm10: '#EAB308',
+  o3: '#22D3EE',
+  no2: '#A855F7',
+  so2: '#EC4899',
+  co: '#94A3B8',
+};
+
+const SERIES_LABELS = { aqi: 'AQI', ...POLLUTANT_LABELS };
+
+function formatOffset(offsetSeconds) {
+  const sign = offsetSeconds < 0 ? '-' : '+';
+  const minutes = Math.abs(offsetSeconds) / 60;
+  return `UTC${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Multi-day pollution forecast: hourly lines per pollutant plus daily min–max bands
+ */
+function ForecastChart({ forecast, timezoneOffset = 0 }) {
+  const { standardId, standard } = useAQIStandard();
+  const [selected, setSelected] = useState(['aqi', 'pm25']);
+
+  const series = useMemo(
+    () => buildForecastSeries(forecast, { timezoneOffset }),
+    [forecast, timezoneOffset]
+  );
+
+  const available = FORECAST_POLLUTANTS.filter((pollutant) =>
+    series.hourly.some((point) => point[pollutant] !== null) ||
+    series.daily.some((day) => day.values[pollutant])
+  );
+
+  // Rows for the chart, in the selected standard; band-only rows cover days beyond the hourly horizon
+  const rows = useMemo(() => {
+    const byTime = new Map();
+    const rowAt = (time) => {
+      if (!byTime.has(time)) byTime.set(time, { time });
+      return byTime.get(time);
+    };
+
+    series.hourly.forEach((point) => {
+      const subIndices = {};
+      FORECAST_POLLUTANTS.slice(1).forEach((pollutant) => {
+        if (point[pollutant] !== null) subIndices[pollutant] = point[pollutant];
+      });
+      const converted = toStandard({ aqi: point.aqi, subIndices }, standardId);
+      Object.assign(rowAt(point.time), { aqi: converted.aqi, ...converted.subIndices });
+    });
+
+    series.daily.forEach(({ start, end, values }) => {
+      Object.entries(values).forEach(([pollutant, dayStats]) => {
+        const basis = pollutant === 'aqi' ? undefined : pollutant;
+        const band = [
+          convertAQI(dayStats.min, standardId, basis),
+          convertAQI(dayStats.max, standardId, basis),
+        ];
+        const avg = convertAQI(dayStats.avg, standardId, basis);
+        [start, end].forEach((time) => rowAt(time));
+        byTime.forEach((row, time) => {
+          if (time >= start && time <= end) {
+            row[`band_${pollutant}`] = band;
+            row[`avg_${pollutant}`] = avg;
+            row[`source_${pollutant}`] = dayStats.source;
+          }
+        });
+      });
+    });
+
+    return [...byTime.values()].sort((a, b) => a.time - b.time);
+  }, [series, standardId]);
+
+  if (rows.length === 0) return null;
+
+  const bands = getCategoryBands(standardId);
+  const shown = selected.filter((pollutant) => available.includes(pollutant));
+
+  const togglePollutant = (pollutant) => {
+    setSelected((current) =>
+      current.includes(pollutant)
+        ? current.filter((item) => item !== pollutant)
+        : [...current, pollutant]
+    );
+  };
+
+  const CustomTooltip = ({ active, payload, label }) => {
+    if (!active || !payload || payload.length === 0) return null;
+    const row = payload[0].payload;
+    return (
+      <div className="bg-gray-800 border border-gray-700 p-3 rounded-lg shadow-xl text-xs space-y-1">
+        <p className="text-gray-400 font-semibold uppercase tracking-wider">
+          {formatLocalTime(label, timezoneOffset, { withDay: true })}
+        </p>
+        {shown.map((pollutant) => (
+          <div key={pollutant} className="flex justify-between gap-4">
+            <span style={{ color: SERIES_COLORS[pollutant] }}>{SERIES_LABELS[pollutant]}</span>
+            <span className="text-gray-200">
+              {row[pollutant] ?? '–'}
+              {row[`band_${pollutant}`] && (
+                <span className="text-gray-500">
+                  {' '}(day {row[`band_${pollutant}`][0]}–{row[`band_${pollutant}`][1]}, avg {row[`avg_${pollutant}`]}
+                  {row[`source_${pollutant}`] === 'aqicn' ? ', AQICN' : ''})
+                </span>
+              )}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Pollution Forecast</h3>
+          <p className="text-xs text-gray-400 mt-1">
+            {standard.name} sub-indices · local time ({formatOffset(timezoneOffset)}) · shaded bands show each day's min–max
+          </p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {available.map((pollutant) => {
+            const active = selected.includes(pollutant);
+            return (
+              <button
+                key={pollutant}
+                onClick={() => togglePollutant(pollutant)}
+                className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+                  active ? 'text-white' : 'text-gray-400 border-gray-600 hover:border-gray-500'
+                }`}
+                style={active ? { backgroundColor: `${SERIES_COLORS[pollutant]}33`, borderColor: SERIES_COLORS[pollutant] } : undefined}
+              >
+                {SERIES_LABELS[pollutant]}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="h-72 w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={rows} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+            <XAxis
+              dataKey="time"
+              type="number"
+              scale="time"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(time) => formatLocalTime(time, timezoneOffset, { withDay: true })}
+              axisLine={false}
+              tickLine={false}
+              tick={{ fill: '#9CA3AF', fontSize: 10 }}
+              minTickGap={40}
+            />
+            <YAxis
+              axisLine={false}
+              tickLine={false}
+              tick={{ fill: '#9CA3AF', fontSize: 10 }}
+              domain={[0, (dataMax) => Math.min(standard.max, Math.max(bands[2].to, dataMax + bands[0].to))]}
+            />
+            {bands.map((band) => (
+              <ReferenceArea
+                key={band.label}
+                y1={band.from}
+                y2={band.to}
+                fill={band.color}
+                fillOpacity={0.06}
+                ifOverflow="hidden"
+              />
+            ))}
+            <Tooltip content={<CustomTooltip />} />
+            {shown.map((pollutant) => (
+              <Area
+                key={`band_${pollutant}`}
+                dataKey={`band_${pollutant}`}
+                stroke="none"
+                fill={SERIES_COLORS[pollutant]}
+                fillOpacity={0.15}
+                connectNulls={false}
+                isAnimationActive={false}
+              />
+            ))}
+            {shown.map((pollutant) => (
+              <Line
+                key={`avg_${pollutant}`}
+                dataKey={`avg_${pollutant}`}
+                stroke={SERIES_COLORS[pollutant]}
+                strokeDasharray="4 4"
+                strokeOpacity={0.6}
+                dot={false}
+                connectNulls={false}
+                isAnimationActive={false}
+              />
+            ))}
+            {shown.map((pollutant) => (
+              <Line
+                key={pollutant}
+                dataKey={pollutant}
+                stroke={SERIES_COLORS[pollutant]}
+                strokeWidth={2}
+                dot={false}
+                connectNulls
+                isAnimationActive={false}
+              />
+            ))}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Hourly values from the OpenWeather pollution forecast; daily bands use AQICN&apos;s station forecast where available.
+      </p>
+    </div>
+  );
+}
+
+export default ForecastChart;
@@ -0,0 +1,187 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { TileLayer, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { DEFAULT_STANDARD_ID, getCategoryBands } from '../utils/aqiStandards';
+import { compassPoint } from '../utils/geo';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+const WEATHER_LABELS = {
+  wind: 'Wind speed',
+  precipitation: 'Precipitation',
+};
+
+function layerLabel(id) {
+  return id === 'aqi' ? 'Overall AQI' : `${POLLUTANT_LABELS[id] || id} sub-index`;
+}
+
+/**
+ * Tile overlays for the map plus the in-map control that picks them: one pollution layer
+ * (overall AQI or a single pollutant), an optional weather layer, a shared opacity and a
+ * legend in the selected standard, so a screenshot says what it shows
+ * @param {Object} props.layers - getMapLayers() result
+ * @param {Object} props.settings - { pollution, weather, opacity } ("off" hides a layer)
+ * @param {string} [props.surfacePollutant] - Interpolated surface on show ("off" when none); it replaces
+ *   the pollution tiles
+ * @param {Object} [props.wind] - { deg, speed } for the wind arrow toggle, null when unknown
+ */
+function MapLayerControl({ layers, settings, onChange, surfacePollutant = 'off', wind = null }) {
+  const map = useMap();
+  const { standardId, standard } = useAQIStandard();
+  const [open, setOpen] = useState(true);
+  const panelRef = useRef(null);
+
+  // Clicks and scrolls on the panel shouldn't reach the map (point queries, zoom)
+  useEffect(() => {
+    if (!panelRef.current) return;
+    L.DomEvent.disableClickPropagation(panelRef.current);
+    L.DomEvent.disableScrollPropagation(panelRef.current);
+  }, []);
+
+  const surfaceActive = surfacePollutant !== 'off';
+  const pollutionLayer = surfaceActive
+    ? null
+    : layers.pollution.find((layer) => layer.id === settings.pollution);
+  const weatherLayer = layers.weather.find((layer) => layer.id === settings.weather);
+  const update = (change) => onChange({ ...settings, ...change });
+
+  return (
+    <>
+      {pollutionLayer && (
+        <TileLayer
+          key={pollutionLayer.url}
+          url={pollutionLayer.url}
+          attribution={layers.attribution.pollution}
+          maxZoom={18}
+          minZoom={1}
+          opacity={settings.opacity}
+          zIndex={2}
+        />
+      )}
+      {weatherLayer && (
+        <TileLayer
+          key={weatherLayer.url}
+          url={weatherLayer.url}
+          attribution={layers.attribution.weather}
+          maxZoom={18}
+          minZoom={1}
+          opacity={settings.opacity}
+          zIndex={3}
+        />
+      )}
+      {createPortal(
+        <div
+          ref={panelRef}
+          className="absolute top-2 right-2 z-[1000] w-56 max-h-[calc(100%-1rem)] overflow-y-auto rounded-lg bg-gray-900/90 text-xs text-gray-200 shadow-lg"
+        >
+          <button
+            type="button"
+            onClick={() => setOpen((value) => !value)}
+            className="flex w-full items-center justify-between px-3 py-2 font-semibold"
+            aria-expanded={open}
+          >
+            Layers
+            <span className="text-gray-400">{open ? '▾' : '▸'}</span>
+          </button>
+
+          {open && (
+            <div className="space-y-2 px-3 pb-3">
+              {layers.pollution.length > 0 && (
+                <label className="block">
+                  <span className="text-gray-400">Pollution tiles</span>
+                  <select
+                    value={settings.pollution}
+                    onChange={(e) => update({ pollution: e.target.value })}
+                    disabled={surfaceActive}
+                    className="mt-1 w-full px-2 py-1 bg-gray-700 border border-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                  >
+                    <option value="off">Off</option>
+                    {layers.pollution.map((layer) => (
+                      <option key={layer.id} value={layer.id}>{layerLabel(layer.id)}</option>
+                    ))}
+                  </select>
+                  {surfaceActive && (
+                    <span className="mt-1 block text-yellow-400">Hidden while the interpolated surface is on</span>
+                  )}
+                </label>
+              )}
+
+              {layers.weather.length > 0 && (
+                <label className="block">
+                  <span className="text-gray-400">Weather</span>
+                  <select
+                    value={settings.weather}
+                    onChange={(e) => update({ weather: e.target.value })}
+                    className="mt-1 w-full px-2 py-1 bg-gray-700 border border-gray-600 text-white rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    <option value="off">Off</option>
+                    {layers.weather.map((layer) => (
+                      <option key={layer.id} value={layer.id}>{WEATHER_LABELS[layer.id]}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={settings.windArrows && wind !== null}
+                  onChange={(e) => update({ windArrows: e.target.checked })}
+                  disabled={wind === null}
+                />
+                <span className={wind === null ? 'text-gray-500' : ''}>
+                  Wind arrows{wind === null && ' (no direction reported)'}
+                </span>
+              </label>
+
+              <label className="block">
+                <span className="text-gray-400">Opacity {Math.round(settings.opacity * 100)}%</span>
+                <input
+                  type="range"
+                  min="0.1"
+                  max="1"
+                  step="0.05"
+                  value={settings.opacity}
+                  onChange={(e) => update({ opacity: Number(e.target.value) })}
+                  className="w-full"
+                />
+              </label>
+
+              {/* Legend */}
+              <div className="border-t border-gray-700 pt-2">
+                <p className="mb-1 font-semibold">
+                  {surfaceActive && 'Surface: '}
+                  {layerLabel(surfaceActive ? surfacePollutant : pollutionLayer?.id ?? 'aqi')} · {standard.name}
+                </p>
+                <ul className="space-y-0.5">
+                  {getCategoryBands(standardId).map((band) => (
+                    <li key={band.label} className="flex items-center gap-2">
+                      <span className="inline-block h-3 w-3 rounded-sm" style={{ backgroundColor: band.color }}></span>
+                      <span className="flex-1">{band.label}</span>
+                      <span className="text-gray-400">{band.from}–{band.to}</span>
+                    </li>
+                  ))}
+                </ul>
+                {pollutionLayer && standardId !== DEFAULT_STANDARD_ID && (
+                  <p className="mt-1 text-gray-400">Tiles are coloured on the US EPA scale; markers use {standard.name}.</p>
+                )}
+                {weatherLayer && (
+                  <p className="mt-1 text-gray-400">{WEATHER_LABELS[weatherLayer.id]} tiles from OpenWeather</p>
+                )}
+                {settings.windArrows && wind && (
+                  <p className="mt-1 text-gray-400">
+                    Arrows: wind from {compassPoint(wind.deg)} at {wind.speed ?? 'N/A'} m/s, pointing downwind
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>,
+        map.getContainer()
+      )}
+    </>
+  );
+}
+
+export default MapLayerControl;
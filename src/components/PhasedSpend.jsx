@@ -0,0 +1,60 @@
+import { formatRupees } from '../utils/currency';
+
+/**
+ * Saplings per species and spend per programme year
+ * @param {Object} props.impact - computePlantingImpact or computeBudgetPlan result
+ */
+function PhasedSpend({ impact }) {
+  const total = impact.phases.reduce((sum, phase) => sum + phase.total, 0);
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <h3 className="font-semibold text-white mb-4 text-sm uppercase tracking-wide flex items-center gap-2">
+        <span>🗓️</span> Species Mix & Phased Spend
+      </h3>
+
+      {impact.speciesMix.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-5">
+          {impact.speciesMix.map(({ species, saplings }) => (
+            <span key={species} className="px-3 py-1.5 bg-gray-800/50 border border-gray-600 rounded-lg text-sm text-gray-200">
+              {species} <span className="font-semibold text-blue-400">{saplings.toLocaleString('en-IN')}</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-gray-400 uppercase tracking-wide border-b border-gray-600">
+              <th className="text-left py-2 font-medium">Year</th>
+              <th className="text-right py-2 font-medium">Saplings</th>
+              <th className="text-right py-2 font-medium">Planting</th>
+              <th className="text-right py-2 font-medium">Maintenance</th>
+              <th className="text-right py-2 font-medium">Total</th>
+            </tr>
+          </thead>
+          <tbody>
+            {impact.phases.map((phase) => (
+              <tr key={phase.year} className="border-b border-gray-700 text-gray-200">
+                <td className="py-2">{phase.year}</td>
+                <td className="py-2 text-right">{phase.saplings > 0 ? phase.saplings.toLocaleString('en-IN') : '–'}</td>
+                <td className="py-2 text-right">{formatRupees(phase.planting)}</td>
+                <td className="py-2 text-right">{formatRupees(phase.maintenance)}</td>
+                <td className="py-2 text-right font-semibold">{formatRupees(phase.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="text-gray-200">
+              <td className="pt-3 text-xs text-gray-400 uppercase tracking-wide" colSpan={4}>Programme total</td>
+              <td className="pt-3 text-right font-bold text-blue-400">{formatRupees(total)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default PhasedSpend;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import {
+  INDEX_UNIT,
+  POLLUTANT_KEYS,
+  UNIT_SYSTEMS,
+  convertPollutantValue,
+  formatPollutantValue,
+  inUnitSystem,
+} from '../utils/pollutants';
+import { downloadCsv } from '../utils/csv';
+
+/**
+ * Pollutant values with their units, switchable between the reported values and a unit system,
+ * and exportable as CSV
+ * @param {Object} props.data - getAQIData result
+ */
+function PollutantsCard({ data }) {
+  const [unitSystem, setUnitSystem] = useState('reported');
+  // ppb ↔ μg/m³ depends on the air temperature
+  const temperature = Number.isFinite(data.temp) ? data.temp : 25;
+
+  const values = POLLUTANT_KEYS.map((pollutant) => ({
+    pollutant,
+    reported: data.pollutants?.[pollutant] || null,
+    shown: inUnitSystem(pollutant, data.pollutants?.[pollutant] || null, unitSystem, { temperature }),
+  }));
+  const hasIndices = values.some(({ shown }) => shown?.kind === 'index');
+  const hasEstimates = values.some(({ shown }) => shown?.estimated);
+
+  const handleExport = () => {
+    const observedAt = data.observedAt !== null ? new Date(data.observedAt).toISOString() : '';
+    downloadCsv(`${data.city.replace(/[^\w-]+/g, '-').toLowerCase()}-pollutants.csv`, [
+      ['city', 'station_uid', 'observed_at', 'pollutant', 'value', 'unit', 'kind', 'estimated', 'us_epa_sub_index'],
+      ...values.map(({ pollutant, reported, shown }) => [
+        data.city,
+        data.stationUid ?? '',
+        observedAt,
+        pollutant,
+        shown?.value ?? '',
+        shown?.unit ?? '',
+        shown?.kind ?? '',
+        shown ? Boolean(shown.estimated) : '',
+        convertPollutantValue(pollutant, reported, INDEX_UNIT, { temperature })?.value ?? '',
+      ]),
+    ]);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Pollutants
+        </h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={unitSystem}
+            onChange={(e) => setUnitSystem(e.target.value)}
+            className="px-2 py-1 bg-gray-700 border border-gray-600 text-white text-xs rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Units"
+          >
+            {Object.entries(UNIT_SYSTEMS).map(([id, system]) => (
+              <option key={id} value={id}>{system.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleExport}
+            className="px-2 py-1 text-xs bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors"
+          >
+            CSV
+          </button>
+        </div>
+      </div>
+      <div className="space-y-3">
+        {values.map(({ pollutant, shown }) => (
+          <div key={pollutant} className="flex justify-between">
+            <span className="text-gray-400">{POLLUTANT_LABELS[pollutant]}:</span>
+            <span className="font-semibold text-gray-200">{formatPollutantValue(shown)}</span>
+          </div>
+        ))}
+      </div>
+      {(hasIndices || hasEstimates) && (
+        <div className="text-xs text-gray-500 mt-3 space-y-1">
+          {hasIndices && <p>{INDEX_UNIT}: US EPA sub-index as reported by the station, not a concentration.</p>}
+          {hasEstimates && <p>≈ estimated from the sub-index; gases converted at {temperature}°C.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PollutantsCard;
@@ -0,0 +1,107 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPortal } from 'react-dom';
+import { useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { convertAQI, getAQIColor, getAQILabel } from '../utils/aqiStandards';
+import { MIN_SURFACE_SAMPLES, idwEstimate, interpolateGrid } from '../utils/interpolation';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+// Interpolation grid width in cells; rows follow the map's aspect ratio
+const GRID_COLUMNS = 96;
+const SURFACE_ALPHA = 150;
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Continuous pollution surface interpolated from station samples, drawn on a canvas and laid over
+ * the visible map area in the selected standard's colours, with a readout of the value under the cursor
+ */
+function PollutionSurfaceLayer({ points, pollutant, viewport }) {
+  const map = useMap();
+  const { standardId, standard } = useAQIStandard();
+  const [hover, setHover] = useState(null);
+  const frameRef = useRef(null);
+  // Sub-indices convert against their own pollutant; the overall AQI against PM2.5
+  const basis = pollutant === 'aqi' ? undefined : pollutant;
+
+  useEffect(() => {
+    if (!viewport || points.length < MIN_SURFACE_SAMPLES) return undefined;
+
+    const { bounds } = viewport;
+    const size = map.getSize();
+    const cols = GRID_COLUMNS;
+    const rows = Math.max(1, Math.round((cols * size.y) / Math.max(1, size.x)));
+    const grid = interpolateGrid(points, bounds, { cols, rows });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(cols, rows);
+    const colors = new Map();
+
+    grid.forEach((value, index) => {
+      if (Number.isNaN(value)) return;
+      const rounded = Math.round(value);
+      if (!colors.has(rounded)) {
+        colors.set(rounded, hexToRgb(getAQIColor(convertAQI(rounded, standardId, basis), standardId)));
+      }
+      const [r, g, b] = colors.get(rounded);
+      image.data.set([r, g, b, SURFACE_ALPHA], index * 4);
+    });
+    context.putImageData(image, 0, 0);
+
+    const overlay = L.imageOverlay(
+      canvas.toDataURL(),
+      [[bounds.south, bounds.west], [bounds.north, bounds.east]],
+      { interactive: false }
+    ).addTo(map);
+
+    return () => overlay.remove();
+  }, [map, points, basis, viewport, standardId]);
+
+  useMapEvents({
+    mousemove: (e) => {
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = requestAnimationFrame(() => {
+        const estimate = idwEstimate(points, e.latlng.lat, e.latlng.lng);
+        setHover(estimate === null ? null : convertAQI(Math.round(estimate), standardId, basis));
+      });
+    },
+    mouseout: () => {
+      cancelAnimationFrame(frameRef.current);
+      setHover(null);
+    },
+  });
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  if (points.length < MIN_SURFACE_SAMPLES) return null;
+
+  return createPortal(
+    <div className="absolute bottom-2 left-2 z-[1000] pointer-events-none rounded-lg bg-gray-900/85 px-3 py-2 text-xs text-gray-200 shadow-lg">
+      <p className="text-gray-400">
+        Estimated {pollutant === 'aqi' ? 'AQI' : `${POLLUTANT_LABELS[pollutant]} sub-index`} ({standard.name})
+      </p>
+      {hover !== null ? (
+        <p className="text-sm font-semibold">
+          <span
+            className="inline-block w-2 h-2 rounded-full mr-1"
+            style={{ backgroundColor: getAQIColor(hover, standardId) }}
+          ></span>
+          {hover} · {getAQILabel(hover, standardId)}
+        </p>
+      ) : (
+        <p className="text-sm">Hover over the surface</p>
+      )}
+      <p className="text-gray-500">IDW from {points.length} stations</p>
+    </div>,
+    map.getContainer()
+  );
+}
+
+export default PollutionSurfaceLayer;
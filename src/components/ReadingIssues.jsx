@@ -0,0 +1,33 @@
+const HEADINGS = {
+  dropped: 'Some values in this reading failed validation and are not shown:',
+  estimated: 'Some values in this reading are missing and were estimated:',
+};
+
+/**
+ * Values the reading validation dropped or estimated, so they don't silently show as N/A
+ * @param {Object[]} props.issues - `issues` from getAQIData ({ kind, message })
+ */
+function ReadingIssues({ issues }) {
+  if (!issues?.length) return null;
+
+  const groups = Object.keys(HEADINGS)
+    .map((kind) => ({ kind, messages: issues.filter((issue) => issue.kind === kind).map((issue) => issue.message) }))
+    .filter((group) => group.messages.length > 0);
+
+  return (
+    <div className="mt-4 rounded-lg border border-yellow-700 bg-yellow-900/30 p-3 space-y-2">
+      {groups.map(({ kind, messages }) => (
+        <div key={kind}>
+          <p className="text-sm font-medium text-yellow-300">{HEADINGS[kind]}</p>
+          <ul className="mt-1 list-disc list-inside text-xs text-yellow-200/80">
+            {messages.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ReadingIssues;
@@ -0,0 +1,287 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+import { getPlan } from '../api/aiService';
+import { costEffectiveness } from '../utils/plantingImpact';
+import { buildFinancialModel } from '../utils/financialModel';
+import { downloadCsv } from '../utils/csv';
+import { deleteScenario, loadScenarios, saveScenario } from '../utils/scenarios';
+import { formatRupees, formatRupeesShort } from '../utils/currency';
+import { convertAQI, toStandard } from '../utils/aqiStandards';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+const SCENARIO_COLORS = ['#3B82F6', '#F97316', '#22C55E', '#A855F7', '#EAB308', '#EC4899'];
+
+const SIZED_BY_LABELS = {
+  need: 'AQI need',
+  trees: 'Tree count',
+  budget: 'Budget',
+};
+
+const TOOLTIP_PROPS = {
+  contentStyle: { backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' },
+  labelStyle: { color: '#F3F4F6' },
+};
+const AXIS_PROPS = { tick: { fill: '#9CA3AF', fontSize: 10 }, axisLine: false, tickLine: false };
+
+function rupeesOrNA(value) {
+  return value !== null ? formatRupees(value) : 'N/A';
+}
+
+/**
+ * Save the current planting plan as a named scenario and compare the city's saved scenarios
+ * Every scenario is recomputed against the current reading, so differences come from the plans only.
+ * @param {Object} props.aqiData - getAQIData result
+ * @param {Object} props.current - { species, planning, assumptions } of the plan on screen
+ */
+function ScenarioComparison({ aqiData, current }) {
+  const [scenarios, setScenarios] = useState(() => loadScenarios(aqiData.city));
+  const [name, setName] = useState('');
+  const { standardId, standard } = useAQIStandard();
+  // Plans are computed on the US EPA scale; AQI values are shown in the selected standard
+  const toDisplayAQI = (epaAQI) => convertAQI(epaAQI, standardId, aqiData.dominantPollutant || undefined) ?? 'N/A';
+
+  useEffect(() => {
+    setScenarios(loadScenarios(aqiData.city));
+  }, [aqiData.city]);
+
+  const compared = useMemo(() => scenarios.map((scenario, index) => {
+    const impact = getPlan(aqiData, scenario.species, scenario.planning, scenario.assumptions);
+    return {
+      scenario,
+      impact,
+      model: buildFinancialModel(impact),
+      color: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+      ...costEffectiveness(impact),
+    };
+  }), [scenarios, aqiData]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const scenarioName = name.trim() || `Scenario ${scenarios.length + 1}`;
+    setScenarios(saveScenario(aqiData.city, { name: scenarioName, aqi: aqiData.aqi, ...current }));
+    setName('');
+  };
+
+  const costRows = compared.map(({ scenario, impact }) => ({
+    name: scenario.name,
+    investment: impact.investment,
+    maintenance: impact.annualMaintenance,
+  }));
+  const efficiencyRows = compared.map(({ scenario, costPerAQIPoint, costPerTonCO2 }) => ({
+    name: scenario.name,
+    costPerAQIPoint,
+    costPerTonCO2,
+  }));
+  // Cumulative spend per programme year, one line per scenario
+  const years = Math.max(0, ...compared.map(({ impact }) => impact.phases.length));
+  const spendRows = Array.from({ length: years }, (_, index) => {
+    const row = { year: `Year ${index + 1}` };
+    compared.forEach(({ scenario, impact }) => {
+      const phases = impact.phases.slice(0, index + 1);
+      row[scenario.id] = index < impact.phases.length ? phases.reduce((sum, phase) => sum + phase.total, 0) : null;
+    });
+    return row;
+  });
+
+  const metricRows = [
+    // Plans saved before a count or budget was entered are sized by the AQI
+    ['Sized by', ({ scenario, impact }) => SIZED_BY_LABELS[impact.coverage !== undefined ? scenario.planning.mode : 'need']],
+    ['Trees established', ({ impact }) => impact.trees.toLocaleString('en-IN')],
+    ['Species', ({ scenario }) => scenario.species.join(', ') || 'N/A'],
+    ['Investment', ({ impact }) => rupeesOrNA(impact.investment)],
+    ['Annual maintenance', ({ impact }) => rupeesOrNA(impact.annualMaintenance)],
+    ['Timeline', ({ impact }) => `${impact.phases.length} years`],
+    [`AQI after 5 years (${standard.name})`, ({ impact }) => `${toDisplayAQI(impact.after.aqi)} (−${impact.improvement}%)`],
+    ['CO₂ sequestered', ({ impact }) => `${impact.lifetimeCarbon.toFixed(1)} t / ${impact.assumptions.treeLifetimeYears} yrs`],
+    ['Total cost', ({ totalCost }) => rupeesOrNA(totalCost)],
+    ['Cost per US EPA AQI point', ({ costPerAQIPoint }) => rupeesOrNA(costPerAQIPoint)],
+    ['Cost per ton CO₂', ({ costPerTonCO2 }) => rupeesOrNA(costPerTonCO2)],
+    ['NPV', ({ model }) => `${model.npv < 0 ? '−' : ''}${formatRupeesShort(Math.abs(model.npv))} at ${(model.discountRate * 100).toFixed(1)}%`],
+    ['IRR', ({ model }) => (model.irr !== null ? `${(model.irr * 100).toFixed(1)}%` : 'N/A')],
+    ['Payback', ({ model }) => (model.paybackYear !== null ? `Year ${model.paybackYear}` : 'None')],
+  ];
+
+  const handleExport = () => {
+    downloadCsv(`${aqiData.city.replace(/[^\w-]+/g, '-').toLowerCase()}-planting-scenarios.csv`, [
+      ['scenario', 'sized_by', 'trees', 'saplings', 'species', 'investment_inr', 'annual_maintenance_inr',
+        'timeline_years', 'aqi_now_us_epa', 'aqi_after_5_years_us_epa', 'lifetime_co2_t', 'total_cost_inr',
+        'cost_per_aqi_point_inr', 'cost_per_t_co2_inr', 'discount_rate', 'npv_inr', 'irr', 'payback_year'],
+      ...compared.map(({ scenario, impact, model, totalCost, costPerAQIPoint, costPerTonCO2 }) => [
+        scenario.name,
+        impact.coverage !== undefined ? scenario.planning.mode : 'need',
+        impact.trees,
+        impact.saplings,
+        scenario.species.join('; '),
+        impact.investment,
+        impact.annualMaintenance,
+        impact.phases.length,
+        impact.before.aqi,
+        impact.after.aqi,
+        Number(impact.lifetimeCarbon.toFixed(1)),
+        totalCost,
+        costPerAQIPoint ?? '',
+        costPerTonCO2 ?? '',
+        model.discountRate,
+        model.npv,
+        model.irr !== null ? Number(model.irr.toFixed(4)) : '',
+        model.paybackYear ?? '',
+      ]),
+    ]);
+  };
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="font-semibold text-white text-sm uppercase tracking-wide flex items-center gap-2">
+          <span>⚖️</span> Scenarios for {aqiData.city}
+        </h3>
+        <form onSubmit={handleSave} className="flex gap-2">
+          {compared.length > 0 && (
+            <button
+              type="button"
+              onClick={handleExport}
+              className="px-2 py-1 text-xs bg-gray-700 text-gray-200 rounded-lg hover:bg-gray-600 transition-colors"
+            >
+              CSV
+            </button>
+          )}
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder={`Scenario ${scenarios.length + 1}`}
+            className="w-44 px-2 py-1 bg-gray-800 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            aria-label="Scenario name"
+          />
+          <button
+            type="submit"
+            className="px-3 py-1 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Save current plan
+          </button>
+        </form>
+      </div>
+
+      {compared.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          Save the plan above under a name, change the tree count, budget, species or assumptions, and save
+          again to compare the options here.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-600">
+                  <th className="text-left py-2 pr-4 text-xs text-gray-400 font-medium uppercase tracking-wide">Scenario</th>
+                  {compared.map(({ scenario, color }) => (
+                    <th key={scenario.id} className="text-right py-2 px-2 font-semibold whitespace-nowrap" style={{ color }}>
+                      {scenario.name}
+                      <button
+                        onClick={() => setScenarios(deleteScenario(aqiData.city, scenario.id))}
+                        className="ml-2 text-gray-500 hover:text-red-400"
+                        aria-label={`Delete ${scenario.name}`}
+                        title="Delete scenario"
+                      >
+                        ×
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {metricRows.map(([label, value]) => (
+                  <tr key={label} className="border-b border-gray-700">
+                    <td className="py-2 pr-4 text-gray-400 whitespace-nowrap">{label}</td>
+                    {compared.map((entry) => (
+                      <td key={entry.scenario.id} className="py-2 px-2 text-right text-gray-200">{value(entry)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              All scenarios are recalculated for the current AQI of {toStandard(aqiData, standardId).aqi ?? 'N/A'} ({standard.name}); total cost is planting plus maintenance over each plan&apos;s timeline.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+              <p className="text-xs text-gray-400 mb-3 uppercase tracking-wide">Investment & Annual Maintenance</p>
+              <div className="h-64 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={costRows} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+                    <XAxis dataKey="name" {...AXIS_PROPS} />
+                    <YAxis {...AXIS_PROPS} tickFormatter={formatRupeesShort} />
+                    <Tooltip {...TOOLTIP_PROPS} formatter={(value, label) => [formatRupees(value), label]} cursor={{ fill: '#374151', opacity: 0.3 }} />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    <Bar dataKey="investment" name="Investment" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+                    <Bar dataKey="maintenance" name="Annual maintenance" fill="#22D3EE" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+              <p className="text-xs text-gray-400 mb-3 uppercase tracking-wide">Cost-effectiveness</p>
+              <div className="h-64 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={efficiencyRows} margin={{ top: 10, right: 0, left: 0, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+                    <XAxis dataKey="name" {...AXIS_PROPS} />
+                    <YAxis yAxisId="aqi" {...AXIS_PROPS} tickFormatter={formatRupeesShort} />
+                    <YAxis yAxisId="co2" orientation="right" {...AXIS_PROPS} tickFormatter={formatRupeesShort} />
+                    <Tooltip {...TOOLTIP_PROPS} formatter={(value, label) => [rupeesOrNA(value), label]} cursor={{ fill: '#374151', opacity: 0.3 }} />
+                    <Legend wrapperStyle={{ fontSize: 12 }} />
+                    <Bar yAxisId="aqi" dataKey="costPerAQIPoint" name="Per US EPA AQI point reduced" fill="#F97316" radius={[4, 4, 0, 0]} />
+                    <Bar yAxisId="co2" dataKey="costPerTonCO2" name="Per ton CO₂" fill="#22C55E" radius={[4, 4, 0, 0]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+            <p className="text-xs text-gray-400 mb-3 uppercase tracking-wide">Cumulative Spend</p>
+            <div className="h-64 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={spendRows} margin={{ top: 10, right: 10, left: 0, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+                  <XAxis dataKey="year" {...AXIS_PROPS} />
+                  <YAxis {...AXIS_PROPS} tickFormatter={formatRupeesShort} />
+                  <Tooltip {...TOOLTIP_PROPS} formatter={(value, label) => [formatRupees(value), label]} />
+                  <Legend wrapperStyle={{ fontSize: 12 }} />
+                  {compared.map(({ scenario, color }) => (
+                    <Line
+                      key={scenario.id}
+                      type="monotone"
+                      dataKey={scenario.id}
+                      name={scenario.name}
+                      stroke={color}
+                      strokeWidth={2}
+                      dot={{ r: 3, fill: color }}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScenarioComparison;
@@ -0,0 +1,97 @@
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+
+const CONFIDENCE_CLASSES = {
+  high: 'bg-green-900/60 text-green-300',
+  medium: 'bg-yellow-900/60 text-yellow-300',
+  low: 'bg-gray-700 text-gray-300',
+};
+
+const SOURCE_BAR_COLORS = {
+  traffic: '#60A5FA',
+  dust: '#D97706',
+  biomass: '#F87171',
+  industry: '#A78BFA',
+};
+
+function formatRatio(value, digits = 2) {
+  return value === null ? 'N/A' : value.toFixed(digits);
+}
+
+/**
+ * Likely pollution sources with their confidence and the ratios behind them
+ * @param {Object} props.attribution - attributeSources() result
+ * @param {boolean} [props.loading] - Neighbouring stations are still loading
+ */
+function SourceAttributionPanel({ attribution, loading = false }) {
+  const { sources, indicators, concentrations, hour, siteCount, missing } = attribution;
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Likely Pollution Sources
+        </h3>
+        <span className="text-xs text-gray-500">
+          {loading ? 'Loading nearby stations...' : `Based on ${siteCount} station${siteCount !== 1 ? 's' : ''}`}
+        </span>
+      </div>
+
+      <p className="text-sm text-gray-200 mb-4">{attribution.summary}</p>
+
+      {sources.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {sources.map((source) => (
+            <li key={source.id}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="font-semibold text-gray-200">{source.label}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs ${CONFIDENCE_CLASSES[source.confidence]}`}>
+                  {source.confidence} confidence
+                </span>
+              </div>
+              <div className="h-2 rounded-full bg-gray-700 mb-1">
+                <div
+                  className="h-2 rounded-full"
+                  style={{ width: `${Math.round(source.score * 100)}%`, backgroundColor: SOURCE_BAR_COLORS[source.id] }}
+                ></div>
+              </div>
+              {source.evidence.map((line) => (
+                <p key={line} className="text-xs text-gray-400">{line}</p>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Indicators the heuristics use */}
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+        <div className="rounded-lg p-2 bg-gray-700/50">
+          <p className="text-xs text-gray-400">PM2.5 / PM10</p>
+          <p className="font-semibold text-gray-200">{formatRatio(indicators.pmRatio)}</p>
+        </div>
+        <div className="rounded-lg p-2 bg-gray-700/50">
+          <p className="text-xs text-gray-400">CO / NO₂ (ppb)</p>
+          <p className="font-semibold text-gray-200">{formatRatio(indicators.coToNo2, 0)}</p>
+        </div>
+        <div className="rounded-lg p-2 bg-gray-700/50">
+          <p className="text-xs text-gray-400">SO₂</p>
+          <p className="font-semibold text-gray-200">
+            {Number.isFinite(concentrations.so2) ? `${Math.round(concentrations.so2)} ppb` : 'N/A'}
+          </p>
+        </div>
+        <div className="rounded-lg p-2 bg-gray-700/50">
+          <p className="text-xs text-gray-400">O₃{hour !== null && ` at ${String(hour).padStart(2, '0')}:00`}</p>
+          <p className="font-semibold text-gray-200">
+            {Number.isFinite(concentrations.o3) ? `${Math.round(concentrations.o3)} ppb` : 'N/A'}
+          </p>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        Heuristic estimate from pollutant ratios (medians across the main and nearby stations), not a measured source apportionment.
+        {missing.length > 0 && ` Missing: ${missing.map((pollutant) => POLLUTANT_LABELS[pollutant]).join(', ')}.`}
+      </p>
+    </div>
+  );
+}
+
+export default SourceAttributionPanel;
@@ -0,0 +1,103 @@
+import { CLIMATE_ZONES, findSpecies } from '../utils/treeSpecies';
+import { formatRupees } from '../utils/currency';
+
+const RATINGS = [
+  { key: 'pm', label: 'PM' },
+  { key: 'no2', label: 'NO₂' },
+  { key: 'o3', label: 'O₃' },
+  { key: 'so2', label: 'SO₂' },
+];
+const GROWTH_LABELS = { fast: 'Fast', medium: 'Medium', slow: 'Slow' };
+const WATER_LABELS = { low: 'Low', medium: 'Medium', high: 'High' };
+
+function ratingClass(rating) {
+  if (rating >= 4) return 'text-blue-300';
+  if (rating === 3) return 'text-gray-300';
+  return 'text-orange-300';
+}
+
+/**
+ * Recommended species with their knowledge base traits and why they were ranked for the city
+ * @param {string[]} props.treeTypes - Recommended species names
+ * @param {Object} [props.ranking] - recommendSpecies result the species were chosen from
+ */
+function SpeciesCard({ treeTypes, ranking }) {
+  const rankedById = Object.fromEntries((ranking?.ranked || []).map((entry) => [entry.species.id, entry]));
+
+  return (
+    <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+      <div className="flex items-center justify-between gap-2 mb-4">
+        <h3 className="font-semibold text-white text-sm uppercase tracking-wide">
+          Recommended Tree Species
+        </h3>
+        {ranking && (
+          <span className="text-xs text-gray-400">{CLIMATE_ZONES[ranking.zone]} climate</span>
+        )}
+      </div>
+
+      {ranking?.covered === false && (
+        <p className="text-xs text-yellow-300 bg-yellow-900/30 border border-yellow-700 rounded-lg p-3 mb-3">
+          The species list covers Indian regions only and this location is outside them or unknown. These are
+          general suggestions, not a local recommendation; check them against the region's native species.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {treeTypes.map((name) => {
+          const species = findSpecies(name);
+          if (!species) {
+            return (
+              <div key={name} className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+                <p className="text-white font-semibold">{name}</p>
+              </div>
+            );
+          }
+          const ranked = rankedById[species.id];
+          return (
+            <div key={species.id} className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <div>
+                  <p className="text-white font-semibold">{species.name}</p>
+                  <p className="text-xs text-gray-400 italic">{species.scientificName}</p>
+                </div>
+                {ranked?.native && (
+                  <span className="px-2 py-0.5 bg-blue-600/20 text-blue-300 border border-blue-500/30 rounded text-xs">
+                    Native
+                  </span>
+                )}
+              </div>
+
+              <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs mb-2">
+                {RATINGS.map(({ key, label }) => (
+                  <span key={key} className="text-gray-400">
+                    {label} <span className={`font-semibold ${ratingClass(species[key])}`}>{species[key]}/5</span>
+                  </span>
+                ))}
+              </div>
+
+              <p className="text-xs text-gray-400">
+                {GROWTH_LABELS[species.growthRate]} growth · {species.canopy} m canopy · {WATER_LABELS[species.waterNeeds]} water
+                · {formatRupees(species.cost)} per sapling
+              </p>
+
+              {ranked && ranked.reasons.length > 0 && (
+                <ul className="mt-2 text-xs text-gray-300 space-y-0.5">
+                  {ranked.reasons.map((reason) => (
+                    <li key={reason}>• {reason}</li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-3">
+        Chosen from a bundled list of species ranked by climate, native range and the city's pollutant profile.
+        Ratings are indicative.
+      </p>
+    </div>
+  );
+}
+
+export default SpeciesCard;
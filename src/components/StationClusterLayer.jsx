@@ -0,0 +1,126 @@
+import { memo, useMemo } from 'react';
+import { Marker, Popup, useMap } from 'react-leaflet';
+import { Link } from 'react-router-dom';
+import L from 'leaflet';
+import { clusterStations, stationsInBounds } from '../utils/clustering';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { convertAQI, getAQIColor, getAQILabel } from '../utils/aqiStandards';
+import { formatPollutantValue, indexValue } from '../utils/pollutants';
+import { describeFlags, stationAQI } from '../utils/dataQuality';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+// divIcons are cached by appearance so re-renders never rebuild marker DOM
+const iconCache = new Map();
+
+// Border per marker style: single stations, clusters, and stations failing a data-quality check
+const MARKER_BORDERS = {
+  station: '3px solid white',
+  cluster: '3px double white',
+  flagged: '3px dashed #FBBF24',
+};
+
+function getIcon(color, label, size, style = 'station') {
+  const key = `${color}|${label}|${size}|${style}`;
+  if (!iconCache.has(key)) {
+    iconCache.set(key, L.divIcon({
+      className: 'custom-marker',
+      html: `<div style="background-color: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: ${MARKER_BORDERS[style]}; box-shadow: 0 2px 4px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px;${style === 'flagged' ? ' opacity: 0.6;' : ''}">${label}</div>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    }));
+  }
+  return iconCache.get(key);
+}
+
+function clusterSize(count) {
+  return Math.min(56, 34 + Math.round(Math.log10(count) * 12));
+}
+
+const StationMarker = memo(function StationMarker({ station, standardId, flagReason = null, excluded = false }) {
+  // Station AQIs arrive as EPA values (sometimes strings like "85" or "-")
+  const aqi = convertAQI(stationAQI(station), standardId);
+  const color = aqi !== null ? getAQIColor(aqi, standardId) : '#6B7280';
+
+  return (
+    <Marker
+      position={[station.lat, station.lon]}
+      icon={getIcon(color, aqi ?? '!', 30, flagReason ? 'flagged' : 'station')}
+      title={flagReason || undefined}
+    >
+      <Popup>
+        <div>
+          <strong>{station.station?.name || 'Station'}</strong>
+          <br />
+          AQI: {aqi ?? 'N/A'} - {getAQILabel(aqi, standardId)}
+          {/* Listing iaqi values are US EPA sub-indices */}
+          {['pm25', 'pm10'].map((pollutant) => station.iaqi?.[pollutant]?.v && (
+            <span key={pollutant}>
+              <br />
+              {POLLUTANT_LABELS[pollutant]}: {formatPollutantValue(indexValue(Number(station.iaqi[pollutant].v)))}
+            </span>
+          ))}
+          {station.station?.time && (
+            <><br /><small>Updated: {new Date(station.station.time).toLocaleString()}</small></>
+          )}
+          {flagReason && (
+            <><br /><small style={{ color: '#B45309' }}>⚠ {flagReason}.{excluded && ' Excluded from aggregates.'}</small></>
+          )}
+          <br />
+          <Link to={`/station/${encodeURIComponent(station.uid)}`}>Details →</Link>
+        </div>
+      </Popup>
+    </Marker>
+  );
+});
+
+const ClusterMarker = memo(function ClusterMarker({ cluster, colorBy, standardId }) {
+  const map = useMap();
+  const value = convertAQI(cluster[colorBy], standardId);
+  const color = value !== null ? getAQIColor(value, standardId) : '#6B7280';
+
+  return (
+    <Marker
+      position={[cluster.lat, cluster.lon]}
+      icon={getIcon(color, cluster.count, clusterSize(cluster.count), 'cluster')}
+      title={`${cluster.count} stations · ${colorBy} AQI ${value ?? 'N/A'}`}
+      eventHandlers={{
+        click: () => map.flyToBounds(cluster.bounds, { padding: [40, 40], maxZoom: map.getZoom() + 3 }),
+      }}
+    />
+  );
+});
+
+/**
+ * Station markers for the current viewport, grouped into clusters when they would overlap
+ * Cluster bubbles show the station count, coloured by the cluster's worst or average AQI.
+ * Stations failing a data-quality check get a dashed, faded marker with the reason in the popup,
+ * and only count towards cluster colours when `includeFlagged` is set.
+ * @param {Map} [props.quality] - assessStations result
+ */
+function StationClusterLayer({ stations, viewport, colorBy = 'worst', quality = new Map(), includeFlagged = false }) {
+  const { standardId } = useAQIStandard();
+
+  const clusters = useMemo(() => {
+    if (!viewport) return [];
+    const getValue = (station) => (
+      !includeFlagged && quality.get(station.uid)?.flagged ? NaN : stationAQI(station) ?? NaN
+    );
+    return clusterStations(stationsInBounds(stations, viewport.bounds), { zoom: viewport.zoom, getValue });
+  }, [stations, viewport, quality, includeFlagged]);
+
+  return clusters.map((cluster) => (
+    cluster.count === 1 ? (
+      <StationMarker
+        key={cluster.stations[0].uid}
+        station={cluster.stations[0]}
+        standardId={standardId}
+        flagReason={describeFlags(quality.get(cluster.stations[0].uid))}
+        excluded={!includeFlagged}
+      />
+    ) : (
+      <ClusterMarker key={cluster.id} cluster={cluster} colorBy={colorBy} standardId={standardId} />
+    )
+  ));
+}
+
+export default StationClusterLayer;
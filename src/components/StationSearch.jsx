@@ -0,0 +1,169 @@
+import { useEffect, useRef, useState } from 'react';
+import { searchStations } from '../api/airService';
+import { isAbortError } from '../api/http';
+import { convertAQI, getAQIColor } from '../utils/aqiStandards';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+const DEBOUNCE_MS = 300;
+const MIN_QUERY_LENGTH = 2;
+const MAX_RESULTS = 8;
+
+function formatUpdated(time) {
+  if (!Number.isFinite(time)) return null;
+  const minutes = Math.round((Date.now() - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(time).toLocaleDateString();
+}
+
+/**
+ * City input with a debounced station type-ahead
+ */
+function StationSearch({ value, onChange, onSubmit, onSelect, disabled }) {
+  const [results, setResults] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+  const skipNextSearchRef = useRef(false);
+  const containerRef = useRef(null);
+  const { standardId } = useAQIStandard();
+
+  useEffect(() => {
+    // Picking a result fills the input; don't search for it again
+    if (skipNextSearchRef.current) {
+      skipNextSearchRef.current = false;
+      return undefined;
+    }
+
+    const keyword = value.trim();
+    if (keyword.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setSearching(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const matches = await searchStations(keyword, { signal: controller.signal });
+        setResults(matches.slice(0, MAX_RESULTS));
+        setHighlighted(-1);
+        setOpen(true);
+      } catch (err) {
+        if (!isAbortError(err)) console.error('Error searching stations:', err);
+      } finally {
+        if (!controller.signal.aborted) setSearching(false);
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [value]);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const select = (station) => {
+    skipNextSearchRef.current = true;
+    setOpen(false);
+    setResults([]);
+    onSelect(station);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setOpen(true);
+      setHighlighted((index) => (index + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setHighlighted((index) => (index <= 0 ? results.length - 1 : index - 1));
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    } else if (e.key === 'Enter') {
+      if (open && highlighted >= 0 && results[highlighted]) {
+        select(results[highlighted]);
+      } else {
+        setOpen(false);
+        onSubmit();
+      }
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative flex-1">
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => results.length > 0 && setOpen(true)}
+        disabled={disabled}
+        placeholder="Enter city or station name (e.g., beijing, london, delhi)"
+        role="combobox"
+        aria-expanded={open}
+        aria-autocomplete="list"
+        aria-controls="station-search-results"
+        className="w-full px-4 py-2 bg-gray-700 border border-gray-600 text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+      />
+      {searching && (
+        <span className="absolute right-3 top-2.5 text-xs text-gray-400">Searching…</span>
+      )}
+
+      {open && value.trim().length >= MIN_QUERY_LENGTH && !searching && (
+        <ul
+          id="station-search-results"
+          role="listbox"
+          className="absolute z-[1000] mt-1 w-full max-h-80 overflow-y-auto bg-gray-800 border border-gray-600 rounded-lg shadow-xl"
+        >
+          {results.length === 0 && (
+            <li className="px-4 py-2 text-sm text-gray-400">No stations found</li>
+          )}
+          {results.map((station, index) => {
+            const aqi = station.aqi !== null ? convertAQI(station.aqi, standardId) : null;
+            const updated = formatUpdated(station.time);
+            return (
+              <li
+                key={station.uid}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(station)}
+                onMouseEnter={() => setHighlighted(index)}
+                className={`flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                  index === highlighted ? 'bg-gray-700' : 'hover:bg-gray-700'
+                }`}
+              >
+                <span
+                  className="min-w-[2.5rem] px-2 py-0.5 rounded text-center text-xs font-bold text-white"
+                  style={{ backgroundColor: aqi !== null ? getAQIColor(aqi, standardId) : '#4B5563' }}
+                >
+                  {aqi ?? '–'}
+                </span>
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm text-gray-100 truncate">{station.name}</span>
+                  {updated && (
+                    <span className="block text-xs text-gray-400">Updated {updated}</span>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default StationSearch;
@@ -1,16 +1,75 @@
-import { useState, useEffect, useRef } from 'react';
-import { getTreePlantingRecommendations } from '../api/aiService';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { getPlan, getTreePlantingRecommendations, recommendSpecies } from '../api/aiService';
+import { DEFAULT_PLANNING } from '../utils/plantingImpact';
+import { buildFinancialModel } from '../utils/financialModel';
+import { speciesAssumptions } from '../utils/treeSpecies';
 import { formatRupees } from '../utils/currency';
+import { convertAQI, toStandard } from '../utils/aqiStandards';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
 import Loader from './Loader';
 import ErrorBox from './ErrorBox';
 import AQIPredictionGraph from './AQIPredictionGraph';
+import AssumptionsPanel from './AssumptionsPanel';
+import BudgetPlanner from './BudgetPlanner';
+import FinancialModelCard from './FinancialModelCard';
+import PhasedSpend from './PhasedSpend';
+import ScenarioComparison from './ScenarioComparison';
+import SpeciesCard from './SpeciesCard';
+
+const ASSUMPTIONS_STORAGE_KEY = 'planting-assumptions';
+
+function readStoredAssumptions() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ASSUMPTIONS_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+const TREE_COUNT_LABELS = {
+  need: 'Trees Needed',
+  trees: 'Planned Trees',
+  budget: 'Affordable Trees',
+};
+
+function formatMicrograms(value) {
+  return value !== null ? <>{value} <span className="text-xs text-gray-500">μg/m³</span></> : 'N/A';
+}
 
 function TreeRecommendations({ aqiData, enabled }) {
   const [recommendations, setRecommendations] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [assumptions, setAssumptions] = useState(readStoredAssumptions);
+  const [planning, setPlanning] = useState(DEFAULT_PLANNING);
   const hasFetchedRef = useRef(false);
   const lastAqiDataRef = useRef(null);
+  const { standardId, standard } = useAQIStandard();
+
+  // Remember regional overrides across sessions
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(ASSUMPTIONS_STORAGE_KEY, JSON.stringify(assumptions));
+    } catch {
+      // Storage can be unavailable (private mode); the overrides then last for this session only
+    }
+  }, [assumptions]);
+
+  // Figures are computed locally for the ranked species mix, so editing an assumption never calls the
+  // AI again, and they show (and stay the same) while the narrative loads or when the AI is unavailable
+  const ranking = useMemo(() => (aqiData ? recommendSpecies(aqiData) : null), [aqiData]);
+  const treeTypes = ranking?.mix;
+  const impact = useMemo(
+    () => (aqiData && aqiData.aqi !== null ? getPlan(aqiData, treeTypes, planning, assumptions) : null),
+    [aqiData, treeTypes, planning, assumptions]
+  );
+  const financialModel = useMemo(() => (impact ? buildFinancialModel(impact) : null), [impact]);
+  // Planning inputs can be empty, in which case the figures show what the AQI calls for
+  const sizedBy = impact?.coverage !== undefined ? planning.mode : 'need';
+  // Planting figures are on the US EPA scale; the before value matches the headline AQI card
+  const aqiBefore = aqiData ? toStandard(aqiData, standardId).aqi : null;
+  const aqiAfter = impact ? convertAQI(impact.after.aqi, standardId, aqiData.dominantPollutant || undefined) : null;
 
   useEffect(() => {
     // Only fetch if enabled, has data, and hasn't been fetched for this data yet
@@ -31,7 +90,7 @@ function TreeRecommendations({ aqiData, enabled }) {
           setRecommendations(null);
 
           try {
-            const data = await getTreePlantingRecommendations(aqiData);
+            const data = await getTreePlantingRecommendations(aqiData, { standardId, assumptions });
             setRecommendations(data);
           } catch (err) {
             setError(err.message || 'Failed to fetch AI recommendations');
@@ -58,7 +117,7 @@ function TreeRecommendations({ aqiData, enabled }) {
     setRecommendations(null);
 
     try {
-      const data = await getTreePlantingRecommendations(aqiData);
+      const data = await getTreePlantingRecommendations(aqiData, { standardId, assumptions });
       setRecommendations(data);
       hasFetchedRef.current = true;
     } catch (err) {
@@ -92,100 +151,105 @@ function TreeRecommendations({ aqiData, enabled }) {
       {error && <ErrorBox message={error} />}
       {loading && <Loader />}
 
-      {recommendations && !loading && (
+      {impact && (
         <div className="space-y-8">
-          {/* Summary */}
-          <div className="bg-gray-700/50 border border-gray-600 rounded-lg p-5">
-            <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wide mb-2">AI Summary</h3>
-            <p className="text-gray-200 leading-relaxed">{recommendations.summary}</p>
-          </div>
+          {recommendations && (
+            <>
+              {/* Summary */}
+              <div className="bg-gray-700/50 border border-gray-600 rounded-lg p-5">
+                <h3 className="text-sm font-semibold text-gray-400 uppercase tracking-wide mb-2">AI Summary</h3>
+                <p className="text-gray-200 leading-relaxed">{recommendations.summary}</p>
+              </div>
+
+              {/* Hourly Prediction Graph */}
+              <AQIPredictionGraph
+                data={recommendations.hourlyForecast}
+                dominantPollutant={aqiData.dominantPollutant}
+              />
+            </>
+          )}
 
-          {/* Hourly Prediction Graph */}
-          <AQIPredictionGraph data={recommendations.hourlyForecast} />
+          <BudgetPlanner planning={planning} onChange={setPlanning} plan={sizedBy !== 'need' ? impact : null} />
 
           {/* Key Metrics Grid */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600 hover:border-blue-500/50 transition-colors shadow-lg shadow-black/20">
               <div className="flex items-center gap-2 mb-3">
                 <span className="text-lg">🌲</span>
-                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">Trees Needed</h3>
+                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">{TREE_COUNT_LABELS[sizedBy]}</h3>
               </div>
               <p className="text-3xl font-bold text-blue-400">
-                {recommendations.recommendations?.numberOfTrees || 'N/A'}
+                {impact.trees.toLocaleString('en-IN')}
               </p>
+              {impact.saplings > impact.trees && (
+                <p className="text-xs text-gray-400 mt-1">
+                  {impact.saplings.toLocaleString('en-IN')} saplings at {Math.round(impact.assumptions.survivalRate * 100)}% survival
+                </p>
+              )}
             </div>
 
             <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600 hover:border-blue-500/50 transition-colors shadow-lg shadow-black/20">
               <div className="flex items-center gap-2 mb-3">
                 <span className="text-lg">💰</span>
-                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">Investment</h3>
+                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">{sizedBy === 'budget' ? 'Planting Cost' : 'Investment'}</h3>
               </div>
               <p className="text-3xl font-bold text-blue-400">
-                {formatRupees(recommendations.recommendations?.investmentAmount)}
+                {formatRupees(impact.investment)}
               </p>
             </div>
 
             <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600 hover:border-blue-500/50 transition-colors shadow-lg shadow-black/20">
               <div className="flex items-center gap-2 mb-3">
                 <span className="text-lg">📈</span>
-                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">ROI Timeframe</h3>
+                <h3 className="font-medium text-gray-400 text-xs uppercase tracking-wide">Payback</h3>
               </div>
               <p className="text-2xl font-bold text-blue-400">
-                {recommendations.recommendations?.roi?.timeframe || 'N/A'}
+                {financialModel.paybackYear !== null ? `Year ${financialModel.paybackYear}` : `> ${financialModel.years.length} years`}
               </p>
             </div>
           </div>
 
           {/* Tree Types */}
-          {recommendations.recommendations?.treeTypes && (
-            <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
-              <h3 className="font-semibold text-white mb-4 text-sm uppercase tracking-wide">
-                Recommended Tree Species
-              </h3>
-              <div className="flex flex-wrap gap-2">
-                {recommendations.recommendations.treeTypes.map((tree, index) => (
-                  <span
-                    key={index}
-                    className="px-3 py-1.5 bg-blue-600/20 text-blue-300 border border-blue-500/30 rounded-lg text-sm font-medium"
-                  >
-                    {tree}
-                  </span>
-                ))}
-              </div>
-            </div>
-          )}
+          <SpeciesCard treeTypes={treeTypes} ranking={ranking} />
+
+          <AssumptionsPanel
+            assumptions={assumptions}
+            onChange={setAssumptions}
+            species={treeTypes}
+            defaults={speciesAssumptions(treeTypes)}
+          />
+
+          <PhasedSpend impact={impact} />
 
           {/* Carbon Analysis */}
-          {recommendations.recommendations?.carbonAnalysis && (
-            <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
-              <h3 className="font-semibold text-white mb-5 text-sm uppercase tracking-wide flex items-center gap-2">
-                <span>🌍</span> Carbon Analysis
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
-                  <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Annual CO₂ Sequestration</p>
-                  <p className="text-xl font-bold text-blue-400">
-                    {recommendations.recommendations.carbonAnalysis.annualCarbonSequestration} <span className="text-sm text-gray-400 font-normal">tons/year</span>
-                  </p>
-                </div>
-                <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
-                  <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Lifetime CO₂ Sequestration</p>
-                  <p className="text-xl font-bold text-blue-400">
-                    {recommendations.recommendations.carbonAnalysis.lifetimeCarbonSequestration} <span className="text-sm text-gray-400 font-normal">tons</span>
-                  </p>
-                </div>
-                <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
-                  <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Air Pollution Reduction</p>
-                  <p className="text-xl font-bold text-blue-400">
-                    {recommendations.recommendations.carbonAnalysis.airPollutionReduction}
-                  </p>
-                </div>
+          <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+            <h3 className="font-semibold text-white mb-5 text-sm uppercase tracking-wide flex items-center gap-2">
+              <span>🌍</span> Carbon Analysis
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+                <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Annual CO₂ Sequestration</p>
+                <p className="text-xl font-bold text-blue-400">
+                  {impact.annualCarbon.toFixed(1)} <span className="text-sm text-gray-400 font-normal">tons/year</span>
+                </p>
+              </div>
+              <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+                <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Lifetime CO₂ Sequestration</p>
+                <p className="text-xl font-bold text-blue-400">
+                  {impact.lifetimeCarbon.toFixed(1)} <span className="text-sm text-gray-400 font-normal">tons over {impact.assumptions.treeLifetimeYears} years</span>
+                </p>
+              </div>
+              <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+                <p className="text-xs text-gray-400 mb-2 uppercase tracking-wide">Air Pollution Reduction</p>
+                <p className="text-xl font-bold text-blue-400">
+                  {impact.pollutionReduction}%
+                </p>
               </div>
             </div>
-          )}
+          </div>
 
           {/* Human Impact */}
-          {recommendations.recommendations?.humanImpact && (
+          {recommendations?.recommendations.humanImpact && (
             <div className="bg-blue-900/10 border border-blue-500/20 rounded-lg p-5">
               <h3 className="font-semibold text-blue-400 mb-4 text-sm uppercase tracking-wide flex items-center gap-2">
                 <span>👨‍👩‍👧‍👦</span> Human Impact Analysis
@@ -198,80 +262,89 @@ function TreeRecommendations({ aqiData, enabled }) {
                 <div className="space-y-2">
                   <p className="text-xs text-gray-400 font-bold uppercase tracking-wider">Economic & Social Value</p>
                   <p className="text-gray-200 text-sm leading-relaxed">{recommendations.recommendations.humanImpact.economicBenefit}</p>
+                  <p className="text-xs text-gray-400">
+                    Estimated healthcare savings over {financialModel.years.length} years: <span className="font-semibold text-blue-400">{formatRupees(financialModel.totals.healthSavings)}</span>
+                  </p>
                 </div>
               </div>
             </div>
           )}
 
           {/* Before/After Comparison */}
-          {recommendations.recommendations?.comparison && (
-            <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
-              <h3 className="font-semibold text-white mb-5 text-sm uppercase tracking-wide flex items-center gap-2">
-                <span>📊</span> Before & After Comparison
-              </h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-5">
-                <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
-                  <h4 className="font-semibold text-gray-300 mb-4 text-sm uppercase tracking-wide">Before Planting</h4>
-                  <div className="space-y-3">
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">AQI</span>
-                      <span className="font-bold text-gray-300 text-lg">
-                        {recommendations.recommendations.comparison.before.aqi}
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">PM2.5</span>
-                      <span className="font-semibold text-gray-200">
-                        {recommendations.recommendations.comparison.before.pm25} <span className="text-xs text-gray-500">μg/m³</span>
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">PM10</span>
-                      <span className="font-semibold text-gray-200">
-                        {recommendations.recommendations.comparison.before.pm10} <span className="text-xs text-gray-500">μg/m³</span>
-                      </span>
-                    </div>
+          <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
+            <h3 className="font-semibold text-white mb-5 text-sm uppercase tracking-wide flex items-center gap-2">
+              <span>📊</span> Before & After Comparison
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-5">
+              <div className="bg-gray-800/50 rounded-lg p-4 border border-gray-600">
+                <h4 className="font-semibold text-gray-300 mb-4 text-sm uppercase tracking-wide">Before Planting</h4>
+                <div className="space-y-3">
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">AQI <span className="text-xs text-gray-500">({standard.name})</span></span>
+                    <span className="font-bold text-gray-300 text-lg">
+                      {aqiBefore ?? 'N/A'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">PM2.5</span>
+                    <span className="font-semibold text-gray-200">
+                      {formatMicrograms(impact.before.pm25)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">PM10</span>
+                    <span className="font-semibold text-gray-200">
+                      {formatMicrograms(impact.before.pm10)}
+                    </span>
                   </div>
                 </div>
+              </div>
 
-                <div className="bg-blue-900/10 rounded-lg p-4 border border-blue-500/20">
-                  <h4 className="font-semibold text-blue-400 mb-4 text-sm uppercase tracking-wide">After 5 Years</h4>
-                  <div className="space-y-3">
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">AQI</span>
-                      <span className="font-bold text-blue-400 text-lg">
-                        {recommendations.recommendations.comparison.after.aqi}
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">PM2.5</span>
-                      <span className="font-semibold text-blue-400">
-                        {recommendations.recommendations.comparison.after.pm25}
-                      </span>
-                    </div>
-                    <div className="flex justify-between items-center py-2 border-b border-gray-700">
-                      <span className="text-gray-400 text-sm">PM10</span>
-                      <span className="font-semibold text-blue-400">
-                        {recommendations.recommendations.comparison.after.pm10}
-                      </span>
-                    </div>
+              <div className="bg-blue-900/10 rounded-lg p-4 border border-blue-500/20">
+                <h4 className="font-semibold text-blue-400 mb-4 text-sm uppercase tracking-wide">
+                  After 5 Years <span className="text-xs text-gray-400 normal-case font-normal">(PM −{impact.pmReduction}%)</span>
+                </h4>
+                <div className="space-y-3">
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">AQI <span className="text-xs text-gray-500">({standard.name})</span></span>
+                    <span className="font-bold text-blue-400 text-lg">
+                      {aqiAfter ?? 'N/A'}
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">PM2.5</span>
+                    <span className="font-semibold text-blue-400">
+                      {formatMicrograms(impact.after.pm25)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between items-center py-2 border-b border-gray-700">
+                    <span className="text-gray-400 text-sm">PM10</span>
+                    <span className="font-semibold text-blue-400">
+                      {formatMicrograms(impact.after.pm10)}
+                    </span>
                   </div>
                 </div>
               </div>
+            </div>
 
-              <div className="text-center pt-4 border-t border-gray-600">
-                <div className="inline-block bg-blue-600/20 border border-blue-500/30 px-6 py-3 rounded-lg">
-                  <span className="text-xs text-gray-400 mr-2 uppercase tracking-wide">Expected Improvement</span>
-                  <span className="text-2xl font-bold text-blue-400">
-                    {recommendations.recommendations.comparison.improvement}
-                  </span>
-                </div>
+            <div className="text-center pt-4 border-t border-gray-600">
+              <div className="inline-block bg-blue-600/20 border border-blue-500/30 px-6 py-3 rounded-lg">
+                <span className="text-xs text-gray-400 mr-2 uppercase tracking-wide">Expected Improvement</span>
+                <span className="text-2xl font-bold text-blue-400">
+                  {impact.improvement}%
+                </span>
               </div>
             </div>
-          )}
+          </div>
+
+          <FinancialModelCard
+            model={financialModel}
+            city={aqiData.city}
+            narrative={recommendations?.recommendations.roi?.benefits}
+          />
 
           {/* Implementation Plan */}
-          {recommendations.recommendations?.implementation && (
+          {recommendations?.recommendations.implementation && (
             <div className="bg-gray-700/50 rounded-lg p-5 border border-gray-600">
               <h3 className="font-semibold text-white mb-4 text-sm uppercase tracking-wide flex items-center gap-2">
                 <span>📅</span> Implementation Plan
@@ -294,12 +367,17 @@ function TreeRecommendations({ aqiData, enabled }) {
                 <div className="flex items-center gap-2">
                   <span className="text-xs text-gray-400 uppercase tracking-wide">Annual Maintenance</span>
                   <span className="font-semibold text-blue-400">
-                    {formatRupees(recommendations.recommendations.implementation.maintenance)}
+                    {formatRupees(impact.annualMaintenance)}
                   </span>
                 </div>
               </div>
             </div>
           )}
+
+          <ScenarioComparison
+            aqiData={aqiData}
+            current={{ species: treeTypes, planning, assumptions }}
+          />
         </div>
       )}
     </div>
@@ -0,0 +1,157 @@
+import { Link } from 'react-router-dom';
+import { convertAQI, getAQIColor, getAQITextClass } from '../utils/aqiStandards';
+import { compassPoint } from '../utils/geo';
+import { WIND_ANALYSIS_DEFAULTS, windHeading } from '../utils/windAnalysis';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+
+const ROSE_SIZE = 180;
+const ROSE_RADIUS = 70;
+
+function polar(bearing, radius) {
+  const angle = (bearing * Math.PI) / 180;
+  return [ROSE_SIZE / 2 + radius * Math.sin(angle), ROSE_SIZE / 2 - radius * Math.cos(angle)];
+}
+
+function wedgePath(bearing) {
+  const [x1, y1] = polar(bearing - 22.5, ROSE_RADIUS);
+  const [x2, y2] = polar(bearing + 22.5, ROSE_RADIUS);
+  const center = ROSE_SIZE / 2;
+  return `M ${center} ${center} L ${x1} ${y1} A ${ROSE_RADIUS} ${ROSE_RADIUS} 0 0 1 ${x2} ${y2} Z`;
+}
+
+/**
+ * Compass rose of mean station AQI per direction from the city centre, with the wind arrow on top
+ */
+function PollutionRose({ analysis, standardId }) {
+  const [tailX, tailY] = polar(analysis.windFrom ?? 0, ROSE_RADIUS + 8);
+  const [headX, headY] = polar(windHeading(analysis.windFrom ?? 0), ROSE_RADIUS - 20);
+
+  return (
+    <svg width={ROSE_SIZE} height={ROSE_SIZE} viewBox={`0 0 ${ROSE_SIZE} ${ROSE_SIZE}`} className="shrink-0">
+      <defs>
+        <marker id="wind-rose-head" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+          <path d="M 0 0 L 10 5 L 0 10 z" fill="#38BDF8" />
+        </marker>
+      </defs>
+      {analysis.sectors.map((sector) => {
+        const value = sector.summary ? convertAQI(sector.summary.mean, standardId) : null;
+        return (
+          <path
+            key={sector.direction}
+            d={wedgePath(sector.bearing)}
+            fill={value !== null ? getAQIColor(value, standardId) : '#374151'}
+            fillOpacity={value !== null ? 0.75 : 0.4}
+            stroke="#1F2937"
+            strokeWidth="2"
+          >
+            <title>
+              {sector.direction}: {value !== null ? `mean AQI ${value} (${sector.summary.count} stations)` : 'no stations'}
+            </title>
+          </path>
+        );
+      })}
+      {['N', 'E', 'S', 'W'].map((label, index) => {
+        const [x, y] = polar(index * 90, ROSE_RADIUS + 12);
+        return (
+          <text key={label} x={x} y={y} fill="#9CA3AF" fontSize="11" textAnchor="middle" dominantBaseline="middle">
+            {label}
+          </text>
+        );
+      })}
+      {!analysis.calm && (
+        <line
+          x1={tailX}
+          y1={tailY}
+          x2={headX}
+          y2={headY}
+          stroke="#38BDF8"
+          strokeWidth="3"
+          markerEnd="url(#wind-rose-head)"
+        />
+      )}
+    </svg>
+  );
+}
+
+/**
+ * Upwind vs downwind comparison around the city centre, with where polluted air comes from
+ * and which side of the city a green belt would shield
+ * @param {Object} props.analysis - analyzeWind() result
+ * @param {Object} props.wind - { deg, speed }
+ */
+function WindAnalysisPanel({ analysis, wind }) {
+  const { standardId, standard } = useAQIStandard();
+  const convert = (value) => convertAQI(value, standardId);
+  const from = analysis.windFrom !== null ? compassPoint(analysis.windFrom) : null;
+  const to = analysis.windFrom !== null ? compassPoint(windHeading(analysis.windFrom)) : null;
+  const worst = analysis.worstSector;
+
+  const conclusions = {
+    upwind: `Polluted air is blowing in from the ${from}: upwind stations average ${convert(analysis.upwind?.mean)} against ${convert(analysis.downwind?.mean)} downwind. A green belt on the ${analysis.beltSide} edge of the city would intercept it.`,
+    local: `Pollution is mostly generated within the city: downwind stations (${to}) average ${convert(analysis.downwind?.mean)} against ${convert(analysis.upwind?.mean)} upwind. Green cover inside the city and along its ${analysis.beltSide} side shields the neighbourhoods downwind.`,
+    even: `Upwind and downwind stations read about the same (${convert(analysis.upwind?.mean)} vs ${convert(analysis.downwind?.mean)}), so the pollution looks regional rather than coming from one side.`,
+    calm: 'Winds are calm, so there is no reliable direction the air is coming from.',
+    insufficient: `There aren't enough stations both upwind (${from}) and downwind (${to}) of the centre to compare them.`,
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+      <h3 className="text-lg font-semibold text-white mb-4">
+        Wind & Pollution Sources
+      </h3>
+      <div className="flex flex-col md:flex-row gap-6 items-center md:items-start">
+        <PollutionRose analysis={analysis} standardId={standardId} />
+
+        <div className="flex-1 space-y-4 w-full">
+          <p className="text-sm text-gray-300">
+            {analysis.calm
+              ? `Calm${Number.isFinite(wind.speed) ? ` (${wind.speed} m/s)` : ''}`
+              : `Wind from the ${from} (${Math.round(analysis.windFrom)}°) at ${wind.speed ?? 'N/A'} m/s, carrying air towards the ${to}`}
+          </p>
+
+          {!analysis.calm && (
+            <div className="grid grid-cols-2 gap-4">
+              {[
+                ['Upwind', from, analysis.upwind],
+                ['Downwind', to, analysis.downwind],
+              ].map(([label, direction, summary]) => (
+                <div key={label} className="rounded-lg p-3 bg-gray-700/50">
+                  <p className="text-xs text-gray-400">{label} ({direction})</p>
+                  {summary ? (
+                    <>
+                      <p className={`text-2xl font-bold ${getAQITextClass(convert(summary.mean), standardId)}`}>
+                        {convert(summary.mean)}
+                      </p>
+                      <p className="text-xs text-gray-400">
+                        Mean of {summary.count} station{summary.count !== 1 ? 's' : ''} · worst{' '}
+                        <Link to={`/station/${encodeURIComponent(summary.worst.uid)}`} className="text-blue-400 hover:text-blue-300">
+                          {summary.worst.name}
+                        </Link>
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-sm text-gray-500 mt-1">No stations</p>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <p className="text-sm text-gray-200">{conclusions[analysis.verdict]}</p>
+          {['even', 'calm', 'insufficient'].includes(analysis.verdict) && worst && (
+            <p className="text-sm text-gray-300">
+              The worst readings are to the {worst.direction} of the centre (mean {convert(worst.summary.mean)}),
+              the side a green belt would cover first.
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            {analysis.stationCount} station{analysis.stationCount !== 1 ? 's' : ''} within{' '}
+            {WIND_ANALYSIS_DEFAULTS.maxDistanceKm} km loaded on the map · AQI in {standard.name}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WindAnalysisPanel;
@@ -0,0 +1,71 @@
+import { useMemo } from 'react';
+import { Marker } from 'react-leaflet';
+import L from 'leaflet';
+import { clusterStations, stationsInBounds } from '../utils/clustering';
+import { windHeading } from '../utils/windAnalysis';
+
+// Arrows are drawn through the markers: the tail sits upwind, the head points downwind
+const MARKER_CLEARANCE = 56;
+const iconCache = new Map();
+
+function arrowLength(speed) {
+  return 8 + Math.min(Number.isFinite(speed) ? speed : 0, 10) * 1.6;
+}
+
+function getArrowIcon(heading, length, color) {
+  const size = Math.round(MARKER_CLEARANCE + length * 2);
+  const key = `${Math.round(heading)}|${size}|${color}`;
+  if (!iconCache.has(key)) {
+    const middle = size / 2;
+    iconCache.set(key, L.divIcon({
+      className: 'wind-arrow',
+      html: `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" style="transform: rotate(${heading}deg); overflow: visible;">
+        <line x1="${middle}" y1="${size - 2}" x2="${middle}" y2="6" stroke="${color}" stroke-width="2.5" stroke-linecap="round" />
+        <polygon points="${middle},0 ${middle - 6},10 ${middle + 6},10" fill="${color}" />
+      </svg>`,
+      iconSize: [size, size],
+      iconAnchor: [size / 2, size / 2],
+    }));
+  }
+  return iconCache.get(key);
+}
+
+/**
+ * Wind arrows at the city marker and at each visible station (or cluster); stations share
+ * the city's wind, so the arrows show how air moves across the area
+ * @param {Object} props.wind - { deg, speed } with `deg` the direction the wind blows from
+ */
+function WindArrowLayer({ stations, viewport, center, wind }) {
+  const positions = useMemo(() => {
+    if (!viewport) return [];
+    return clusterStations(stationsInBounds(stations, viewport.bounds), { zoom: viewport.zoom })
+      .map((cluster) => ({ id: cluster.id, lat: cluster.lat, lon: cluster.lon }));
+  }, [stations, viewport]);
+
+  const heading = windHeading(wind.deg);
+  const length = arrowLength(wind.speed);
+
+  return (
+    <>
+      {positions.map((position) => (
+        <Marker
+          key={position.id}
+          position={[position.lat, position.lon]}
+          icon={getArrowIcon(heading, length, '#E0F2FE')}
+          interactive={false}
+          keyboard={false}
+          zIndexOffset={-1000}
+        />
+      ))}
+      <Marker
+        position={[center.lat, center.lon]}
+        icon={getArrowIcon(heading, length * 1.5, '#38BDF8')}
+        interactive={false}
+        keyboard={false}
+        zIndexOffset={-500}
+      />
+    </>
+  );
+}
+
+export default WindArrowLayer;
@@ -0,0 +1,45 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { AQI_STANDARDS, DEFAULT_STANDARD_ID, getStandard } from '../utils/aqiStandards';
+
+const STORAGE_KEY = 'aqi-standard';
+
+const AQIStandardContext = createContext({});
+
+export const useAQIStandard = () => {
+  const context = useContext(AQIStandardContext);
+  if (!context) {
+    throw new Error('useAQIStandard must be used within an AQIStandardProvider');
+  }
+  return context;
+};
+
+function readStoredStandard() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored && AQI_STANDARDS[stored] ? stored : DEFAULT_STANDARD_ID;
+  } catch {
+    return DEFAULT_STANDARD_ID;
+  }
+}
+
+export const AQIStandardProvider = ({ children }) => {
+  const [standardId, setStandardId] = useState(readStoredStandard);
+
+  // Remember the user's choice across sessions
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, standardId);
+    } catch {
+      // Storage can be unavailable (private mode); the choice then lasts for this session only
+    }
+  }, [standardId]);
+
+  const value = {
+    standardId,
+    standard: getStandard(standardId),
+    standards: Object.values(AQI_STANDARDS),
+    setStandardId,
+  };
+
+  return <AQIStandardContext.Provider value={value}>{children}</AQIStandardContext.Provider>;
+};
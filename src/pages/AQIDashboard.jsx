@@ -1,10 +1,50 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { MapContainer, TileLayer, Marker, Popup, useMapEvents, useMap } from 'react-leaflet';
 import L from 'leaflet';
-import { getAQIData, getMapStations } from '../api/airService';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  getAQIData,
+  getCityAggregate,
+  getMapLayers,
+  getMapStations,
+  getNeighbourReadings,
+  getStationReadings,
+  stationQuery,
+  toGeoQuery,
+} from '../api/airService';
+import { saveReading } from '../api/historyService';
+import { isAbortError } from '../api/http';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { applyAggregate } from '../utils/aggregate';
+import { compassPoint, distanceKm } from '../utils/geo';
+import { mergeStations, stationsInBounds } from '../utils/clustering';
+import { MIN_SURFACE_SAMPLES, stationSamples } from '../utils/interpolation';
+import { analyzeWind } from '../utils/windAnalysis';
+import { attributeSources } from '../utils/sourceAttribution';
+import { assessStations, withoutFlagged } from '../utils/dataQuality';
+import { formatPollutantValue } from '../utils/pollutants';
+import { formatLocalTime, localDay } from '../utils/forecastSeries';
+import {
+  getAQIColor as getStandardColor,
+  getAQILabel as getStandardLabel,
+  getAQITextClass,
+  toStandard,
+} from '../utils/aqiStandards';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
 import Loader from '../components/Loader';
 import ErrorBox from '../components/ErrorBox';
 import TreeRecommendations from '../components/TreeRecommendations';
+import ForecastChart from '../components/ForecastChart';
+import StationSearch from '../components/StationSearch';
+import CityAggregateSummary from '../components/CityAggregateSummary';
+import StationClusterLayer from '../components/StationClusterLayer';
+import PollutionSurfaceLayer from '../components/PollutionSurfaceLayer';
+import MapLayerControl from '../components/MapLayerControl';
+import WindArrowLayer from '../components/WindArrowLayer';
+import WindAnalysisPanel from '../components/WindAnalysisPanel';
+import SourceAttributionPanel from '../components/SourceAttributionPanel';
+import PollutantsCard from '../components/PollutantsCard';
+import ReadingIssues from '../components/ReadingIssues';
 
 // Fix Leaflet default icon issue
 import iconUrl from 'leaflet/dist/images/marker-icon.png';
@@ -25,20 +65,67 @@ const DefaultIcon = L.icon({
 L.Marker.prototype.options.icon = DefaultIcon;
 
 // Component to handle map bounds changes and fetch stations
-function MapBoundsHandler({ onBoundsChange }) {
-  useMapEvents({
-    moveend: (e) => {
-      const map = e.target;
-      const bounds = map.getBounds();
-      const sw = bounds.getSouthWest();
-      const ne = bounds.getNorthEast();
-      
-      onBoundsChange(sw.lat, sw.lng, ne.lat, ne.lng);
+// Reports bounds and zoom once the map is ready, then after each pan/zoom has settled
+function MapBoundsHandler({ onBoundsChange, delay = 300 }) {
+  const timerRef = useRef(null);
+  const onBoundsChangeRef = useRef(onBoundsChange);
+  onBoundsChangeRef.current = onBoundsChange;
+
+  const report = (map) => {
+    const bounds = map.getBounds();
+    const sw = bounds.getSouthWest();
+    const ne = bounds.getNorthEast();
+
+    onBoundsChangeRef.current(sw.lat, sw.lng, ne.lat, ne.lng, map.getZoom());
+  };
+
+  const map = useMapEvents({
+    moveend: () => {
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(() => report(map), delay);
     },
   });
+
+  useEffect(() => {
+    report(map);
+    return () => clearTimeout(timerRef.current);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [map]);
+
   return null;
 }
 
+// Component to report clicks on empty map areas (markers and popups don't propagate)
+function MapClickHandler({ onClick }) {
+  useMapEvents({
+    click: (e) => onClick(e.latlng.lat, e.latlng.lng),
+  });
+  return null;
+}
+
+const GEOLOCATION_ERRORS = {
+  1: 'Location permission was denied. Allow location access or search for a city.',
+  2: 'Your location could not be determined.',
+  3: 'Timed out while getting your location.',
+};
+
+/**
+ * Browser position as { lat, lon }
+ */
+function getBrowserPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not supported by this browser.'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => resolve({ lat: position.coords.latitude, lon: position.coords.longitude }),
+      (err) => reject(new Error(GEOLOCATION_ERRORS[err.code] || 'Failed to get your location.')),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
 // Component to fix map size after render
 function MapSizeFixer() {
   const map = useMap();
@@ -65,6 +152,11 @@ function MapSizeFixer() {
   return null;
 }
 
+// Station feeds fetched per viewport for a per-pollutant surface
+const SURFACE_MAX_FEEDS = 40;
+
+const DEFAULT_MAP_LAYERS = { pollution: 'aqi', weather: 'off', opacity: 0.7, windArrows: true };
+
 function AQIDashboard() {
   const [city, setCity] = useState('');
   const [data, setData] = useState(null);
@@ -73,105 +165,303 @@ function AQIDashboard() {
   const [loadingStations, setLoadingStations] = useState(false);
   const [error, setError] = useState(null);
   const [enhancedPrediction, setEnhancedPrediction] = useState(false);
+  const [aggregateMode, setAggregateMode] = useState(false);
+  const [aggregate, setAggregate] = useState(null);
+  const [loadingAggregate, setLoadingAggregate] = useState(false);
+  // Stations around the main one, for source attribution
+  const [neighbours, setNeighbours] = useState([]);
+  const [loadingNeighbours, setLoadingNeighbours] = useState(false);
+  const [locating, setLocating] = useState(false);
+  // Conditions at a clicked map point: { lat, lon, loading, data, error }
+  const [pointQuery, setPointQuery] = useState(null);
+  // Visible map area ({ bounds, zoom }) and how cluster bubbles are coloured
+  const [viewport, setViewport] = useState(null);
+  const [clusterColorBy, setClusterColorBy] = useState('worst');
+  // Stations failing a data-quality check are left out of aggregates unless included here
+  const [includeFlagged, setIncludeFlagged] = useState(false);
+  // Interpolated surface: 'off', 'aqi' or a pollutant; per-pollutant values come from station feeds
+  const [surfacePollutant, setSurfacePollutant] = useState('off');
+  const [stationSubIndices, setStationSubIndices] = useState(() => new Map());
+  const [loadingFeeds, setLoadingFeeds] = useState(false);
+  const [mapLayers, setMapLayers] = useState(DEFAULT_MAP_LAYERS);
+  const availableMapLayers = useMemo(() => getMapLayers(), []);
+  const { standardId, standard, standards, setStandardId } = useAQIStandard();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const primaryStation = searchParams.get('station');
+  // In-flight requests; a newer search or pan aborts the older one
+  const searchControllerRef = useRef(null);
+  const stationsControllerRef = useRef(null);
+  const pointControllerRef = useRef(null);
 
-  const handleSearch = async () => {
-    if (!city.trim()) {
+  // Cancel anything still loading when the dashboard unmounts
+  useEffect(() => () => {
+    searchControllerRef.current?.abort();
+    stationsControllerRef.current?.abort();
+    pointControllerRef.current?.abort();
+  }, []);
+
+  const handleSearch = async (query = city) => {
+    if (!query.trim()) {
       setError('Please enter a city name');
       return;
     }
 
+    searchControllerRef.current?.abort();
+    stationsControllerRef.current?.abort();
+    pointControllerRef.current?.abort();
+    const controller = new AbortController();
+    searchControllerRef.current = controller;
+    setPointQuery(null);
+
     setLoading(true);
     setError(null);
     setData(null);
     setStations([]);
+    setStationSubIndices(new Map());
 
     try {
-      const result = await getAQIData(city.trim());
+      const result = await getAQIData(query.trim(), {
+        signal: controller.signal,
+        onUpdate: (fresh) => {
+          if (!controller.signal.aborted) setData(fresh);
+        },
+      });
       setData(result);
-      
-      // Fetch nearby stations when we have coordinates
-      if (result.coordinates) {
-        fetchNearbyStations(result.coordinates.lat, result.coordinates.lon);
-      }
+
+      // Keep the reading for the history view; a failed save shouldn't affect the dashboard
+      saveReading(result).catch((err) => console.error('Error saving reading:', err));
+      // Nearby stations load once the map reports its viewport
     } catch (err) {
+      if (isAbortError(err)) return;
       setError(err.message || 'Failed to fetch AQI data. Please try again.');
     } finally {
-      setLoading(false);
+      if (searchControllerRef.current === controller) {
+        setLoading(false);
+      }
     }
   };
 
-  const fetchNearbyStations = async (centerLat, centerLon) => {
-    // Calculate bounds around the center point (approximately 0.5 degree radius)
-    const lat1 = centerLat - 0.5;
-    const lng1 = centerLon - 0.5;
-    const lat2 = centerLat + 0.5;
-    const lng2 = centerLon + 0.5;
+  // City aggregate across every station around the searched city
+  useEffect(() => {
+    setAggregate(null);
+    if (!aggregateMode || !data?.coordinates) return undefined;
+
+    const controller = new AbortController();
+    setLoadingAggregate(true);
+    getCityAggregate(data.coordinates, { includeFlagged, signal: controller.signal })
+      .then(setAggregate)
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error aggregating stations:', err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingAggregate(false);
+      });
 
-    setLoadingStations(true);
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [aggregateMode, includeFlagged, data?.coordinates?.lat, data?.coordinates?.lon]);
+
+  // Neighbouring station readings, so source attribution doesn't rest on one monitor
+  useEffect(() => {
+    setNeighbours([]);
+    if (!data?.coordinates) return undefined;
+
+    const controller = new AbortController();
+    setLoadingNeighbours(true);
+    getNeighbourReadings(data.coordinates, { exclude: data.stationUid, includeFlagged, signal: controller.signal })
+      .then(setNeighbours)
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error loading neighbouring stations:', err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingNeighbours(false);
+      });
+
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [includeFlagged, data?.coordinates?.lat, data?.coordinates?.lon, data?.stationUid]);
+
+  const stationQuality = useMemo(() => assessStations(stations), [stations]);
+  const trustedStations = useMemo(
+    () => (includeFlagged ? stations : withoutFlagged(stations, stationQuality)),
+    [includeFlagged, stations, stationQuality]
+  );
+
+  // Per-pollutant surfaces need sub-indices the station listing doesn't carry: load the feeds of
+  // visible stations nearest the centre that don't have one yet
+  useEffect(() => {
+    if (surfacePollutant === 'off' || surfacePollutant === 'aqi' || !viewport) return undefined;
+
+    const { bounds } = viewport;
+    const center = { lat: (bounds.south + bounds.north) / 2, lon: (bounds.west + bounds.east) / 2 };
+    const missing = stationsInBounds(trustedStations, bounds, 0)
+      .filter((station) => !stationSubIndices.has(station.uid) && station.iaqi?.[surfacePollutant]?.v === undefined)
+      .sort((a, b) => distanceKm(center, a) - distanceKm(center, b))
+      .slice(0, SURFACE_MAX_FEEDS);
+    if (missing.length === 0) return undefined;
+
+    const controller = new AbortController();
+    setLoadingFeeds(true);
+    getStationReadings(missing, { signal: controller.signal })
+      .then((readings) => {
+        setStationSubIndices((current) => {
+          const next = new Map(current);
+          missing.forEach((station) => next.set(station.uid, readings.get(station.uid)?.subIndices || {}));
+          return next;
+        });
+      })
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error loading station feeds:', err);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoadingFeeds(false);
+      });
+
+    return () => controller.abort();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [surfacePollutant, viewport, trustedStations]);
+
+  const surfacePoints = useMemo(() => {
+    if (surfacePollutant === 'off' || !viewport) return [];
+    return stationSamples(stationsInBounds(trustedStations, viewport.bounds, 0.5), surfacePollutant, stationSubIndices);
+  }, [surfacePollutant, viewport, trustedStations, stationSubIndices]);
+
+  // Recommendations use the city median rather than a single feed when aggregating
+  // (and wait for it, so the single-feed value isn't sent first)
+  const sourceAttribution = useMemo(
+    () => (data ? attributeSources({ reading: data, neighbours }) : null),
+    [data, neighbours]
+  );
+
+  // Recommendations wait for the neighbours so the prompt carries the full source attribution
+  const recommendationData = useMemo(() => {
+    if (!data || loadingNeighbours) return null;
+    if (aggregateMode && loadingAggregate) return null;
+    const reading = aggregateMode ? applyAggregate(data, aggregate) : data;
+    return { ...reading, sourceAttribution };
+  }, [aggregateMode, loadingAggregate, loadingNeighbours, data, aggregate, sourceAttribution]);
+
+  // Wind as { deg, speed } when the weather provider reported a direction
+  const wind = Number.isFinite(data?.windDeg) ? { deg: data.windDeg, speed: data.wind } : null;
+
+  const windAnalysis = useMemo(() => {
+    if (!data?.coordinates || !Number.isFinite(data.windDeg)) return null;
+    return analyzeWind({ center: data.coordinates, stations: trustedStations, windDeg: data.windDeg, windSpeed: data.wind });
+  }, [data, trustedStations]);
+
+  // A station chosen with "Use as primary" on its detail page; the param is dropped once loading
+  // starts so a later search isn't replaced by it on reload or back/forward
+  useEffect(() => {
+    if (primaryStation) {
+      handleSearch(`@${primaryStation}`);
+      setSearchParams({}, { replace: true });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [primaryStation]);
+
+  const handleUseLocation = async () => {
+    setLocating(true);
+    setError(null);
     try {
-      const stationData = await getMapStations(lat1, lng1, lat2, lng2);
-      setStations(stationData);
+      const position = await getBrowserPosition();
+      setCity('');
+      handleSearch(toGeoQuery(position));
     } catch (err) {
-      console.error('Error fetching stations:', err);
+      setError(err.message);
     } finally {
-      setLoadingStations(false);
+      setLocating(false);
     }
   };
 
-  const handleMapBoundsChange = async (lat1, lng1, lat2, lng2) => {
-    if (loadingStations) return;
-    
+  // Query conditions at a clicked point and show them on a temporary marker
+  const handleMapClick = async (lat, lon) => {
+    pointControllerRef.current?.abort();
+    const controller = new AbortController();
+    pointControllerRef.current = controller;
+
+    setPointQuery({ lat, lon, loading: true, data: null, error: null });
+    try {
+      const result = await getAQIData(toGeoQuery({ lat, lon }), { signal: controller.signal });
+      setPointQuery({ lat, lon, loading: false, data: result, error: null });
+    } catch (err) {
+      if (isAbortError(err)) return;
+      setPointQuery({ lat, lon, loading: false, data: null, error: err.message || 'No data for this point' });
+    }
+  };
+
+  const handleMapBoundsChange = async (lat1, lng1, lat2, lng2, zoom) => {
+    setViewport({ bounds: { south: lat1, west: lng1, north: lat2, east: lng2 }, zoom });
+    loadStations(lat1, lng1, lat2, lng2);
+  };
+
+  // Only the latest viewport's request may update the markers; stations are merged by uid so
+  // areas already visited stay loaded
+  const loadStations = async (lat1, lng1, lat2, lng2) => {
+    stationsControllerRef.current?.abort();
+    const controller = new AbortController();
+    stationsControllerRef.current = controller;
+
     setLoadingStations(true);
     try {
-      const stationData = await getMapStations(lat1, lng1, lat2, lng2);
-      setStations(stationData);
+      const stationData = await getMapStations(lat1, lng1, lat2, lng2, {
+        signal: controller.signal,
+        onUpdate: (fresh) => {
+          if (!controller.signal.aborted) setStations((current) => mergeStations(current, fresh));
+        },
+      });
+      setStations((current) => mergeStations(current, stationData));
     } catch (err) {
+      if (isAbortError(err)) return;
       console.error('Error fetching stations:', err);
     } finally {
-      setLoadingStations(false);
+      if (stationsControllerRef.current === controller) {
+        setLoadingStations(false);
+      }
     }
   };
 
-  const getAQIColor = (aqi) => {
-    if (!aqi) return 'text-gray-400';
-    if (aqi <= 50) return 'text-green-400';
-    if (aqi <= 100) return 'text-yellow-400';
-    if (aqi <= 150) return 'text-orange-400';
-    if (aqi <= 200) return 'text-red-400';
-    if (aqi <= 300) return 'text-purple-400';
-    return 'text-red-500';
-  };
+  // Category helpers for values already expressed in the selected standard
+  const getAQIColor = (aqi) => getAQITextClass(aqi, standardId);
+  const getAQILabel = (aqi) => getStandardLabel(aqi, standardId);
+  const getAQIBgColor = (aqi) => getStandardColor(aqi, standardId);
 
-  const getAQILabel = (aqi) => {
-    if (!aqi) return 'N/A';
-    if (aqi <= 50) return 'Good';
-    if (aqi <= 100) return 'Moderate';
-    if (aqi <= 150) return 'Unhealthy for Sensitive';
-    if (aqi <= 200) return 'Unhealthy';
-    if (aqi <= 300) return 'Very Unhealthy';
-    return 'Hazardous';
-  };
+  const reading = data ? toStandard(data, standardId) : null;
+  const nextHour = data
+    ? toStandard({
+      aqi: data.forecast_next_hour,
+      subIndices: data.forecast_next_hour_subindices,
+      dominantPollutant: data.forecast_next_hour_dominant,
+    }, standardId)
+    : null;
 
-  const getAQIBgColor = (aqi) => {
-    if (!aqi) return '#6B7280';
-    if (aqi <= 50) return '#10B981'; // green
-    if (aqi <= 100) return '#F59E0B'; // yellow
-    if (aqi <= 150) return '#F97316'; // orange
-    if (aqi <= 200) return '#EF4444'; // red
-    if (aqi <= 300) return '#8B5CF6'; // purple
-    return '#7F1D1D'; // dark red
-  };
+  const stationsInView = useMemo(
+    () => (viewport ? stationsInBounds(stations, viewport.bounds, 0) : stations),
+    [stations, viewport]
+  );
+  const flaggedInView = stationsInView.filter((station) => stationQuality.get(station.uid)?.flagged).length;
 
   const getMarkerIcon = (aqi) => {
     const color = getAQIBgColor(aqi);
     return L.divIcon({
       className: 'custom-marker',
-      html: `<div style="background-color: ${color}; width: 30px; height: 30px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px;">${aqi || 'N/A'}</div>`,
+      html: `<div style="background-color: ${color}; width: 30px; height: 30px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 4px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 12px;">${aqi ?? 'N/A'}</div>`,
       iconSize: [30, 30],
       iconAnchor: [15, 15],
     });
   };
 
+  // Dashed pin for a clicked point, coloured once its reading arrives
+  const getPointIcon = (point) => {
+    const aqi = point.data ? toStandard(point.data, standardId).aqi : null;
+    const color = aqi !== null ? getAQIBgColor(aqi) : '#6B7280';
+    return L.divIcon({
+      className: 'custom-marker',
+      html: `<div style="background-color: ${color}; width: 26px; height: 26px; border-radius: 50%; border: 3px dashed white; box-shadow: 0 2px 4px rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 11px;">${point.loading ? '…' : aqi ?? '?'}</div>`,
+      iconSize: [26, 26],
+      iconAnchor: [13, 13],
+    });
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
       <div className="container mx-auto px-4">
@@ -183,16 +473,25 @@ function AQIDashboard() {
         <div className="max-w-2xl mx-auto mb-8">
           <div className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700">
             <div className="flex gap-4 items-center">
-              <input
-                type="text"
+              <StationSearch
                 value={city}
-                onChange={(e) => setCity(e.target.value)}
-                onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-                placeholder="Enter city name (e.g., beijing, london, delhi)"
-                className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                onChange={setCity}
+                onSubmit={() => handleSearch()}
+                onSelect={(station) => {
+                  setCity(station.name);
+                  handleSearch(stationQuery(station));
+                }}
               />
               <button
-                onClick={handleSearch}
+                onClick={handleUseLocation}
+                disabled={loading || locating}
+                title="Use my location"
+                className="px-3 py-2 bg-gray-700 text-gray-200 border border-gray-600 rounded-lg hover:bg-gray-600 disabled:cursor-not-allowed disabled:opacity-60 transition-colors"
+              >
+                {locating ? 'Locating...' : '📍 My location'}
+              </button>
+              <button
+                onClick={() => handleSearch()}
                 disabled={loading}
                 className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
               >
@@ -225,6 +524,48 @@ function AQIDashboard() {
                 (AI-powered tree planting recommendations)
               </span>
             </div>
+            {/* City Aggregate Toggle */}
+            <div className="mt-4 flex items-center gap-3">
+              <label className="flex items-center cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={aggregateMode}
+                  onChange={(e) => setAggregateMode(e.target.checked)}
+                  className="sr-only"
+                />
+                <div className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
+                  aggregateMode ? 'bg-green-600' : 'bg-gray-600'
+                }`}>
+                  <span
+                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                      aggregateMode ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </div>
+                <span className="ml-3 text-sm font-medium text-gray-300">
+                  🏙️ City Aggregate
+                </span>
+              </label>
+              <span className="text-xs text-gray-400">
+                (median and spread across all stations)
+              </span>
+            </div>
+            {/* AQI Standard Selector */}
+            <div className="mt-4 flex items-center gap-3">
+              <label htmlFor="aqi-standard" className="text-sm font-medium text-gray-300">
+                AQI standard
+              </label>
+              <select
+                id="aqi-standard"
+                value={standardId}
+                onChange={(e) => setStandardId(e.target.value)}
+                className="px-3 py-1.5 bg-gray-700 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {standards.map((option) => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
@@ -239,56 +580,67 @@ function AQIDashboard() {
           <div className="space-y-6">
             {/* Main AQI Card */}
             <div className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700">
-              <h2 className="text-2xl font-bold text-white mb-4">
-                {data.city}
-              </h2>
+              <div className="flex items-center justify-between gap-4 mb-4">
+                <h2 className="text-2xl font-bold text-white">
+                  {data.city}
+                </h2>
+                <div className="flex items-center gap-4">
+                  {data.stationUid !== null && (
+                    <Link
+                      to={`/station/${encodeURIComponent(data.stationUid)}`}
+                      className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                    >
+                      Station details →
+                    </Link>
+                  )}
+                  <Link
+                    to={`/history?city=${encodeURIComponent(data.city)}`}
+                    className="text-sm text-blue-400 hover:text-blue-300 transition-colors"
+                  >
+                    View history →
+                  </Link>
+                </div>
+              </div>
               <div className="flex items-center gap-4">
-                <div className={`text-6xl font-bold ${getAQIColor(data.aqi)}`}>
-                  {data.aqi || 'N/A'}
+                <div className={`text-6xl font-bold ${getAQIColor(reading.aqi)}`}>
+                  {reading.aqi ?? 'N/A'}
                 </div>
                 <div>
                   <p className="text-xl font-semibold text-gray-200">
-                    {getAQILabel(data.aqi)}
+                    {getAQILabel(reading.aqi)}
                   </p>
-                  <p className="text-gray-400">Air Quality Index</p>
+                  <p className="text-gray-400">{standard.name}</p>
+                  {reading.dominantPollutant && (
+                    <p className="text-sm text-gray-400">
+                      Dominant pollutant: {POLLUTANT_LABELS[reading.dominantPollutant] || reading.dominantPollutant}
+                    </p>
+                  )}
+                  {data.source && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Source: {data.source}
+                      {data.observedAt !== null && (
+                        <> · measured {localDay(data.observedAt, data.timezoneOffset)}{' '}
+                          {formatLocalTime(data.observedAt, data.timezoneOffset)} local time</>
+                      )}
+                    </p>
+                  )}
                 </div>
               </div>
+              <ReadingIssues issues={data.issues} />
+              {aggregateMode && loadingAggregate && (
+                <p className="text-sm text-gray-400 mt-4 pt-4 border-t border-gray-700">
+                  Gathering stations around {data.city}...
+                </p>
+              )}
+              {aggregateMode && !loadingAggregate && aggregate && (
+                <CityAggregateSummary aggregate={aggregate} />
+              )}
             </div>
 
             {/* Data Grid */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               {/* Pollutants Card */}
-              <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
-                <h3 className="text-lg font-semibold text-white mb-4">
-                  Pollutants
-                </h3>
-                <div className="space-y-3">
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">PM2.5:</span>
-                    <span className="font-semibold text-gray-200">{data.pm25 || 'N/A'} μg/m³</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">PM10:</span>
-                    <span className="font-semibold text-gray-200">{data.pm10 || 'N/A'} μg/m³</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">CO:</span>
-                    <span className="font-semibold text-gray-200">{data.co || 'N/A'} μg/m³</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">NO₂:</span>
-                    <span className="font-semibold text-gray-200">{data.no2 || 'N/A'} μg/m³</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">SO₂:</span>
-                    <span className="font-semibold text-gray-200">{data.so2 || 'N/A'} μg/m³</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-400">O₃:</span>
-                    <span className="font-semibold text-gray-200">{data.o3 || 'N/A'} μg/m³</span>
-                  </div>
-                </div>
-              </div>
+              <PollutantsCard data={data} />
 
               {/* Weather Card */}
               <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
@@ -314,6 +666,23 @@ function AQIDashboard() {
                       {data.wind !== null ? `${data.wind} m/s` : 'N/A'}
                     </span>
                   </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-400">Wind Direction:</span>
+                    <span className="font-semibold text-gray-200">
+                      {wind ? (
+                        <>
+                          <span
+                            className="inline-block mr-1 text-sky-400"
+                            style={{ transform: `rotate(${wind.deg + 180}deg)` }}
+                            title="Direction the air is moving"
+                          >
+                            ↑
+                          </span>
+                          from {compassPoint(wind.deg)} ({wind.deg}°)
+                        </>
+                      ) : 'N/A'}
+                    </span>
+                  </div>
                 </div>
               </div>
 
@@ -325,21 +694,46 @@ function AQIDashboard() {
                 <div className="space-y-3">
                   <div>
                     <p className="text-gray-400 mb-2">Next Hour AQI:</p>
-                    <p className={`text-3xl font-bold ${getAQIColor(data.forecast_next_hour)}`}>
-                      {data.forecast_next_hour !== null
-                        ? data.forecast_next_hour
+                    <p className={`text-3xl font-bold ${getAQIColor(nextHour.aqi)}`}>
+                      {nextHour.aqi !== null
+                        ? nextHour.aqi
                         : 'N/A'}
                     </p>
                     <p className="text-sm text-gray-400 mt-1">
-                      {data.forecast_next_hour !== null
-                        ? getAQILabel(data.forecast_next_hour)
+                      {nextHour.aqi !== null
+                        ? getAQILabel(nextHour.aqi)
                         : 'No forecast available'}
                     </p>
+                    {nextHour.dominantPollutant && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {standard.name} · driven by {POLLUTANT_LABELS[nextHour.dominantPollutant]}
+                      </p>
+                    )}
                   </div>
+                  {Object.keys(nextHour.subIndices).length > 0 && (
+                    <div className="grid grid-cols-3 gap-2 pt-3 border-t border-gray-700">
+                      {Object.entries(nextHour.subIndices).map(([pollutant, subIndex]) => (
+                        <div key={pollutant} className="text-xs">
+                          <span className="text-gray-400">{POLLUTANT_LABELS[pollutant]} </span>
+                          <span className={`font-semibold ${getAQIColor(subIndex)}`}>{subIndex}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
 
+            {/* Likely Pollution Sources */}
+            {sourceAttribution && (
+              <SourceAttributionPanel attribution={sourceAttribution} loading={loadingNeighbours} />
+            )}
+
+            {/* Multi-day Forecast */}
+            {data.forecast && (
+              <ForecastChart forecast={data.forecast} timezoneOffset={data.timezoneOffset} />
+            )}
+
             {/* Map Section */}
             {data.coordinates && data.coordinates.lat && data.coordinates.lon && (
               <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
@@ -347,14 +741,60 @@ function AQIDashboard() {
                   <h3 className="text-lg font-semibold text-white">
                     Air Quality Heatmap
                   </h3>
-                  {loadingStations && (
-                    <span className="text-sm text-gray-400">Loading stations...</span>
-                  )}
-                  {!loadingStations && stations.length > 0 && (
-                    <span className="text-sm text-gray-300">
-                      {stations.length} station{stations.length !== 1 ? 's' : ''} found
-                    </span>
-                  )}
+                  <div className="flex items-center gap-4">
+                    {loadingStations && (
+                      <span className="text-sm text-gray-400">Loading stations...</span>
+                    )}
+                    {!loadingStations && stationsInView.length > 0 && (
+                      <span className="text-sm text-gray-300">
+                        {stationsInView.length} station{stationsInView.length !== 1 ? 's' : ''} in view
+                      </span>
+                    )}
+                    {flaggedInView > 0 && (
+                      <label
+                        className="flex items-center gap-2 text-sm text-yellow-400"
+                        title="Stale readings, invalid values and outliers against neighbouring stations"
+                      >
+                        <input
+                          type="checkbox"
+                          checked={includeFlagged}
+                          onChange={(e) => setIncludeFlagged(e.target.checked)}
+                        />
+                        Include {flaggedInView} flagged
+                      </label>
+                    )}
+                    {surfacePollutant !== 'off' && loadingFeeds && (
+                      <span className="text-sm text-gray-400">Loading station feeds...</span>
+                    )}
+                    {surfacePollutant !== 'off' && !loadingFeeds && !loadingStations && surfacePoints.length < MIN_SURFACE_SAMPLES && (
+                      <span className="text-sm text-yellow-400">Not enough stations for a surface</span>
+                    )}
+                    <label className="flex items-center gap-2 text-sm text-gray-400">
+                      Surface
+                      <select
+                        value={surfacePollutant}
+                        onChange={(e) => setSurfacePollutant(e.target.value)}
+                        className="px-2 py-1 bg-gray-700 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="off">Off</option>
+                        <option value="aqi">AQI</option>
+                        {Object.entries(POLLUTANT_LABELS).map(([pollutant, label]) => (
+                          <option key={pollutant} value={pollutant}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex items-center gap-2 text-sm text-gray-400">
+                      Clusters
+                      <select
+                        value={clusterColorBy}
+                        onChange={(e) => setClusterColorBy(e.target.value)}
+                        className="px-2 py-1 bg-gray-700 border border-gray-600 text-white text-sm rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="worst">Worst AQI</option>
+                        <option value="average">Average AQI</option>
+                      </select>
+                    </label>
+                  </div>
                 </div>
                 <div 
                   className="h-96 w-full rounded-lg overflow-hidden relative"
@@ -375,65 +815,122 @@ function AQIDashboard() {
                       maxZoom={19}
                       minZoom={1}
                     />
-                    {/* AQICN Heatmap overlay */}
-                    <TileLayer
-                      url={data.heatmap_tile}
-                      attribution='&copy; <a href="https://aqicn.org">AQICN</a>'
-                      maxZoom={18}
-                      minZoom={1}
-                      opacity={0.7}
+                    {/* Provider pollution and weather tiles (not every provider publishes them) */}
+                    <MapLayerControl
+                      layers={availableMapLayers}
+                      settings={mapLayers}
+                      onChange={setMapLayers}
+                      surfacePollutant={surfacePollutant}
+                      wind={wind}
                     />
                     <MapSizeFixer />
                     <MapBoundsHandler onBoundsChange={handleMapBoundsChange} />
+                    <MapClickHandler onClick={handleMapClick} />
                     
                     {/* Main city marker */}
                     <Marker 
                       position={[data.coordinates.lat, data.coordinates.lon]}
-                      icon={getMarkerIcon(data.aqi)}
+                      icon={getMarkerIcon(reading.aqi)}
                     >
                       <Popup>
                         <div>
                           <strong>{data.city}</strong>
                           <br />
-                          AQI: {data.aqi || 'N/A'} - {getAQILabel(data.aqi)}
-                          {data.pm25 && <><br />PM2.5: {data.pm25} μg/m³</>}
-                          {data.pm10 && <><br />PM10: {data.pm10} μg/m³</>}
+                          AQI: {reading.aqi ?? 'N/A'} - {getAQILabel(reading.aqi)}
+                          {['pm25', 'pm10'].map((pollutant) => data.pollutants[pollutant] && (
+                            <span key={pollutant}>
+                              <br />
+                              {POLLUTANT_LABELS[pollutant]}: {formatPollutantValue(data.pollutants[pollutant])}
+                            </span>
+                          ))}
                         </div>
                       </Popup>
                     </Marker>
 
-                    {/* Nearby stations markers */}
-                    {stations.map((station) => (
+                    {surfacePollutant !== 'off' && (
+                      <PollutionSurfaceLayer points={surfacePoints} pollutant={surfacePollutant} viewport={viewport} />
+                    )}
+                    {wind && mapLayers.windArrows && (
+                      <WindArrowLayer stations={stations} viewport={viewport} center={data.coordinates} wind={wind} />
+                    )}
+                    {/* Nearby stations, clustered for the current viewport */}
+                    <StationClusterLayer
+                      stations={stations}
+                      viewport={viewport}
+                      colorBy={clusterColorBy}
+                      quality={stationQuality}
+                      includeFlagged={includeFlagged}
+                    />
+
+                    {/* Temporary marker for a clicked point */}
+                    {pointQuery && (
                       <Marker
-                        key={station.uid}
-                        position={[station.lat, station.lon]}
-                        icon={getMarkerIcon(station.aqi)}
+                        key={`${pointQuery.lat},${pointQuery.lon}`}
+                        position={[pointQuery.lat, pointQuery.lon]}
+                        icon={getPointIcon(pointQuery)}
+                        eventHandlers={{ add: (e) => e.target.openPopup() }}
                       >
-                        <Popup>
+                        <Popup
+                          eventHandlers={{
+                            // Closing the popup dismisses the point, unless a newer click replaced it
+                            remove: () => setPointQuery((current) => (
+                              current?.lat === pointQuery.lat && current?.lon === pointQuery.lon ? null : current
+                            )),
+                          }}
+                        >
                           <div>
-                            <strong>{station.station?.name || 'Station'}</strong>
+                            <strong>
+                              {pointQuery.lat.toFixed(4)}, {pointQuery.lon.toFixed(4)}
+                            </strong>
                             <br />
-                            AQI: {station.aqi || 'N/A'} - {getAQILabel(station.aqi)}
-                            {station.iaqi?.pm25?.v && (
-                              <><br />PM2.5: {station.iaqi.pm25.v} μg/m³</>
-                            )}
-                            {station.iaqi?.pm10?.v && (
-                              <><br />PM10: {station.iaqi.pm10.v} μg/m³</>
-                            )}
-                            {station.station?.time && (
-                              <><br /><small>Updated: {new Date(station.station.time).toLocaleString()}</small></>
-                            )}
+                            {pointQuery.loading && 'Loading conditions...'}
+                            {pointQuery.error && <span>{pointQuery.error}</span>}
+                            {pointQuery.data && (() => {
+                              const pointReading = toStandard(pointQuery.data, standardId);
+                              const { coordinates } = pointQuery.data;
+                              return (
+                                <>
+                                  AQI: {pointReading.aqi ?? 'N/A'} - {getAQILabel(pointReading.aqi, standardId)}
+                                  <br />
+                                  <small>
+                                    {pointQuery.data.stationUid !== null ? 'Nearest station' : 'Source'}: {pointQuery.data.city}
+                                    {coordinates && ` (${distanceKm(pointQuery, coordinates).toFixed(1)} km away)`}
+                                  </small>
+                                  {pointQuery.data.temp !== null && (
+                                    <>
+                                      <br />
+                                      <small>
+                                        {pointQuery.data.temp}°C
+                                        {' · '}{pointQuery.data.humidity !== null ? `${pointQuery.data.humidity}%` : 'N/A'}
+                                        {' · '}{pointQuery.data.wind !== null ? `${pointQuery.data.wind} m/s` : 'N/A'}
+                                      </small>
+                                    </>
+                                  )}
+                                  <br />
+                                  <button
+                                    type="button"
+                                    onClick={() => handleSearch(toGeoQuery(pointQuery))}
+                                    className="text-blue-600 hover:underline"
+                                  >
+                                    Load in dashboard
+                                  </button>
+                                </>
+                              );
+                            })()}
                           </div>
                         </Popup>
                       </Marker>
-                    ))}
+                    )}
                   </MapContainer>
                 </div>
               </div>
             )}
 
+            {/* Upwind vs downwind stations */}
+            {windAnalysis && <WindAnalysisPanel analysis={windAnalysis} wind={wind} />}
+
             {/* AI Tree Planting Recommendations */}
-            <TreeRecommendations aqiData={data} enabled={enhancedPrediction} />
+            <TreeRecommendations aqiData={recommendationData} enabled={enhancedPrediction} />
           </div>
         )}
       </div>
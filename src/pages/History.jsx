@@ -0,0 +1,371 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  LineChart,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceArea,
+} from 'recharts';
+import { getHistoryCities, getReadingHistory } from '../api/historyService';
+import { isAbortError } from '../api/http';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { convertAQI, getAQIColor, getAQILabel, getCategoryBands } from '../utils/aqiStandards';
+import {
+  HISTORY_PERIODS,
+  HISTORY_POLLUTANTS,
+  aggregateReadings,
+  describeTrend,
+  formatBucket,
+} from '../utils/historyAggregates';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+import Loader from '../components/Loader';
+import ErrorBox from '../components/ErrorBox';
+
+const POLLUTANT_COLORS = {
+  pm25: '#F97316',
+  pm10: '#EAB308',
+  o3: '#22D3EE',
+  no2: '#A855F7',
+  so2: '#EC4899',
+  co: '#94A3B8',
+};
+
+const TREND_STYLES = {
+  improving: { icon: '↘', className: 'text-green-400' },
+  worsening: { icon: '↗', className: 'text-red-400' },
+  stable: { icon: '→', className: 'text-gray-300' },
+};
+
+/**
+ * Historical AQI trends for a city, from readings stored by the dashboard
+ */
+function History() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const city = searchParams.get('city') || '';
+  const [cityInput, setCityInput] = useState(city);
+  const [cities, setCities] = useState([]);
+  const [period, setPeriod] = useState('day');
+  const [readings, setReadings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { standardId, standard } = useAQIStandard();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getHistoryCities({ signal: controller.signal })
+      .then(setCities)
+      .catch((err) => {
+        if (!isAbortError(err)) console.error('Error loading history cities:', err);
+      });
+    return () => controller.abort();
+  }, []);
+
+  useEffect(() => {
+    setCityInput(city);
+    if (!city) {
+      setReadings([]);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    getReadingHistory(city, {
+      since: Date.now() - HISTORY_PERIODS[period].span,
+      signal: controller.signal,
+    })
+      .then(setReadings)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(err.message || 'Failed to load reading history.');
+        setReadings([]);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [city, period]);
+
+  const timezoneOffset = readings.length > 0 ? readings[readings.length - 1].timezoneOffset : 0;
+  const buckets = useMemo(
+    () => aggregateReadings(readings, period, timezoneOffset),
+    [readings, period, timezoneOffset]
+  );
+  const trend = describeTrend(buckets);
+
+  // Chart rows in the selected standard
+  const rows = buckets.map((bucket) => {
+    const row = {
+      label: formatBucket(bucket.start, period, timezoneOffset),
+      count: bucket.count,
+    };
+    if (bucket.aqi) {
+      row.aqi = convertAQI(bucket.aqi.avg, standardId);
+      row.aqiRange = [convertAQI(bucket.aqi.min, standardId), convertAQI(bucket.aqi.max, standardId)];
+    }
+    Object.entries(bucket.pollutants).forEach(([pollutant, stats]) => {
+      row[pollutant] = convertAQI(stats.avg, standardId, pollutant);
+    });
+    return row;
+  });
+
+  const pollutantsWithData = HISTORY_POLLUTANTS.filter((pollutant) =>
+    buckets.some((bucket) => bucket.pollutants[pollutant])
+  );
+
+  const dominantTotals = {};
+  buckets.forEach((bucket) => {
+    Object.entries(bucket.dominant).forEach(([pollutant, count]) => {
+      dominantTotals[pollutant] = (dominantTotals[pollutant] || 0) + count;
+    });
+  });
+  const dominantCount = Object.values(dominantTotals).reduce((sum, count) => sum + count, 0);
+
+  const latest = rows[rows.length - 1];
+  const bands = getCategoryBands(standardId);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (cityInput.trim()) {
+      setSearchParams({ city: cityInput.trim() });
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <h1 className="text-4xl font-bold text-white text-center mb-8">
+          Air Quality History
+        </h1>
+
+        <div className="max-w-2xl mx-auto mb-8">
+          <form
+            onSubmit={handleSubmit}
+            className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700"
+          >
+            <div className="flex gap-4 items-center">
+              <input
+                type="text"
+                list="history-cities"
+                value={cityInput}
+                onChange={(e) => setCityInput(e.target.value)}
+                placeholder="City with stored readings"
+                className="flex-1 px-4 py-2 bg-gray-700 border border-gray-600 text-white placeholder-gray-400 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <datalist id="history-cities">
+                {cities.map((option) => (
+                  <option key={option} value={option} />
+                ))}
+              </datalist>
+              <button
+                type="submit"
+                className="px-6 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Show
+              </button>
+            </div>
+            <div className="mt-4 flex gap-2">
+              {Object.entries(HISTORY_PERIODS).map(([id, option]) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => setPeriod(id)}
+                  className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                    period === id
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </form>
+        </div>
+
+        {error && <ErrorBox message={error} />}
+
+        {loading && <Loader />}
+
+        {!loading && city && !error && readings.length === 0 && (
+          <p className="text-center text-gray-400">
+            No stored readings for {city} yet. Readings are saved each time the city is searched on the{' '}
+            <Link to="/aqi" className="text-blue-400 hover:text-blue-300">dashboard</Link>.
+          </p>
+        )}
+
+        {!loading && readings.length > 0 && (
+          <div className="space-y-6">
+            {/* Summary */}
+            <div className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700">
+              <h2 className="text-2xl font-bold text-white mb-4">{city}</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <p className="text-sm text-gray-400">Latest {HISTORY_PERIODS[period].label.toLowerCase()} average</p>
+                  {latest?.aqi !== undefined ? (
+                    <p className="text-3xl font-bold" style={{ color: getAQIColor(latest.aqi, standardId) }}>
+                      {latest.aqi}{' '}
+                      <span className="text-base font-medium">{getAQILabel(latest.aqi, standardId)}</span>
+                    </p>
+                  ) : (
+                    <p className="text-3xl font-bold text-gray-400">N/A</p>
+                  )}
+                  <p className="text-xs text-gray-500">{standard.name}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-400">Trend</p>
+                  {trend ? (
+                    <p className={`text-3xl font-bold ${TREND_STYLES[trend.direction].className}`}>
+                      {TREND_STYLES[trend.direction].icon} {trend.direction}
+                      <span className="text-base font-medium ml-2">
+                        ({trend.change > 0 ? '+' : ''}{trend.change}%)
+                      </span>
+                    </p>
+                  ) : (
+                    <p className="text-3xl font-bold text-gray-400">Not enough data</p>
+                  )}
+                  <p className="text-xs text-gray-500">Latest period vs. the average of earlier ones</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-400">Readings</p>
+                  <p className="text-3xl font-bold text-white">{readings.length}</p>
+                  <p className="text-xs text-gray-500">Across {buckets.length} {period === 'day' ? 'days' : `${period}s`}</p>
+                </div>
+              </div>
+            </div>
+
+            {/* AQI Trend */}
+            <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+              <h3 className="text-lg font-semibold text-white mb-4">
+                AQI Trend
+              </h3>
+              <div className="h-72 w-full">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={rows} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+                    <XAxis dataKey="label" tick={{ fill: '#9CA3AF', fontSize: 10 }} axisLine={false} tickLine={false} />
+                    <YAxis
+                      tick={{ fill: '#9CA3AF', fontSize: 10 }}
+                      axisLine={false}
+                      tickLine={false}
+                      domain={[0, (dataMax) => Math.min(standard.max, Math.max(bands[2].to, dataMax + bands[0].to))]}
+                    />
+                    {bands.map((band) => (
+                      <ReferenceArea
+                        key={band.label}
+                        y1={band.from}
+                        y2={band.to}
+                        fill={band.color}
+                        fillOpacity={0.08}
+                        ifOverflow="hidden"
+                      />
+                    ))}
+                    <Tooltip
+                      contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' }}
+                      labelStyle={{ color: '#F3F4F6' }}
+                      formatter={(value, name) => (Array.isArray(value) ? [`${value[0]}–${value[1]}`, name] : [value, name])}
+                    />
+                    <Area
+                      type="monotone"
+                      dataKey="aqiRange"
+                      name="Min–max"
+                      stroke="none"
+                      fill="#3B82F6"
+                      fillOpacity={0.15}
+                      isAnimationActive={false}
+                    />
+                    <Line
+                      type="monotone"
+                      dataKey="aqi"
+                      name="Average AQI"
+                      stroke="#3B82F6"
+                      strokeWidth={3}
+                      dot={{ r: 3, fill: '#3B82F6' }}
+                      connectNulls
+                    />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+
+            {/* Pollutant Breakdown */}
+            {pollutantsWithData.length > 0 && (
+              <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+                <h3 className="text-lg font-semibold text-white mb-1">
+                  Pollutant Breakdown
+                </h3>
+                <p className="text-xs text-gray-400 mb-4">Average sub-index per pollutant ({standard.name})</p>
+                <div className="h-72 w-full">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={rows} margin={{ top: 10, right: 10, left: -20, bottom: 0 }}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#374151" opacity={0.5} />
+                      <XAxis dataKey="label" tick={{ fill: '#9CA3AF', fontSize: 10 }} axisLine={false} tickLine={false} />
+                      <YAxis tick={{ fill: '#9CA3AF', fontSize: 10 }} axisLine={false} tickLine={false} />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' }}
+                        labelStyle={{ color: '#F3F4F6' }}
+                      />
+                      <Legend wrapperStyle={{ fontSize: 12 }} />
+                      {pollutantsWithData.map((pollutant) => (
+                        <Line
+                          key={pollutant}
+                          type="monotone"
+                          dataKey={pollutant}
+                          name={POLLUTANT_LABELS[pollutant] || pollutant}
+                          stroke={POLLUTANT_COLORS[pollutant]}
+                          strokeWidth={2}
+                          dot={false}
+                          connectNulls
+                        />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+
+                {dominantCount > 0 && (
+                  <div className="mt-4">
+                    <p className="text-sm text-gray-400 mb-2">Dominant pollutant share</p>
+                    <div className="flex h-3 w-full overflow-hidden rounded-full bg-gray-700">
+                      {Object.entries(dominantTotals).map(([pollutant, count]) => (
+                        <div
+                          key={pollutant}
+                          title={`${POLLUTANT_LABELS[pollutant] || pollutant}: ${Math.round((count / dominantCount) * 100)}%`}
+                          style={{
+                            width: `${(count / dominantCount) * 100}%`,
+                            backgroundColor: POLLUTANT_COLORS[pollutant] || '#6B7280',
+                          }}
+                        />
+                      ))}
+                    </div>
+                    <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-xs text-gray-400">
+                      {Object.entries(dominantTotals).map(([pollutant, count]) => (
+                        <span key={pollutant} className="flex items-center gap-1">
+                          <span
+                            className="w-2 h-2 rounded-full"
+                            style={{ backgroundColor: POLLUTANT_COLORS[pollutant] || '#6B7280' }}
+                          ></span>
+                          {POLLUTANT_LABELS[pollutant] || pollutant} {Math.round((count / dominantCount) * 100)}%
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default History;
@@ -0,0 +1,181 @@
+import { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { getAQIData } from '../api/airService';
+import { isAbortError } from '../api/http';
+import { POLLUTANT_LABELS } from '../utils/aqiCalculator';
+import { getAQILabel, getAQITextClass, toStandard } from '../utils/aqiStandards';
+import { formatLocalTime, localDay } from '../utils/forecastSeries';
+import { useAQIStandard } from '../contexts/AQIStandardContext';
+import Loader from '../components/Loader';
+import ErrorBox from '../components/ErrorBox';
+import ForecastChart from '../components/ForecastChart';
+import ReadingIssues from '../components/ReadingIssues';
+
+const POLLUTANTS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+/**
+ * Full feed of a single monitoring station, opened from a map marker
+ */
+function StationDetail() {
+  const { uid } = useParams();
+  const navigate = useNavigate();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { standardId, standard } = useAQIStandard();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+    setData(null);
+
+    getAQIData(`@${uid}`, {
+      signal: controller.signal,
+      onUpdate: (fresh) => {
+        if (!controller.signal.aborted) setData(fresh);
+      },
+    })
+      .then(setData)
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setError(err.message || 'Failed to load station data.');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [uid]);
+
+  const reading = data ? toStandard(data, standardId) : null;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-gray-800 py-8">
+      <div className="container mx-auto px-4">
+        <Link to="/aqi" className="text-sm text-blue-400 hover:text-blue-300 transition-colors">
+          ← Back to dashboard
+        </Link>
+
+        {error && <ErrorBox message={error} />}
+
+        {loading && <Loader />}
+
+        {data && !loading && (
+          <div className="space-y-6 mt-4">
+            {/* Station Card */}
+            <div className="bg-gray-800 rounded-lg shadow-lg p-6 border border-gray-700">
+              <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                <div>
+                  <h1 className="text-2xl font-bold text-white">{data.city}</h1>
+                  <p className="text-sm text-gray-400">
+                    Station #{uid}
+                    {data.coordinates && ` · ${data.coordinates.lat.toFixed(4)}, ${data.coordinates.lon.toFixed(4)}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => navigate(`/aqi?station=${encodeURIComponent(uid)}`)}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Use as primary
+                </button>
+              </div>
+              <div className="flex items-center gap-4">
+                <div className={`text-6xl font-bold ${getAQITextClass(reading.aqi, standardId)}`}>
+                  {reading.aqi ?? 'N/A'}
+                </div>
+                <div>
+                  <p className="text-xl font-semibold text-gray-200">
+                    {getAQILabel(reading.aqi, standardId)}
+                  </p>
+                  <p className="text-gray-400">{standard.name}</p>
+                  {reading.dominantPollutant && (
+                    <p className="text-sm text-gray-400">
+                      Dominant pollutant: {POLLUTANT_LABELS[reading.dominantPollutant] || reading.dominantPollutant}
+                    </p>
+                  )}
+                  {data.observedAt !== null && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      Updated {localDay(data.observedAt, data.timezoneOffset)}{' '}
+                      {formatLocalTime(data.observedAt, data.timezoneOffset)} (station local time)
+                    </p>
+                  )}
+                </div>
+              </div>
+              <ReadingIssues issues={data.issues} />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {/* Sub-indices Card */}
+              <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+                <h3 className="text-lg font-semibold text-white mb-4">
+                  Pollutant Sub-indices
+                </h3>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {POLLUTANTS.map((pollutant) => {
+                    const subIndex = reading.subIndices[pollutant] ?? null;
+                    return (
+                      <div
+                        key={pollutant}
+                        className={`rounded-lg p-3 bg-gray-700/50 ${
+                          pollutant === reading.dominantPollutant ? 'ring-2 ring-blue-500' : ''
+                        }`}
+                      >
+                        <p className="text-xs text-gray-400">{POLLUTANT_LABELS[pollutant]}</p>
+                        <p className={`text-2xl font-bold ${subIndex !== null ? getAQITextClass(subIndex, standardId) : 'text-gray-500'}`}>
+                          {subIndex ?? 'N/A'}
+                        </p>
+                        {subIndex !== null && (
+                          <p className="text-xs text-gray-400">{getAQILabel(subIndex, standardId)}</p>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* Attribution Card */}
+              <div className="bg-gray-800 rounded-lg shadow-lg p-4 border border-gray-700">
+                <h3 className="text-lg font-semibold text-white mb-4">
+                  Data Sources
+                </h3>
+                <p className="text-sm text-gray-400 mb-3">Provided via {data.source}</p>
+                {data.attributions.length > 0 ? (
+                  <ul className="space-y-2">
+                    {data.attributions.map((attribution) => (
+                      <li key={attribution.name} className="text-sm">
+                        {attribution.url ? (
+                          <a
+                            href={attribution.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-blue-400 hover:text-blue-300"
+                          >
+                            {attribution.name}
+                          </a>
+                        ) : (
+                          <span className="text-gray-200">{attribution.name}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-500">No agency attribution published for this station.</p>
+                )}
+              </div>
+            </div>
+
+            {/* Station Forecast */}
+            {data.forecast ? (
+              <ForecastChart forecast={data.forecast} timezoneOffset={data.timezoneOffset} />
+            ) : (
+              <p className="text-center text-gray-400">No forecast published for this station.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default StationDetail;
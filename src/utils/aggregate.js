@@ -0,0 +1,93 @@
+/**
+ * City Aggregates
+ * Summarises readings from every station in a city: mean, median, spread and worst station,
+ * overall and per pollutant. All values are US EPA (sub-)indices.
+ */
+
+import { pollutantIndices } from './pollutants';
+
+const POLLUTANTS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Summary statistics for per-station values
+ * @param {Array<{uid: *, name: string, value: number}>} entries
+ * @returns {{count: number, mean: number, median: number, min: number, max: number,
+ *   worst: {uid: *, name: string, value: number}}|null} null when no entry has a value
+ */
+export function summarizeStations(entries) {
+  const valid = entries.filter((entry) => Number.isFinite(entry.value));
+  if (valid.length === 0) return null;
+
+  const sorted = valid.map((entry) => entry.value).sort((a, b) => a - b);
+  const worst = valid.reduce((highest, entry) => (entry.value > highest.value ? entry : highest));
+
+  return {
+    count: valid.length,
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: Math.round(median(sorted)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    worst: { uid: worst.uid, name: worst.name, value: worst.value },
+  };
+}
+
+/**
+ * Aggregate station readings into city-level statistics
+ * @param {Array<{uid: *, name: string, aqi: number|null, subIndices: Object}>} readings
+ * @returns {{stationCount: number, aqi: Object|null, pollutants: Object}} `aqi` and each pollutant
+ *   entry are summarizeStations results
+ */
+export function aggregateStationReadings(readings) {
+  const pollutants = {};
+  POLLUTANTS.forEach((pollutant) => {
+    const summary = summarizeStations(readings.map((reading) => ({
+      uid: reading.uid,
+      name: reading.name,
+      value: reading.subIndices?.[pollutant],
+    })));
+    if (summary) pollutants[pollutant] = summary;
+  });
+
+  return {
+    stationCount: readings.length,
+    aqi: summarizeStations(readings.map((reading) => ({
+      uid: reading.uid,
+      name: reading.name,
+      value: reading.aqi,
+    }))),
+    pollutants,
+  };
+}
+
+/**
+ * Replace a single-feed reading's AQI and sub-indices with the city's median values
+ * Pollutant values become the median sub-indices too, so concentrations estimated from them (e.g.
+ * for the tree recommendation) match the city AQI rather than the primary station's.
+ * @param {Object} data - getAQIData result
+ * @param {Object} aggregate - aggregateStationReadings result
+ * @returns {Object} Reading with `aggregate` attached, or the original when there is nothing to use
+ */
+export function applyAggregate(data, aggregate) {
+  if (!data || !aggregate?.aqi) return data;
+
+  const subIndices = Object.fromEntries(
+    Object.entries(aggregate.pollutants).map(([pollutant, summary]) => [pollutant, summary.median])
+  );
+  const [dominantPollutant] = Object.entries(subIndices)
+    .sort(([, a], [, b]) => b - a)
+    .map(([pollutant]) => pollutant);
+
+  return {
+    ...data,
+    aqi: aggregate.aqi.median,
+    subIndices,
+    pollutants: pollutantIndices(subIndices),
+    dominantPollutant: dominantPollutant || data.dominantPollutant,
+    aggregate,
+  };
+}
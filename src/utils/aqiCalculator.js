@@ -0,0 +1,297 @@
+/**
+ * AQI Calculator
+ * Computes air quality indices from raw pollutant concentrations using breakpoint tables.
+ * US EPA is the default scale; other standards pass their own tables (see ./aqiStandards.js).
+ */
+
+// Molecular weights (g/mol) for converting μg/m³ to ppb
+const MOLECULAR_WEIGHTS = {
+  o3: 48.0,
+  no2: 46.01,
+  so2: 64.07,
+  co: 28.01,
+};
+
+// Reference temperature (°C) of the EPA breakpoints' ppb/ppm values
+const REFERENCE_TEMPERATURE = 25;
+
+/**
+ * US EPA breakpoints as [concentrationLow, concentrationHigh, indexLow, indexHigh].
+ * Units: PM in μg/m³, O3/NO2/SO2 in ppb, CO in ppm. `decimals` is the truncation EPA applies
+ * before looking up a concentration.
+ */
+export const EPA_BREAKPOINTS = {
+  pm25: {
+    unit: 'μg/m³',
+    decimals: 1,
+    ranges: [
+      [0.0, 9.0, 0, 50],
+      [9.1, 35.4, 51, 100],
+      [35.5, 55.4, 101, 150],
+      [55.5, 125.4, 151, 200],
+      [125.5, 225.4, 201, 300],
+      [225.5, 325.4, 301, 500],
+    ],
+  },
+  pm10: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 54, 0, 50],
+      [55, 154, 51, 100],
+      [155, 254, 101, 150],
+      [255, 354, 151, 200],
+      [355, 424, 201, 300],
+      [425, 604, 301, 500],
+    ],
+  },
+  // 8-hour ozone up to 200 ppb, then the 1-hour table's "Hazardous" ranges. EPA defines no 8-hour
+  // index above 200 ppb and the 1-hour table only exceeds 300 from 405 ppb, so values in between
+  // are capped at 300 (see concentrationToSubIndex)
+  o3: {
+    unit: 'ppb',
+    decimals: 0,
+    ranges: [
+      [0, 54, 0, 50],
+      [55, 70, 51, 100],
+      [71, 85, 101, 150],
+      [86, 105, 151, 200],
+      [106, 200, 201, 300],
+      [405, 604, 301, 500],
+    ],
+  },
+  no2: {
+    unit: 'ppb',
+    decimals: 0,
+    ranges: [
+      [0, 53, 0, 50],
+      [54, 100, 51, 100],
+      [101, 360, 101, 150],
+      [361, 649, 151, 200],
+      [650, 1249, 201, 300],
+      [1250, 2049, 301, 500],
+    ],
+  },
+  // 1-hour SO2 up to 304 ppb, then the 24-hour table
+  so2: {
+    unit: 'ppb',
+    decimals: 0,
+    ranges: [
+      [0, 35, 0, 50],
+      [36, 75, 51, 100],
+      [76, 185, 101, 150],
+      [186, 304, 151, 200],
+      [305, 604, 201, 300],
+      [605, 1004, 301, 500],
+    ],
+  },
+  co: {
+    unit: 'ppm',
+    decimals: 1,
+    ranges: [
+      [0.0, 4.4, 0, 50],
+      [4.5, 9.4, 51, 100],
+      [9.5, 12.4, 101, 150],
+      [12.5, 15.4, 151, 200],
+      [15.5, 30.4, 201, 300],
+      [30.5, 50.4, 301, 500],
+    ],
+  },
+};
+
+// Display names for pollutant keys
+export const POLLUTANT_LABELS = {
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  o3: 'O₃',
+  no2: 'NO₂',
+  so2: 'SO₂',
+  co: 'CO',
+};
+
+// OpenWeather `components` keys for each pollutant
+const OWM_COMPONENT_KEYS = {
+  pm25: 'pm2_5',
+  pm10: 'pm10',
+  o3: 'o3',
+  no2: 'no2',
+  so2: 'so2',
+  co: 'co',
+};
+
+function truncate(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.floor(value * factor) / factor;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Molar volume of an ideal gas at 1 atm (24.45 L/mol at 25 °C)
+ * @param {number} [temperature=25] - Air temperature in °C
+ * @returns {number} L/mol
+ */
+export function molarVolume(temperature = REFERENCE_TEMPERATURE) {
+  return 24.45 * ((temperature + 273.15) / 298.15);
+}
+
+/**
+ * Convert a gas concentration from μg/m³ to ppb
+ * @param {string} pollutant - "o3", "no2", "so2" or "co"
+ * @param {number} microgramsPerCubicMetre
+ * @param {number} [temperature=25] - Air temperature in °C
+ * @returns {number} Concentration in ppb
+ */
+export function microgramsToPpb(pollutant, microgramsPerCubicMetre, temperature = REFERENCE_TEMPERATURE) {
+  return (microgramsPerCubicMetre * molarVolume(temperature)) / MOLECULAR_WEIGHTS[pollutant];
+}
+
+function normaliseUnit(unit) {
+  return String(unit).replace('µ', 'μ').toLowerCase();
+}
+
+/**
+ * Convert a concentration between μg/m³, mg/m³, ppb and ppm
+ * Gas conversions between mass and volume units depend on air temperature; 25 °C is the
+ * reference the EPA breakpoints use.
+ * @param {string} pollutant - "pm25", "pm10", "o3", "no2", "so2" or "co"
+ * @param {number} value - Concentration
+ * @param {string} fromUnit - "μg/m³" (or "µg/m³"), "mg/m³", "ppb" or "ppm"
+ * @param {string} toUnit - Target unit
+ * @param {Object} [options]
+ * @param {number} [options.temperature=25] - Air temperature in °C
+ * @returns {number|null} Converted concentration, or null when the conversion isn't possible
+ */
+export function convertConcentration(pollutant, value, fromUnit, toUnit, { temperature = REFERENCE_TEMPERATURE } = {}) {
+  if (!isNumber(value)) return null;
+
+  const from = normaliseUnit(fromUnit);
+  const to = normaliseUnit(toUnit);
+  if (from === to) return value;
+
+  const toMicrograms = { 'μg/m³': 1, 'mg/m³': 1000 };
+  const toPpb = { ppb: 1, ppm: 1000 };
+  const weight = MOLECULAR_WEIGHTS[pollutant];
+
+  let micrograms = null;
+  if (from in toMicrograms) micrograms = value * toMicrograms[from];
+  else if (from in toPpb && weight) micrograms = (value * toPpb[from] * weight) / molarVolume(temperature);
+  if (micrograms === null) return null;
+
+  if (to in toMicrograms) return micrograms / toMicrograms[to];
+  if (to in toPpb && weight) return microgramsToPpb(pollutant, micrograms, temperature) / toPpb[to];
+  return null;
+}
+
+/**
+ * Convert a concentration to the unit its EPA breakpoint table uses
+ * @param {string} pollutant - "pm25", "pm10", "o3", "no2", "so2" or "co"
+ * @param {number} value - Concentration
+ * @param {string} unit - "μg/m³" (or "µg/m³"), "mg/m³", "ppb" or "ppm"
+ * @returns {number|null} Converted concentration, or null for unknown units
+ */
+export function toEPAUnit(pollutant, value, unit) {
+  const table = EPA_BREAKPOINTS[pollutant];
+  return table ? convertConcentration(pollutant, value, unit, table.unit) : null;
+}
+
+/**
+ * Convert OpenWeather `components` (all μg/m³) to the units the EPA breakpoints use
+ * @param {Object} components - { pm2_5, pm10, o3, no2, so2, co }
+ * @returns {Object} { pm25, pm10 } in μg/m³, { o3, no2, so2 } in ppb, { co } in ppm
+ */
+export function componentsToEPAUnits(components = {}) {
+  const concentrations = {};
+
+  Object.entries(OWM_COMPONENT_KEYS).forEach(([pollutant, key]) => {
+    const value = toEPAUnit(pollutant, components[key], 'μg/m³');
+    if (value !== null) {
+      concentrations[pollutant] = value;
+    }
+  });
+
+  return concentrations;
+}
+
+/**
+ * Compute the sub-index for one pollutant
+ * @param {string} pollutant - "pm25", "pm10", "o3", "no2", "so2" or "co"
+ * @param {number} concentration - Concentration in the breakpoint table's unit
+ * @param {Object} [breakpoints=EPA_BREAKPOINTS] - Breakpoint tables keyed by pollutant
+ * @returns {number|null} Sub-index, or null when the value is missing
+ */
+export function concentrationToSubIndex(pollutant, concentration, breakpoints = EPA_BREAKPOINTS) {
+  const table = breakpoints[pollutant];
+  if (!table || !isNumber(concentration) || concentration < 0) return null;
+
+  const value = truncate(concentration, table.decimals);
+  const { ranges } = table;
+  const top = ranges[ranges.length - 1];
+
+  if (value > top[1]) return top[3]; // beyond the scale
+
+  // Values between two truncated breakpoints (e.g. 9.05) belong to the lower range
+  const index = ranges.findIndex(([, cHigh]) => value <= cHigh);
+  const [cLow, cHigh, iLow, iHigh] = ranges[index];
+  // Values in a gap between two tables (ozone from 201 to 404 ppb) stay at the lower range's top index
+  const step = 10 ** -table.decimals;
+  if (index > 0 && value < cLow && value > ranges[index - 1][1] + step / 2) return ranges[index - 1][3];
+  const clamped = Math.max(value, cLow);
+
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (clamped - cLow) + iLow);
+}
+
+/**
+ * Invert a sub-index back to the concentration that produces it
+ * @param {string} pollutant - "pm25", "pm10", "o3", "no2", "so2" or "co"
+ * @param {number} subIndex - Sub-index on the breakpoint table's scale
+ * @param {Object} [breakpoints=EPA_BREAKPOINTS] - Breakpoint tables keyed by pollutant
+ * @returns {number|null} Concentration in the table's unit, or null when the value is missing
+ */
+export function subIndexToConcentration(pollutant, subIndex, breakpoints = EPA_BREAKPOINTS) {
+  const table = breakpoints[pollutant];
+  if (!table || !isNumber(subIndex) || subIndex < 0) return null;
+
+  const { ranges } = table;
+  const range = ranges.find(([, , , iHigh]) => subIndex <= iHigh) || ranges[ranges.length - 1];
+  const [cLow, cHigh, iLow, iHigh] = range;
+  const clamped = Math.min(Math.max(subIndex, iLow), iHigh);
+
+  return ((clamped - iLow) * (cHigh - cLow)) / (iHigh - iLow) + cLow;
+}
+
+/**
+ * Compute the overall AQI as the highest pollutant sub-index
+ * @param {Object} concentrations - { pm25, pm10, o3, no2, so2, co } in the tables' units
+ * @param {Object} [breakpoints=EPA_BREAKPOINTS] - Breakpoint tables keyed by pollutant
+ * @returns {{aqi: number|null, dominantPollutant: string|null, subIndices: Object}}
+ */
+export function computeAQI(concentrations = {}, breakpoints = EPA_BREAKPOINTS) {
+  const subIndices = {};
+  let aqi = null;
+  let dominantPollutant = null;
+
+  Object.keys(breakpoints).forEach((pollutant) => {
+    const subIndex = concentrationToSubIndex(pollutant, concentrations[pollutant], breakpoints);
+    if (subIndex === null) return;
+
+    subIndices[pollutant] = subIndex;
+    if (aqi === null || subIndex > aqi) {
+      aqi = subIndex;
+      dominantPollutant = pollutant;
+    }
+  });
+
+  return { aqi, dominantPollutant, subIndices };
+}
+
+/**
+ * Compute the EPA AQI from OpenWeather `components`
+ * @param {Object} components - { pm2_5, pm10, o3, no2, so2, co } in μg/m³
+ * @returns {{aqi: number|null, dominantPollutant: string|null, subIndices: Object}}
+ */
+export function computeAQIFromComponents(components) {
+  return computeAQI(componentsToEPAUnits(components));
+}
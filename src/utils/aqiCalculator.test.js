@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { computeAQI, concentrationToSubIndex, subIndexToConcentration } from './aqiCalculator';
+
+describe('concentrationToSubIndex', () => {
+  it('maps EPA PM2.5 breakpoint edges', () => {
+    expect(concentrationToSubIndex('pm25', 0)).toBe(0);
+    expect(concentrationToSubIndex('pm25', 9.0)).toBe(50);
+    expect(concentrationToSubIndex('pm25', 9.1)).toBe(51);
+    expect(concentrationToSubIndex('pm25', 35.4)).toBe(100);
+    expect(concentrationToSubIndex('pm25', 35.5)).toBe(101);
+    expect(concentrationToSubIndex('pm25', 325.4)).toBe(500);
+  });
+
+  it('truncates before the lookup', () => {
+    expect(concentrationToSubIndex('pm25', 9.05)).toBe(50);
+    expect(concentrationToSubIndex('pm10', 54.9)).toBe(50);
+    expect(concentrationToSubIndex('co', 4.49)).toBe(50);
+  });
+
+  it('caps values beyond the scale', () => {
+    expect(concentrationToSubIndex('pm25', 600)).toBe(500);
+    expect(concentrationToSubIndex('no2', 5000)).toBe(500);
+  });
+
+  it('caps ozone between the 8-hour and 1-hour tables at 300', () => {
+    expect(concentrationToSubIndex('o3', 106)).toBe(201);
+    expect(concentrationToSubIndex('o3', 200)).toBe(300);
+    expect(concentrationToSubIndex('o3', 201)).toBe(300);
+    expect(concentrationToSubIndex('o3', 404)).toBe(300);
+    expect(concentrationToSubIndex('o3', 405)).toBe(301);
+    expect(concentrationToSubIndex('o3', 604)).toBe(500);
+  });
+
+  it('returns null for missing and negative values', () => {
+    expect(concentrationToSubIndex('pm25', null)).toBeNull();
+    expect(concentrationToSubIndex('pm25', -1)).toBeNull();
+    expect(concentrationToSubIndex('unknown', 10)).toBeNull();
+  });
+});
+
+describe('subIndexToConcentration', () => {
+  it('inverts the breakpoint ranges', () => {
+    expect(subIndexToConcentration('pm25', 50)).toBe(9);
+    expect(subIndexToConcentration('pm10', 100)).toBe(154);
+    expect(subIndexToConcentration('o3', 300)).toBe(200);
+    expect(subIndexToConcentration('o3', 301)).toBe(405);
+  });
+});
+
+describe('computeAQI', () => {
+  it('takes the highest sub-index as the AQI', () => {
+    expect(computeAQI({ pm25: 40, o3: 60, co: null })).toEqual({
+      aqi: 112,
+      dominantPollutant: 'pm25',
+      subIndices: { pm25: 112, o3: 67 },
+    });
+  });
+
+  it('has no AQI without any value', () => {
+    expect(computeAQI({})).toEqual({ aqi: null, dominantPollutant: null, subIndices: {} });
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * AQI Standards
+ * Registry of air quality index standards: category thresholds, labels, colours and breakpoints.
+ * Readings are stored on the US EPA scale and converted to the selected standard for display.
+ */
+
+import {
+  EPA_BREAKPOINTS,
+  computeAQI,
+  convertConcentration,
+  subIndexToConcentration,
+} from './aqiCalculator';
+
+/**
+ * India National AQI (CPCB). PM and SO2/NO2 use 24-hour averages, O3 and CO 8-hour averages;
+ * the open-ended "Severe" band is capped so it can be interpolated.
+ */
+const NAQI_BREAKPOINTS = {
+  pm25: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 30, 0, 50],
+      [31, 60, 51, 100],
+      [61, 90, 101, 200],
+      [91, 120, 201, 300],
+      [121, 250, 301, 400],
+      [251, 380, 401, 500],
+    ],
+  },
+  pm10: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 50, 0, 50],
+      [51, 100, 51, 100],
+      [101, 250, 101, 200],
+      [251, 350, 201, 300],
+      [351, 430, 301, 400],
+      [431, 600, 401, 500],
+    ],
+  },
+  o3: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 50, 0, 50],
+      [51, 100, 51, 100],
+      [101, 168, 101, 200],
+      [169, 208, 201, 300],
+      [209, 748, 301, 400],
+      [749, 1000, 401, 500],
+    ],
+  },
+  no2: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 40, 0, 50],
+      [41, 80, 51, 100],
+      [81, 180, 101, 200],
+      [181, 280, 201, 300],
+      [281, 400, 301, 400],
+      [401, 800, 401, 500],
+    ],
+  },
+  so2: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 40, 0, 50],
+      [41, 80, 51, 100],
+      [81, 380, 101, 200],
+      [381, 800, 201, 300],
+      [801, 1600, 301, 400],
+      [1601, 2000, 401, 500],
+    ],
+  },
+  co: {
+    unit: 'mg/m³',
+    decimals: 1,
+    ranges: [
+      [0, 1.0, 0, 50],
+      [1.1, 2.0, 51, 100],
+      [2.1, 10, 101, 200],
+      [10.1, 17, 201, 300],
+      [17.1, 34, 301, 400],
+      [34.1, 50, 401, 500],
+    ],
+  },
+};
+
+/**
+ * EU Common Air Quality Index (CAQI), hourly background grid. Indices above 100 have no
+ * upper limit in the standard; the last band doubles the threshold and is capped at 150.
+ */
+const CAQI_BREAKPOINTS = {
+  pm25: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [[0, 15, 0, 25], [15, 30, 25, 50], [30, 55, 50, 75], [55, 110, 75, 100], [110, 220, 100, 150]],
+  },
+  pm10: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [[0, 25, 0, 25], [25, 50, 25, 50], [50, 90, 50, 75], [90, 180, 75, 100], [180, 360, 100, 150]],
+  },
+  o3: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [[0, 60, 0, 25], [60, 120, 25, 50], [120, 180, 50, 75], [180, 240, 75, 100], [240, 480, 100, 150]],
+  },
+  no2: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [[0, 50, 0, 25], [50, 100, 25, 50], [100, 200, 50, 75], [200, 400, 75, 100], [400, 800, 100, 150]],
+  },
+  so2: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [[0, 50, 0, 25], [50, 100, 25, 50], [100, 350, 50, 75], [350, 500, 75, 100], [500, 1000, 100, 150]],
+  },
+  co: {
+    unit: 'μg/m³',
+    decimals: 0,
+    ranges: [
+      [0, 5000, 0, 25],
+      [5000, 7500, 25, 50],
+      [7500, 10000, 50, 75],
+      [10000, 20000, 75, 100],
+      [20000, 40000, 100, 150],
+    ],
+  },
+};
+
+export const AQI_STANDARDS = {
+  'us-epa': {
+    id: 'us-epa',
+    name: 'US EPA AQI',
+    region: 'United States',
+    max: 500,
+    breakpoints: EPA_BREAKPOINTS,
+    categories: [
+      { max: 50, label: 'Good', color: '#10B981', textClass: 'text-green-400' },
+      { max: 100, label: 'Moderate', color: '#F59E0B', textClass: 'text-yellow-400' },
+      { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#F97316', textClass: 'text-orange-400' },
+      { max: 200, label: 'Unhealthy', color: '#EF4444', textClass: 'text-red-400' },
+      { max: 300, label: 'Very Unhealthy', color: '#8B5CF6', textClass: 'text-purple-400' },
+      { max: Infinity, label: 'Hazardous', color: '#7F1D1D', textClass: 'text-red-500' },
+    ],
+  },
+  'in-naqi': {
+    id: 'in-naqi',
+    name: 'India National AQI (CPCB)',
+    region: 'India',
+    max: 500,
+    breakpoints: NAQI_BREAKPOINTS,
+    categories: [
+      { max: 50, label: 'Good', color: '#00B050', textClass: 'text-green-500' },
+      { max: 100, label: 'Satisfactory', color: '#92D050', textClass: 'text-lime-400' },
+      { max: 200, label: 'Moderately Polluted', color: '#EAB308', textClass: 'text-yellow-400' },
+      { max: 300, label: 'Poor', color: '#FF9900', textClass: 'text-orange-400' },
+      { max: 400, label: 'Very Poor', color: '#FF0000', textClass: 'text-red-500' },
+      { max: Infinity, label: 'Severe', color: '#C00000', textClass: 'text-red-700' },
+    ],
+  },
+  'eu-caqi': {
+    id: 'eu-caqi',
+    name: 'EU Common AQI (CAQI)',
+    region: 'European Union',
+    max: 150,
+    breakpoints: CAQI_BREAKPOINTS,
+    categories: [
+      { max: 25, label: 'Very Low', color: '#79BC6A', textClass: 'text-green-400' },
+      { max: 50, label: 'Low', color: '#BBCF4C', textClass: 'text-lime-400' },
+      { max: 75, label: 'Medium', color: '#EEC20B', textClass: 'text-yellow-400' },
+      { max: 100, label: 'High', color: '#F29305', textClass: 'text-orange-400' },
+      { max: Infinity, label: 'Very High', color: '#E8416F', textClass: 'text-red-400' },
+    ],
+  },
+};
+
+export const DEFAULT_STANDARD_ID = 'us-epa';
+
+const MISSING_COLOR = '#6B7280';
+const MISSING_TEXT_CLASS = 'text-gray-400';
+
+/**
+ * Get a standard by id, falling back to US EPA
+ * @param {string} [standardId]
+ * @returns {Object} Standard definition
+ */
+export function getStandard(standardId) {
+  return AQI_STANDARDS[standardId] || AQI_STANDARDS[DEFAULT_STANDARD_ID];
+}
+
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Get the category index (0 = best) of a value in a standard
+ * @param {number} value - Index value on the standard's own scale
+ * @param {string} [standardId]
+ * @returns {number} Category index, or -1 when the value is missing
+ */
+export function getCategoryIndex(value, standardId) {
+  if (!isValue(value)) return -1;
+  return getStandard(standardId).categories.findIndex((category) => value <= category.max);
+}
+
+/**
+ * Get the category of a value in a standard
+ * @param {number} value - Index value on the standard's own scale
+ * @param {string} [standardId]
+ * @returns {Object|null} { max, label, color, textClass }, or null when the value is missing
+ */
+export function getCategory(value, standardId) {
+  const index = getCategoryIndex(value, standardId);
+  return index === -1 ? null : getStandard(standardId).categories[index];
+}
+
+/**
+ * @returns {string} Category label, or "N/A"
+ */
+export function getAQILabel(value, standardId) {
+  return getCategory(value, standardId)?.label || 'N/A';
+}
+
+/**
+ * @returns {string} Hex colour for markers and charts
+ */
+export function getAQIColor(value, standardId) {
+  return getCategory(value, standardId)?.color || MISSING_COLOR;
+}
+
+/**
+ * @returns {string} Tailwind text colour class
+ */
+export function getAQITextClass(value, standardId) {
+  return getCategory(value, standardId)?.textClass || MISSING_TEXT_CLASS;
+}
+
+/**
+ * Category bands as [from, to] ranges for chart backgrounds
+ * @param {string} [standardId]
+ * @returns {Array<{from: number, to: number, label: string, color: string}>}
+ */
+export function getCategoryBands(standardId) {
+  const standard = getStandard(standardId);
+  let from = 0;
+  return standard.categories.map((category) => {
+    const band = {
+      from,
+      to: Math.min(category.max, standard.max),
+      label: category.label,
+      color: category.color,
+    };
+    from = band.to;
+    return band;
+  });
+}
+
+/**
+ * Convert US EPA sub-indices to another standard via the underlying concentrations
+ * @param {Object} epaSubIndices - { pm25, pm10, ... } on the US EPA scale
+ * @param {string} standardId - Target standard
+ * @returns {{aqi: number|null, dominantPollutant: string|null, subIndices: Object}}
+ */
+export function convertSubIndices(epaSubIndices = {}, standardId) {
+  const standard = getStandard(standardId);
+  const concentrations = {};
+
+  Object.entries(epaSubIndices).forEach(([pollutant, subIndex]) => {
+    const epaTable = EPA_BREAKPOINTS[pollutant];
+    const targetTable = standard.breakpoints[pollutant];
+    if (!epaTable || !targetTable) return;
+
+    const concentration = subIndexToConcentration(pollutant, subIndex);
+    const converted = convertConcentration(pollutant, concentration, epaTable.unit, targetTable.unit);
+    if (converted !== null) {
+      concentrations[pollutant] = converted;
+    }
+  });
+
+  return computeAQI(concentrations, standard.breakpoints);
+}
+
+/**
+ * Convert a single US EPA index value to another standard.
+ * Without sub-indices the value is assumed to be driven by one pollutant (PM2.5 by default,
+ * the dominant pollutant at most monitoring stations).
+ * @param {number} epaValue - AQI on the US EPA scale
+ * @param {string} standardId - Target standard
+ * @param {string} [pollutant='pm25'] - Pollutant assumed to drive the index
+ * @returns {number|null} Index on the target standard's scale
+ */
+export function convertAQI(epaValue, standardId, pollutant = 'pm25') {
+  if (!isValue(epaValue)) return null;
+  if (getStandard(standardId).id === DEFAULT_STANDARD_ID) return epaValue;
+
+  return convertSubIndices({ [pollutant]: epaValue }, standardId).aqi;
+}
+
+/**
+ * Express a reading's overall index and sub-indices in a standard
+ * @param {Object} reading - { aqi, subIndices, dominantPollutant } on the US EPA scale
+ * @param {string} standardId - Target standard
+ * @returns {{aqi: number|null, dominantPollutant: string|null, subIndices: Object}}
+ */
+export function toStandard(reading, standardId) {
+  const { aqi = null, subIndices = {}, dominantPollutant = null } = reading || {};
+
+  if (getStandard(standardId).id === DEFAULT_STANDARD_ID) {
+    return { aqi, dominantPollutant, subIndices };
+  }
+
+  if (Object.keys(subIndices).length > 0) {
+    return convertSubIndices(subIndices, standardId);
+  }
+
+  return {
+    aqi: convertAQI(aqi, standardId, dominantPollutant || undefined),
+    dominantPollutant,
+    subIndices: {},
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Station Clustering
+ * Grid-based clustering of map stations in Web Mercator pixel space, and incremental merging of
+ * station lists by uid. Pure functions, so the map only recomputes clusters when its inputs change.
+ */
+
+const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.05112878;
+
+// Stations are kept across pans up to this many; the oldest are dropped first beyond it
+export const MAX_MERGED_STATIONS = 5000;
+
+/**
+ * Project coordinates to world pixels at a zoom level (as Leaflet does for EPSG:3857)
+ * @returns {{x: number, y: number}}
+ */
+export function projectToPixels(lat, lon, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((lon + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+/**
+ * Group stations into grid cells of `cellSize` screen pixels at the given zoom
+ * @param {Array<{uid: *, lat: number, lon: number}>} stations
+ * @param {Object} options
+ * @param {number} options.zoom - Map zoom level
+ * @param {number} [options.cellSize=60] - Cell size in pixels
+ * @param {Function} [options.getValue] - Station -> AQI number (or NaN when unknown)
+ * @returns {Array<{id: string, lat: number, lon: number, count: number, stations: Array,
+ *   worst: number|null, average: number|null, bounds: [[number, number], [number, number]]}>}
+ *   One entry per cell; single-station cells have count 1
+ */
+export function clusterStations(stations, { zoom, cellSize = 60, getValue = (station) => Number(station.aqi) }) {
+  const cells = new Map();
+
+  stations.forEach((station) => {
+    if (!Number.isFinite(station.lat) || !Number.isFinite(station.lon)) return;
+    const { x, y } = projectToPixels(station.lat, station.lon, zoom);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(station);
+  });
+
+  return [...cells.entries()].map(([key, members]) => {
+    const values = members.map(getValue).filter((value) => Number.isFinite(value));
+    const lats = members.map((station) => station.lat);
+    const lons = members.map((station) => station.lon);
+
+    return {
+      id: `${zoom}:${key}`,
+      lat: lats.reduce((sum, lat) => sum + lat, 0) / members.length,
+      lon: lons.reduce((sum, lon) => sum + lon, 0) / members.length,
+      count: members.length,
+      stations: members,
+      worst: values.length > 0 ? Math.max(...values) : null,
+      average: values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : null,
+      bounds: [
+        [Math.min(...lats), Math.min(...lons)],
+        [Math.max(...lats), Math.max(...lons)],
+      ],
+    };
+  });
+}
+
+/**
+ * Merge freshly loaded stations into the known set by uid
+ * Unchanged stations keep their object identity so memoised markers don't re-render.
+ * @param {Array} existing - Stations already on the map
+ * @param {Array} incoming - Stations from the latest request
+ * @param {number} [maxStations=MAX_MERGED_STATIONS]
+ * @returns {Array} Merged stations (the `existing` array itself when nothing changed)
+ */
+export function mergeStations(existing, incoming, maxStations = MAX_MERGED_STATIONS) {
+  const byUid = new Map(existing.map((station) => [station.uid, station]));
+  let changed = false;
+
+  incoming.forEach((station) => {
+    const current = byUid.get(station.uid);
+    if (
+      current &&
+      current.aqi === station.aqi &&
+      current.lat === station.lat &&
+      current.lon === station.lon &&
+      current.station?.time === station.station?.time
+    ) {
+      return;
+    }
+    // Re-insert so updated stations count as the most recent
+    byUid.delete(station.uid);
+    byUid.set(station.uid, station);
+    changed = true;
+  });
+
+  if (!changed) return existing;
+
+  const merged = [...byUid.values()];
+  return merged.length > maxStations ? merged.slice(merged.length - maxStations) : merged;
+}
+
+/**
+ * Keep stations inside bounds, padded by a fraction of their size
+ * @param {Array} stations
+ * @param {{south: number, west: number, north: number, east: number}} bounds
+ * @param {number} [padding=0.2]
+ * @returns {Array}
+ */
+export function stationsInBounds(stations, bounds, padding = 0.2) {
+  const padLat = (bounds.north - bounds.south) * padding;
+  const padLon = (bounds.east - bounds.west) * padding;
+  return stations.filter((station) =>
+    station.lat >= bounds.south - padLat && station.lat <= bounds.north + padLat &&
+    station.lon >= bounds.west - padLon && station.lon <= bounds.east + padLon
+  );
+}
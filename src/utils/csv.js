@@ -0,0 +1,35 @@
+/**
+ * CSV Export
+ * Builds CSV text from rows and hands it to the browser as a download
+ */
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows to CSV text
+ * @param {Array<Array<*>>} rows - Header row first
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map((row) => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+/**
+ * Download rows as a CSV file
+ * @param {string} filename - e.g. "delhi-pollutants.csv"
+ * @param {Array<Array<*>>} rows - Header row first
+ */
+export function downloadCsv(filename, rows) {
+  // The byte order mark makes spreadsheet apps read "μg/m³" as UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(rows)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
@@ -1,10 +1,10 @@
 /**
  * Utility function to ensure rupee symbol is always present in money values
  * @param {string|number} value - The money value (can be string with or without symbol, or number)
- * @returns {string} - Formatted value with rupee symbol
+ * @returns {string} - Formatted value with rupee symbol; "N/A" only for a missing value, so 0 is "₹0"
  */
 export function formatRupees(value) {
-  if (!value || value === 'N/A') return 'N/A';
+  if (value === null || value === undefined || value === '' || value === 'N/A' || Number.isNaN(value)) return 'N/A';
   
   // Convert to string if it's a number
   let valueStr = String(value);
@@ -30,3 +30,19 @@ export function formatRupees(value) {
   return `₹${numValue.toLocaleString('en-IN')}`;
 }
 
+
+/**
+ * Compact rupee amount in crore / lakh / thousand, for chart axes and tight tables
+ * @param {number} value
+ * @returns {string} e.g. "₹1.2 Cr", "₹45 L", "₹9.5 K"
+ */
+export function formatRupeesShort(value) {
+  if (!Number.isFinite(value)) return 'N/A';
+  const sign = value < 0 ? '-' : '';
+  const amount = Math.abs(value);
+  const compact = (divisor, suffix) => `${sign}₹${Number((amount / divisor).toFixed(amount / divisor < 10 ? 1 : 0))} ${suffix}`;
+  if (amount >= 1e7) return compact(1e7, 'Cr');
+  if (amount >= 1e5) return compact(1e5, 'L');
+  if (amount >= 1e3) return compact(1e3, 'K');
+  return `${sign}₹${Math.round(amount)}`;
+}
@@ -0,0 +1,186 @@
+/**
+ * Data Quality
+ * Flags map stations whose readings shouldn't be trusted: values that aren't a usable AQI
+ * ("-", 999 from a faulty monitor), readings older than a few hours, and spatial outliers that
+ * disagree sharply with the stations around them. Flagged stations are drawn differently on the map
+ * and left out of aggregates unless the user opts back in.
+ */
+
+import { distanceKm } from './geo';
+
+const KM_PER_DEG_LAT = 111.32;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DATA_QUALITY_DEFAULTS = {
+  maxAgeHours: 3, // networks report hourly; older readings no longer describe current conditions
+  maxFutureMinutes: 60, // timestamps further ahead are clock or time zone errors
+  maxAQI: 998, // AQICN's scale ends at 999, which faulty monitors report
+  neighbourRadiusKm: 25, // stations compared with each other for outliers
+  minNeighbours: 3, // fewer neighbours can't establish what's normal
+  outlierScore: 3.5, // robust z-score (median absolute deviation) beyond which a value is an outlier
+  outlierMinDifference: 50, // AQI points from the neighbours' median, so small spreads never count
+};
+
+export const QUALITY_FLAG_LABELS = {
+  invalid: 'Invalid value',
+  stale: 'Stale reading',
+  outlier: 'Outlier',
+};
+
+/**
+ * A station listing's AQI as a number
+ * @param {Object} station - getMapStations result
+ * @returns {number|null} Null for "-", empty and other non-numeric values
+ */
+export function stationAQI(station) {
+  if (station.aqi === null || station.aqi === undefined || station.aqi === '') return null;
+  const value = Number(station.aqi);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Last update of a station listing
+ * @param {Object} station - getMapStations result
+ * @returns {number|null} Timestamp in ms
+ */
+export function stationUpdatedAt(station) {
+  const time = station.station?.time;
+  if (time === null || time === undefined || time === '') return null;
+  const parsed = typeof time === 'number' ? time : Date.parse(time);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function formatAge(ms) {
+  const hours = ms / HOUR_MS;
+  if (hours < 48) return `${Math.round(hours)} h`;
+  return `${Math.round(hours / 24)} days`;
+}
+
+function median(sorted) {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Value and time checks that need no neighbours
+function checkStation(station, now, { maxAgeHours, maxFutureMinutes, maxAQI }) {
+  const flags = [];
+  const aqi = stationAQI(station);
+
+  // Providers whose listings carry no AQI (OpenAQ) leave it null, so only a reported value can be invalid
+  const reported = station.aqi !== null && station.aqi !== undefined;
+
+  if (reported && aqi === null) {
+    flags.push({ type: 'invalid', reason: `No numeric AQI reported (${JSON.stringify(station.aqi)})` });
+  } else if (aqi !== null && (aqi < 0 || aqi > maxAQI)) {
+    flags.push({ type: 'invalid', reason: `AQI ${aqi} is outside the valid range` });
+  }
+
+  const updatedAt = stationUpdatedAt(station);
+  if (updatedAt !== null) {
+    const age = now - updatedAt;
+    if (age > maxAgeHours * HOUR_MS) {
+      flags.push({ type: 'stale', reason: `Last updated ${formatAge(age)} ago` });
+    } else if (-age > maxFutureMinutes * 60 * 1000) {
+      flags.push({ type: 'invalid', reason: 'Update time is in the future' });
+    }
+  }
+
+  return { aqi, flags };
+}
+
+/**
+ * Buckets stations on a lat/lon grid whose cells are `radiusKm` tall, so neighbour lookups only
+ * scan nearby cells instead of every station
+ */
+function buildGrid(entries, radiusKm) {
+  const cellDeg = radiusKm / KM_PER_DEG_LAT;
+  const cells = new Map();
+  entries.forEach((entry) => {
+    const key = `${Math.floor(entry.lat / cellDeg)}:${Math.floor(entry.lon / cellDeg)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(entry);
+  });
+
+  return (entry) => {
+    const row = Math.floor(entry.lat / cellDeg);
+    const col = Math.floor(entry.lon / cellDeg);
+    // A degree of longitude shrinks towards the poles, so search wider there
+    const colSpan = Math.ceil(1 / Math.max(0.1, Math.cos((entry.lat * Math.PI) / 180)));
+    const found = [];
+    for (let r = row - 1; r <= row + 1; r += 1) {
+      for (let c = col - colSpan; c <= col + colSpan; c += 1) {
+        (cells.get(`${r}:${c}`) || []).forEach((other) => {
+          if (other !== entry && distanceKm(entry, other) <= radiusKm) found.push(other);
+        });
+      }
+    }
+    return found;
+  };
+}
+
+/**
+ * Check map stations for invalid values, stale readings and spatial outliers
+ * Outliers are judged only against neighbours that passed the value and age checks. Stations
+ * whose provider publishes no AQI in its listings are only checked for age.
+ * @param {Array} stations - getMapStations results
+ * @param {Object} [options] - Overrides for DATA_QUALITY_DEFAULTS, plus `now` (ms)
+ * @returns {Map} uid -> { flagged: boolean, flags: Array<{type: string, reason: string}> }
+ *   for every station; `type` is a QUALITY_FLAG_LABELS key
+ */
+export function assessStations(stations, options = {}) {
+  const settings = { ...DATA_QUALITY_DEFAULTS, ...options };
+  const now = options.now ?? Date.now();
+
+  const entries = stations
+    .filter((station) => Number.isFinite(station.lat) && Number.isFinite(station.lon))
+    .map((station) => ({ uid: station.uid, lat: station.lat, lon: station.lon, ...checkStation(station, now, settings) }));
+
+  // Stations without a listing AQI can't be compared with their neighbours
+  const healthy = entries.filter((entry) => entry.flags.length === 0 && entry.aqi !== null);
+  const neighboursOf = buildGrid(healthy, settings.neighbourRadiusKm);
+
+  healthy.forEach((entry) => {
+    const values = neighboursOf(entry).map((other) => other.aqi).sort((a, b) => a - b);
+    if (values.length < settings.minNeighbours) return;
+
+    const center = median(values);
+    const deviation = median(values.map((value) => Math.abs(value - center)).sort((a, b) => a - b));
+    const difference = entry.aqi - center;
+    // 0.6745 scales the median absolute deviation to a standard deviation for normal data
+    const score = deviation > 0 ? (0.6745 * Math.abs(difference)) / deviation : Infinity;
+
+    if (Math.abs(difference) >= settings.outlierMinDifference && score > settings.outlierScore) {
+      entry.outlier = {
+        type: 'outlier',
+        reason: `AQI ${entry.aqi} against a median of ${Math.round(center)} at ${values.length} stations within ${settings.neighbourRadiusKm} km`,
+      };
+    }
+  });
+
+  const assessments = new Map();
+  entries.forEach((entry) => {
+    const flags = entry.outlier ? [...entry.flags, entry.outlier] : entry.flags;
+    assessments.set(entry.uid, { flagged: flags.length > 0, flags });
+  });
+  return assessments;
+}
+
+/**
+ * Drop flagged stations
+ * @param {Array} stations
+ * @param {Map} assessments - assessStations result
+ * @returns {Array} Stations that passed every check
+ */
+export function withoutFlagged(stations, assessments) {
+  return stations.filter((station) => !assessments.get(station.uid)?.flagged);
+}
+
+/**
+ * One-line explanation of a station's flags, for popups and tooltips
+ * @param {{flags: Array}|undefined} assessment - assessStations entry
+ * @returns {string|null} Null when the station passed every check
+ */
+export function describeFlags(assessment) {
+  if (!assessment?.flagged) return null;
+  return assessment.flags.map((flag) => `${QUALITY_FLAG_LABELS[flag.type]}: ${flag.reason}`).join('; ');
+}
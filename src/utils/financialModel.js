@@ -0,0 +1,155 @@
+/**
+ * Financial Model
+ * Year-by-year cash flows of a planting programme and the NPV, IRR and payback year they give.
+ *
+ * Costs are planting by phase, maintenance of everything planted so far and replacement of trees
+ * that die; benefits are monetised health savings and carbon credits, both ramping up linearly as
+ * each year's planting matures. The model runs over the trees' sequestration lifetime with
+ * end-of-year cash flows discounted from today. Money is in Indian Rupees.
+ */
+
+// IRR search bounds and precision (rates per year)
+const IRR_MIN = -0.99;
+const IRR_MAX = 10;
+const IRR_TOLERANCE = 1e-6;
+
+/**
+ * Net present value of end-of-year cash flows
+ * @param {number[]} flows - Net cash flow for year 1, 2, ...
+ * @param {number} rate - Discount rate per year
+ * @returns {number}
+ */
+export function npv(flows, rate) {
+  return flows.reduce((sum, flow, index) => sum + flow / (1 + rate) ** (index + 1), 0);
+}
+
+/**
+ * Internal rate of return by bisection
+ * @param {number[]} flows - Net cash flow for year 1, 2, ...
+ * @returns {number|null} Rate per year; null when NPV never changes sign (all costs or all gains)
+ */
+export function irr(flows) {
+  let low = IRR_MIN;
+  let high = IRR_MAX;
+  let npvLow = npv(flows, low);
+  if (npvLow * npv(flows, high) > 0) return null;
+
+  while (high - low > IRR_TOLERANCE) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(flows, mid);
+    if (npvMid === 0) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Year-by-year cash flows, NPV, IRR and payback for a programme
+ * @param {Object} impact - computePlan result (its phases give the planting per year)
+ * @returns {{years: Array<{year: number, capex: number, maintenance: number, replacement: number,
+ *   healthSavings: number, carbonCredits: number, costs: number, benefits: number, net: number,
+ *   cumulative: number, discounted: number}>, discountRate: number, npv: number, irr: number|null,
+ *   paybackYear: number|null, totals: {costs: number, benefits: number, healthSavings: number,
+ *   carbonCredits: number}}}
+ *   `paybackYear` is the year the cumulative net cash flow turns non-negative again, null if it never
+ *   does (or never went negative)
+ */
+export function buildFinancialModel(impact) {
+  const {
+    costPerSapling,
+    maintenanceRate,
+    survivalRate,
+    treeLifetimeYears,
+    discountRate,
+    carbonPricePerTon,
+    healthBenefitPerTree,
+    replacementRate,
+    maturityYears,
+  } = impact.assumptions;
+  const analysisYears = Math.max(treeLifetimeYears, impact.phases.length);
+  // Each planting year is a cohort whose benefits grow as it matures
+  const cohorts = impact.phases
+    .filter((phase) => phase.saplings > 0)
+    .map((phase) => ({ year: phase.year, trees: phase.saplings * survivalRate, cost: phase.planting }));
+
+  const years = [];
+  let cumulative = 0;
+  let paybackYear = null;
+  let inDeficit = false;
+  for (let year = 1; year <= analysisYears; year += 1) {
+    const planted = cohorts.filter((cohort) => cohort.year < year);
+    const capex = impact.phases[year - 1]?.planting ?? 0;
+    const maintenance = planted.reduce((sum, cohort) => sum + cohort.cost, 0) * maintenanceRate;
+    const standing = planted.reduce((sum, cohort) => sum + cohort.trees, 0);
+    const replacement = standing * replacementRate * costPerSapling;
+    // Grown-tree equivalents: a cohort counts fully once it is maturityYears old
+    const mature = planted.reduce((sum, cohort) => sum + cohort.trees * Math.min(1, (year - cohort.year) / maturityYears), 0);
+    const healthSavings = mature * healthBenefitPerTree;
+    const carbonCredits = mature * impact.sequestrationPerTree * carbonPricePerTon;
+
+    const costs = capex + maintenance + replacement;
+    const benefits = healthSavings + carbonCredits;
+    const net = benefits - costs;
+    cumulative += net;
+    if (cumulative < 0) {
+      inDeficit = true;
+    } else if (inDeficit && paybackYear === null) {
+      paybackYear = year;
+    }
+    years.push({
+      year,
+      capex: Math.round(capex),
+      maintenance: Math.round(maintenance),
+      replacement: Math.round(replacement),
+      healthSavings: Math.round(healthSavings),
+      carbonCredits: Math.round(carbonCredits),
+      costs: Math.round(costs),
+      benefits: Math.round(benefits),
+      net: Math.round(net),
+      cumulative: Math.round(cumulative),
+      discounted: Math.round(net / (1 + discountRate) ** year),
+    });
+  }
+
+  const flows = years.map((row) => row.net);
+  const sum = (key) => years.reduce((total, row) => total + row[key], 0);
+  return {
+    years,
+    discountRate,
+    npv: Math.round(npv(flows, discountRate)),
+    irr: irr(flows),
+    paybackYear,
+    totals: {
+      costs: sum('costs'),
+      benefits: sum('benefits'),
+      healthSavings: sum('healthSavings'),
+      carbonCredits: sum('carbonCredits'),
+    },
+  };
+}
+
+/**
+ * Cash-flow table as CSV rows, with the summary figures below it
+ * @param {Object} model - buildFinancialModel result
+ * @returns {Array<Array<*>>} Rows for downloadCsv
+ */
+export function financialModelRows(model) {
+  return [
+    ['year', 'planting_capex_inr', 'maintenance_inr', 'replacement_inr', 'health_savings_inr',
+      'carbon_credits_inr', 'net_cash_flow_inr', 'cumulative_inr', 'discounted_inr'],
+    ...model.years.map((row) => [
+      row.year, row.capex, row.maintenance, row.replacement, row.healthSavings,
+      row.carbonCredits, row.net, row.cumulative, row.discounted,
+    ]),
+    [],
+    ['discount_rate', model.discountRate],
+    ['npv_inr', model.npv],
+    ['irr', model.irr !== null ? Number(model.irr.toFixed(4)) : ''],
+    ['payback_year', model.paybackYear ?? ''],
+  ];
+}
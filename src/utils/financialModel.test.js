@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { buildFinancialModel, irr, npv } from './financialModel';
+
+describe('npv', () => {
+  it('discounts end-of-year flows', () => {
+    expect(npv([110], 0.1)).toBeCloseTo(100);
+    expect(npv([-100, 121], 0.1)).toBeCloseTo(9.0909, 4);
+    expect(npv([50, 50], 0)).toBe(100);
+  });
+});
+
+describe('irr', () => {
+  it('finds the rate where the NPV is zero', () => {
+    expect(irr([-100, 110])).toBeCloseTo(0.1, 5);
+    expect(irr([-100, 60, 60])).toBeCloseTo(0.1307, 4);
+  });
+
+  it('is null when the flows never change sign', () => {
+    expect(irr([-100, -10])).toBeNull();
+    expect(irr([10, 10])).toBeNull();
+  });
+});
+
+describe('buildFinancialModel', () => {
+  // 100 saplings planted in year 1 for ₹1,00,000, each worth ₹500 a year once mature after a year
+  const impact = {
+    phases: [{ year: 1, saplings: 100, planting: 100000 }],
+    sequestrationPerTree: 0.02,
+    assumptions: {
+      costPerSapling: 1000,
+      maintenanceRate: 0.1,
+      survivalRate: 1,
+      treeLifetimeYears: 5,
+      discountRate: 0.1,
+      carbonPricePerTon: 0,
+      healthBenefitPerTree: 500,
+      replacementRate: 0,
+      maturityYears: 1,
+    },
+  };
+
+  it('builds yearly cash flows and the payback year', () => {
+    const model = buildFinancialModel(impact);
+
+    expect(model.years.map((row) => row.net)).toEqual([-100000, 40000, 40000, 40000, 40000]);
+    expect(model.years.map((row) => row.cumulative)).toEqual([-100000, -60000, -20000, 20000, 60000]);
+    expect(model.years[1]).toMatchObject({ capex: 0, maintenance: 10000, healthSavings: 50000, carbonCredits: 0 });
+    expect(model.paybackYear).toBe(4);
+    expect(model.totals).toEqual({ costs: 140000, benefits: 200000, healthSavings: 200000, carbonCredits: 0 });
+  });
+
+  it('reports NPV and IRR of the net flows', () => {
+    const model = buildFinancialModel(impact);
+
+    expect(model.npv).toBe(Math.round(npv([-100000, 40000, 40000, 40000, 40000], 0.1)));
+    expect(model.irr).toBeCloseTo(irr([-100000, 40000, 40000, 40000, 40000]), 6);
+  });
+
+  it('has no payback year when the programme never recovers its cost', () => {
+    const model = buildFinancialModel({ ...impact, assumptions: { ...impact.assumptions, healthBenefitPerTree: 100 } });
+
+    expect(model.paybackYear).toBeNull();
+    expect(model.npv).toBeLessThan(0);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Forecast Series
+ * Normalises the OpenWeather hourly pollution forecast and AQICN's daily forecast into one
+ * time series in the city's local time, with daily min/avg/max statistics per pollutant.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const FORECAST_POLLUTANTS = ['aqi', 'pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+/**
+ * Parse an AQICN timezone string ("+05:30", "-04:00") into an offset in seconds
+ * @param {string} tz
+ * @returns {number|null}
+ */
+export function parseTimezoneOffset(tz) {
+  const match = /^([+-])(\d{2}):?(\d{2})$/.exec(tz || '');
+  if (!match) return null;
+  const seconds = Number(match[2]) * 3600 + Number(match[3]) * 60;
+  return match[1] === '-' ? -seconds : seconds;
+}
+
+/**
+ * Local calendar day ("YYYY-MM-DD") of a timestamp at a UTC offset
+ * @param {number} time - Timestamp in ms
+ * @param {number} offsetSeconds - UTC offset in seconds
+ * @returns {string}
+ */
+export function localDay(time, offsetSeconds = 0) {
+  return new Date(time + offsetSeconds * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Local hour (0–23) of a timestamp at a UTC offset
+ * @param {number} time - Timestamp in ms
+ * @param {number} offsetSeconds - UTC offset in seconds
+ * @returns {number}
+ */
+export function localHour(time, offsetSeconds = 0) {
+  return new Date(time + offsetSeconds * 1000).getUTCHours();
+}
+
+/**
+ * Format a timestamp in the city's local time
+ * @param {number} time - Timestamp in ms
+ * @param {number} offsetSeconds - UTC offset in seconds
+ * @param {Object} [options]
+ * @param {boolean} [options.withDay=false] - Prefix the weekday
+ * @returns {string} e.g. "14:00" or "Tue 14:00"
+ */
+export function formatLocalTime(time, offsetSeconds = 0, { withDay = false } = {}) {
+  const local = new Date(time + offsetSeconds * 1000);
+  const hours = String(local.getUTCHours()).padStart(2, '0');
+  const minutes = String(local.getUTCMinutes()).padStart(2, '0');
+  if (!withDay) return `${hours}:${minutes}`;
+  const weekday = local.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  return `${weekday} ${hours}:${minutes}`;
+}
+
+/**
+ * Start of a local day as a UTC timestamp
+ */
+function dayStart(day, offsetSeconds) {
+  return Date.parse(`${day}T00:00:00Z`) - offsetSeconds * 1000;
+}
+
+function stats(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((total, value) => total + value, 0);
+  return {
+    min: Math.min(...values),
+    avg: Math.round(sum / values.length),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * Build the forecast series
+ * @param {Object} forecast - { hourly: [{ time, aqi, subIndices }], daily: AQICN forecast.daily }
+ * @param {Object} [options]
+ * @param {number} [options.timezoneOffset=0] - City UTC offset in seconds
+ * @param {number} [options.now=Date.now()] - Points before the current hour are dropped
+ * @returns {{hourly: Array, daily: Array, timezoneOffset: number}}
+ *   hourly: [{ time, aqi, pm25, ... }] EPA values per hour
+ *   daily: [{ day, start, end, values: { pm25: { min, avg, max, source } } }]
+ */
+export function buildForecastSeries(forecast, { timezoneOffset = 0, now = Date.now() } = {}) {
+  const currentHour = Math.floor(now / HOUR_MS) * HOUR_MS;
+  const today = localDay(now, timezoneOffset);
+
+  const hourly = (forecast?.hourly || [])
+    .filter((entry) => entry.time >= currentHour)
+    .map((entry) => {
+      const point = { time: entry.time, aqi: entry.aqi ?? null };
+      FORECAST_POLLUTANTS.slice(1).forEach((pollutant) => {
+        point[pollutant] = entry.subIndices?.[pollutant] ?? null;
+      });
+      return point;
+    });
+
+  const days = new Map(); // day -> { pollutant -> stats }
+  const dayValues = (day) => {
+    if (!days.has(day)) days.set(day, {});
+    return days.get(day);
+  };
+
+  // Daily statistics from the hourly series
+  const hourlyByDay = new Map();
+  hourly.forEach((point) => {
+    const day = localDay(point.time, timezoneOffset);
+    if (!hourlyByDay.has(day)) hourlyByDay.set(day, []);
+    hourlyByDay.get(day).push(point);
+  });
+  hourlyByDay.forEach((points, day) => {
+    const values = dayValues(day);
+    FORECAST_POLLUTANTS.forEach((pollutant) => {
+      const dayStats = stats(points.map((point) => point[pollutant]).filter((value) => value !== null));
+      if (dayStats) values[pollutant] = { ...dayStats, source: 'openweather' };
+    });
+  });
+
+  // AQICN's daily forecast is station-calibrated, so it takes precedence where it exists
+  Object.entries(forecast?.daily || {}).forEach(([pollutant, entries]) => {
+    if (!FORECAST_POLLUTANTS.includes(pollutant) || !Array.isArray(entries)) return;
+    entries
+      .filter((entry) => entry.day >= today)
+      .forEach((entry) => {
+        dayValues(entry.day)[pollutant] = {
+          min: entry.min,
+          avg: entry.avg,
+          max: entry.max,
+          source: 'aqicn',
+        };
+      });
+  });
+
+  const daily = [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, values]) => {
+      const start = dayStart(day, timezoneOffset);
+      return { day, start, end: start + DAY_MS - HOUR_MS, values };
+    });
+
+  return { hourly, daily, timezoneOffset };
+}
@@ -0,0 +1,142 @@
+/**
+ * Forecaster
+ * Deterministic short-range AQI forecast for the next few hours, built from the current reading,
+ * recent readings, the OpenWeather pollution forecast, wind/humidity and a diurnal traffic profile.
+ * The same inputs always produce the same forecast.
+ */
+
+import { localHour } from './forecastSeries';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Typical urban pollution level by local hour relative to the daily mean: morning and evening
+ * rush-hour peaks, an afternoon dip as the boundary layer deepens, and a night-time build-up.
+ */
+export const DIURNAL_TRAFFIC_PROFILE = [
+  1.05, 1.0, 0.96, 0.93, 0.92, 0.95, // 00–05
+  1.02, 1.12, 1.2, 1.16, 1.05, 0.95, // 06–11
+  0.88, 0.84, 0.82, 0.85, 0.92, 1.02, // 12–17
+  1.14, 1.2, 1.18, 1.13, 1.1, 1.08, // 18–23
+];
+
+export const FORECAST_SOURCES = {
+  ai: 'AI model',
+  blended: 'Statistical + OpenWeather',
+  statistical: 'Statistical model',
+  persistence: 'Persistence',
+};
+
+// How much of the diurnal swing is applied (the profile is a city-agnostic average)
+const DIURNAL_WEIGHT = 0.5;
+// Each hour ahead keeps this share of the recent trend
+const TREND_DAMPING = 0.8;
+// Recent readings older than this are ignored when estimating the trend
+const TREND_WINDOW_MS = 12 * HOUR_MS;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Least-squares slope of AQI per hour over recent readings
+ * @param {Array<{time: number, aqi: number}>} readings
+ * @param {number} now - Timestamp in ms
+ * @returns {number} AQI change per hour (0 with fewer than two readings)
+ */
+export function estimateTrend(readings, now) {
+  const points = readings
+    .filter((reading) => Number.isFinite(reading.aqi) && now - reading.time <= TREND_WINDOW_MS && reading.time <= now)
+    .map((reading) => ({ x: (reading.time - now) / HOUR_MS, y: reading.aqi }));
+
+  if (points.length < 2) return 0;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+  return variance === 0 ? 0 : covariance / variance;
+}
+
+/**
+ * Multiplier for meteorology: wind disperses pollution, humid still air traps particulates
+ * @param {Object} weather - { wind (m/s), humidity (%) }
+ * @returns {number}
+ */
+export function weatherFactor({ wind = null, humidity = null } = {}) {
+  let factor = 1;
+  if (Number.isFinite(wind)) {
+    factor *= 1 - clamp((wind - 2) * 0.03, -0.1, 0.25);
+  }
+  if (Number.isFinite(humidity) && humidity > 60) {
+    factor *= 1 + Math.min(0.08, (humidity - 60) * 0.002);
+  }
+  return factor;
+}
+
+function nearestEntry(entries, time) {
+  let nearest = null;
+  entries.forEach((entry) => {
+    const distance = Math.abs(entry.time - time);
+    if (distance <= HOUR_MS / 2 && (!nearest || distance < Math.abs(nearest.time - time))) {
+      nearest = entry;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Forecast the AQI for the next N hours
+ * @param {Object} inputs
+ * @param {number} inputs.currentAQI - Current AQI (US EPA)
+ * @param {Array<{time: number, aqi: number}>} [inputs.recentReadings] - Earlier readings for the trend
+ * @param {Array<{time: number, aqi: number}>} [inputs.pollutionForecast] - Hourly OpenWeather forecast (EPA AQI)
+ * @param {Object} [inputs.weather] - { wind, humidity }
+ * @param {number} [inputs.timezoneOffset=0] - City UTC offset in seconds (for the diurnal profile)
+ * @param {number} [inputs.startTime=Date.now()] - Forecast origin in ms
+ * @param {number} [inputs.hours=5] - Number of hours to forecast
+ * @returns {Array<{time: number, hoursAhead: number, aqi: number, source: string}>}
+ */
+export function forecastNextHours({
+  currentAQI,
+  recentReadings = [],
+  pollutionForecast = [],
+  weather = {},
+  timezoneOffset = 0,
+  startTime = Date.now(),
+  hours = 5,
+}) {
+  const origin = Math.floor(startTime / HOUR_MS) * HOUR_MS;
+  const trend = estimateTrend(recentReadings, startTime);
+  const meteorology = weatherFactor(weather);
+  const profileNow = DIURNAL_TRAFFIC_PROFILE[localHour(origin, timezoneOffset)];
+
+  // The OpenWeather model is biased against local stations; scale it to agree with the current reading
+  const modelNow = nearestEntry(pollutionForecast, origin);
+  const modelBias = modelNow?.aqi > 0 ? clamp(currentAQI / modelNow.aqi, 0.5, 2) : null;
+
+  const hasHistory = trend !== 0;
+
+  return Array.from({ length: hours }, (_, i) => {
+    const hoursAhead = i + 1;
+    const time = origin + hoursAhead * HOUR_MS;
+
+    const trendDelta = trend * ((1 - TREND_DAMPING ** hoursAhead) / (1 - TREND_DAMPING));
+    const diurnal = 1 + (DIURNAL_TRAFFIC_PROFILE[localHour(time, timezoneOffset)] / profileNow - 1) * DIURNAL_WEIGHT;
+    const meteo = 1 + (meteorology - 1) * Math.min(1, hoursAhead / 6);
+    const statistical = (currentAQI + trendDelta) * diurnal * meteo;
+
+    const model = modelBias !== null ? nearestEntry(pollutionForecast, time) : null;
+    let aqi = statistical;
+    let source = hasHistory || meteorology !== 1 || diurnal !== 1 ? 'statistical' : 'persistence';
+
+    if (model && Number.isFinite(model.aqi)) {
+      const modelWeight = Math.min(0.8, 0.3 + 0.1 * hoursAhead);
+      aqi = (1 - modelWeight) * statistical + modelWeight * model.aqi * modelBias;
+      source = 'blended';
+    }
+
+    return { time, hoursAhead, aqi: Math.max(0, Math.round(aqi)), source };
+  });
+}
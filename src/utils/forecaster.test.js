@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { estimateTrend, forecastNextHours, weatherFactor } from './forecaster';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Monday 15 January 2024, 08:00 UTC
+const START = Date.UTC(2024, 0, 15, 8);
+
+describe('estimateTrend', () => {
+  it('fits the AQI change per hour', () => {
+    expect(estimateTrend([{ time: START - 2 * HOUR_MS, aqi: 130 }, { time: START, aqi: 150 }], START)).toBe(10);
+  });
+
+  it('ignores readings outside the window and in the future', () => {
+    const readings = [
+      { time: START - 13 * HOUR_MS, aqi: 50 },
+      { time: START - HOUR_MS, aqi: 100 },
+      { time: START + HOUR_MS, aqi: 300 },
+    ];
+    expect(estimateTrend(readings, START)).toBe(0);
+  });
+});
+
+describe('weatherFactor', () => {
+  it('is neutral without weather or in calm, dry air', () => {
+    expect(weatherFactor({})).toBe(1);
+    expect(weatherFactor({ wind: 2, humidity: 50 })).toBe(1);
+  });
+
+  it('caps dispersion by wind and trapping by humidity', () => {
+    expect(weatherFactor({ wind: 12, humidity: 100 })).toBeCloseTo(0.75 * 1.08);
+  });
+});
+
+describe('forecastNextHours', () => {
+  it('follows the diurnal profile from the current reading', () => {
+    expect(forecastNextHours({ currentAQI: 150, startTime: START, hours: 3 })).toEqual([
+      { time: START + HOUR_MS, hoursAhead: 1, aqi: 148, source: 'statistical' },
+      { time: START + 2 * HOUR_MS, hoursAhead: 2, aqi: 141, source: 'statistical' },
+      { time: START + 3 * HOUR_MS, hoursAhead: 3, aqi: 134, source: 'statistical' },
+    ]);
+  });
+
+  it('adds the recent trend and weather in the city\'s local time', () => {
+    const forecast = forecastNextHours({
+      currentAQI: 150,
+      startTime: START + 10 * 60 * 1000,
+      recentReadings: [
+        { time: START - 2 * HOUR_MS, aqi: 130 },
+        { time: START - HOUR_MS, aqi: 140 },
+        { time: START, aqi: 150 },
+      ],
+      weather: { wind: 4, humidity: 80 },
+      timezoneOffset: 19800,
+    });
+
+    expect(forecast.map((point) => point.aqi)).toEqual([158, 168, 181, 196, 212]);
+    expect(forecast.every((point) => point.source === 'statistical')).toBe(true);
+    // Hours are aligned to the forecast origin's hour
+    expect(forecast[0].time).toBe(START + HOUR_MS);
+  });
+
+  it('blends in the OpenWeather forecast scaled to the current reading', () => {
+    const pollutionForecast = [0, 1, 2, 3, 4, 5].map((i) => ({ time: START + i * HOUR_MS, aqi: 80 + i * 10 }));
+    const forecast = forecastNextHours({ currentAQI: 100, startTime: START, pollutionForecast });
+
+    expect(forecast.map((point) => point.aqi)).toEqual([104, 109, 118, 131, 147]);
+    expect(forecast.every((point) => point.source === 'blended')).toBe(true);
+  });
+
+  it('labels hours without trend, weather or diurnal change as persistence', () => {
+    // 06:00 and 17:00 UTC share a profile value
+    const forecast = forecastNextHours({ currentAQI: 120, startTime: Date.UTC(2024, 0, 15, 6), hours: 11 });
+
+    expect(forecast[10]).toMatchObject({ hoursAhead: 11, aqi: 120, source: 'persistence' });
+    expect(forecast.slice(0, 10).every((point) => point.source === 'statistical')).toBe(true);
+  });
+
+  it('returns the same forecast for the same inputs', () => {
+    const inputs = { currentAQI: 90, startTime: START, recentReadings: [{ time: START - HOUR_MS, aqi: 80 }, { time: START, aqi: 90 }] };
+    expect(forecastNextHours(inputs)).toEqual(forecastNextHours(inputs));
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Geo Helpers
+ * Great-circle distance and bearings between coordinates
+ */
+
+const EARTH_RADIUS_KM = 6371;
+export const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Haversine distance between two points
+ * @param {{lat: number, lon: number}} a
+ * @param {{lat: number, lon: number}} b
+ * @returns {number} Distance in km
+ */
+export function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Initial great-circle bearing from one point to another
+ * @param {{lat: number, lon: number}} from
+ * @param {{lat: number, lon: number}} to
+ * @returns {number} Degrees clockwise from north, 0–360
+ */
+export function bearingDeg(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Smallest angle between two bearings
+ * @param {number} a - Degrees
+ * @param {number} b - Degrees
+ * @returns {number} 0–180
+ */
+export function angleBetween(a, b) {
+  const difference = Math.abs((((a - b) % 360) + 360) % 360);
+  return difference > 180 ? 360 - difference : difference;
+}
+
+/**
+ * Eight-point compass name for a bearing
+ * @param {number} degrees
+ * @returns {string} e.g. "NW"
+ */
+export function compassPoint(degrees) {
+  return COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 45) % 8];
+}
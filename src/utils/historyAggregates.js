@@ -0,0 +1,126 @@
+/**
+ * History Aggregates
+ * Groups stored readings into daily, weekly or monthly buckets in the city's local time
+ */
+
+import { localDay } from './forecastSeries';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_PERIODS = {
+  day: { label: 'Daily', span: 30 * DAY_MS },
+  week: { label: 'Weekly', span: 26 * 7 * DAY_MS },
+  month: { label: 'Monthly', span: 365 * DAY_MS },
+};
+
+export const HISTORY_POLLUTANTS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+
+/**
+ * Bucket start (UTC ms of local midnight) for a timestamp
+ */
+function bucketStart(time, period, timezoneOffset) {
+  const local = new Date(time + timezoneOffset * 1000);
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+
+  if (period === 'week') {
+    // Weeks start on Monday
+    const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+    return midnight - daysSinceMonday * DAY_MS - timezoneOffset * 1000;
+  }
+  if (period === 'month') {
+    return Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - timezoneOffset * 1000;
+  }
+  return midnight - timezoneOffset * 1000;
+}
+
+function summarise(values) {
+  const numeric = values.filter((value) => Number.isFinite(value));
+  if (numeric.length === 0) return null;
+  const sum = numeric.reduce((total, value) => total + value, 0);
+  return {
+    min: Math.min(...numeric),
+    avg: Math.round(sum / numeric.length),
+    max: Math.max(...numeric),
+  };
+}
+
+/**
+ * Label for a bucket start
+ * @param {number} start - Bucket start in ms
+ * @param {string} period - 'day' | 'week' | 'month'
+ * @param {number} timezoneOffset - UTC offset in seconds
+ * @returns {string}
+ */
+export function formatBucket(start, period, timezoneOffset = 0) {
+  const local = new Date(start + timezoneOffset * 1000);
+  if (period === 'month') {
+    return local.toLocaleDateString('en-GB', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  const label = local.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+  return period === 'week' ? `Week of ${label}` : label;
+}
+
+/**
+ * Aggregate readings into period buckets
+ * @param {Array} readings - Readings from getReadingHistory ({ time, aqi, subIndices, dominantPollutant })
+ * @param {string} [period='day'] - 'day' | 'week' | 'month'
+ * @param {number} [timezoneOffset=0] - City UTC offset in seconds
+ * @returns {Array<{start: number, day: string, count: number, aqi: Object|null,
+ *   pollutants: Object, dominant: Object}>} Buckets oldest first; `aqi` and pollutant stats are
+ *   { min, avg, max } on the US EPA scale, `dominant` counts readings per dominant pollutant
+ */
+export function aggregateReadings(readings, period = 'day', timezoneOffset = 0) {
+  const buckets = new Map();
+
+  readings.forEach((reading) => {
+    const start = bucketStart(reading.time, period, timezoneOffset);
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(reading);
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([start, group]) => {
+      const pollutants = {};
+      HISTORY_POLLUTANTS.forEach((pollutant) => {
+        const stats = summarise(group.map((reading) => reading.subIndices?.[pollutant]));
+        if (stats) pollutants[pollutant] = stats;
+      });
+
+      const dominant = {};
+      group.forEach((reading) => {
+        if (reading.dominantPollutant) {
+          dominant[reading.dominantPollutant] = (dominant[reading.dominantPollutant] || 0) + 1;
+        }
+      });
+
+      return {
+        start,
+        day: localDay(start, timezoneOffset),
+        count: group.length,
+        aqi: summarise(group.map((reading) => reading.aqi)),
+        pollutants,
+        dominant,
+      };
+    });
+}
+
+/**
+ * Compare the latest bucket with the average of the ones before it
+ * @param {Array} buckets - Output of aggregateReadings
+ * @returns {{direction: 'improving'|'worsening'|'stable', change: number}|null} `change` is the
+ *   percentage change in average AQI (negative is better)
+ */
+export function describeTrend(buckets) {
+  const withAQI = buckets.filter((bucket) => bucket.aqi);
+  if (withAQI.length < 2) return null;
+
+  const latest = withAQI[withAQI.length - 1].aqi.avg;
+  const earlier = withAQI.slice(0, -1);
+  const baseline = earlier.reduce((sum, bucket) => sum + bucket.aqi.avg, 0) / earlier.length;
+  if (baseline === 0) return null;
+
+  const change = Math.round(((latest - baseline) / baseline) * 100);
+  const direction = change <= -5 ? 'improving' : change >= 5 ? 'worsening' : 'stable';
+  return { direction, change };
+}
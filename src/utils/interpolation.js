@@ -0,0 +1,114 @@
+/**
+ * Surface Interpolation
+ * Inverse-distance-weighted (IDW) estimates between station readings, for the map's pollution surface
+ */
+
+const KM_PER_DEG_LAT = 111.32;
+
+// Cells farther than this from every station are left blank rather than extrapolated
+export const DEFAULT_MAX_DISTANCE_KM = 40;
+
+// Fewer samples than this don't make a meaningful surface
+export const MIN_SURFACE_SAMPLES = 3;
+
+/**
+ * Fast planar distance in km; accurate enough at city scale
+ */
+function approxDistanceKm(lat1, lon1, lat2, lon2) {
+  const dLat = (lat2 - lat1) * KM_PER_DEG_LAT;
+  const dLon = (lon2 - lon1) * KM_PER_DEG_LAT * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  return Math.sqrt(dLat * dLat + dLon * dLon);
+}
+
+/**
+ * Estimate the value at a point from nearby samples
+ * @param {Array<{lat: number, lon: number, value: number}>} points - Samples
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Object} [options]
+ * @param {number} [options.power=2] - Distance exponent; higher favours the nearest stations
+ * @param {number} [options.neighbours=8] - Only the nearest N samples contribute
+ * @param {number} [options.maxDistanceKm=DEFAULT_MAX_DISTANCE_KM] - No estimate beyond this from the nearest sample
+ * @returns {number|null} Estimate, or null when no sample is close enough
+ */
+export function idwEstimate(points, lat, lon, { power = 2, neighbours = 8, maxDistanceKm = DEFAULT_MAX_DISTANCE_KM } = {}) {
+  const nearest = [];
+
+  for (const point of points) {
+    const distance = approxDistanceKm(lat, lon, point.lat, point.lon);
+    // A cell on top of a station takes the station's value
+    if (distance < 0.01) return point.value;
+
+    // Keep the nearest N sorted by distance (insertion into a short array)
+    if (nearest.length < neighbours || distance < nearest[nearest.length - 1].distance) {
+      let index = nearest.length;
+      while (index > 0 && nearest[index - 1].distance > distance) index -= 1;
+      nearest.splice(index, 0, { distance, value: point.value });
+      if (nearest.length > neighbours) nearest.pop();
+    }
+  }
+
+  if (nearest.length === 0 || nearest[0].distance > maxDistanceKm) return null;
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  nearest.forEach(({ distance, value }) => {
+    const weight = 1 / distance ** power;
+    weightedSum += weight * value;
+    weightTotal += weight;
+  });
+  return weightedSum / weightTotal;
+}
+
+/**
+ * Interpolate a regular grid over bounds (row 0 is the northern edge)
+ * @param {Array<{lat: number, lon: number, value: number}>} points
+ * @param {{south: number, west: number, north: number, east: number}} bounds
+ * @param {Object} options
+ * @param {number} options.cols
+ * @param {number} options.rows
+ * @param {Object} [options.idw] - Options passed to idwEstimate
+ * @returns {Float32Array} cols × rows estimates, NaN where there is none
+ */
+export function interpolateGrid(points, bounds, { cols, rows, idw = {} }) {
+  const grid = new Float32Array(cols * rows);
+  // Samples far outside the bounds can't be among a cell's neighbours within range
+  const maxDistanceKm = idw.maxDistanceKm ?? DEFAULT_MAX_DISTANCE_KM;
+  const padLat = (maxDistanceKm * 2) / KM_PER_DEG_LAT;
+  const padLon = padLat / Math.max(0.1, Math.cos((((bounds.north + bounds.south) / 2) * Math.PI) / 180));
+  const nearby = points.filter((point) =>
+    point.lat >= bounds.south - padLat && point.lat <= bounds.north + padLat &&
+    point.lon >= bounds.west - padLon && point.lon <= bounds.east + padLon
+  );
+  const latStep = (bounds.north - bounds.south) / rows;
+  const lonStep = (bounds.east - bounds.west) / cols;
+
+  for (let row = 0; row < rows; row += 1) {
+    const lat = bounds.north - (row + 0.5) * latStep;
+    for (let col = 0; col < cols; col += 1) {
+      const lon = bounds.west + (col + 0.5) * lonStep;
+      const estimate = idwEstimate(nearby, lat, lon, idw);
+      grid[row * cols + col] = estimate === null ? NaN : estimate;
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Sample points for a pollutant from map stations
+ * @param {Array} stations - getMapStations results
+ * @param {string} pollutant - 'aqi' or a pollutant key (uses the station's sub-index)
+ * @param {Map} [subIndicesByUid] - uid -> sub-indices from station feeds, used when the listing lacks them
+ * @returns {Array<{lat: number, lon: number, value: number}>} US EPA values
+ */
+export function stationSamples(stations, pollutant, subIndicesByUid = new Map()) {
+  return stations
+    .map((station) => {
+      const value = pollutant === 'aqi'
+        ? Number(station.aqi ?? NaN)
+        : Number(subIndicesByUid.get(station.uid)?.[pollutant] ?? station.iaqi?.[pollutant]?.v);
+      return { lat: station.lat, lon: station.lon, value };
+    })
+    .filter((point) => Number.isFinite(point.value) && Number.isFinite(point.lat) && Number.isFinite(point.lon));
+}
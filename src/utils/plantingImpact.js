@@ -0,0 +1,381 @@
+/**
+ * Planting Impact
+ * Deterministic sizing, cost, carbon and air-quality estimates for a tree planting programme.
+ * Every figure the recommendations show comes from here, so they recompute instantly when the
+ * user edits an assumption; the AI only writes the narrative around them.
+ *
+ * AQI inputs and outputs are on the US EPA scale; money is in Indian Rupees.
+ */
+
+import { DEFAULT_STANDARD_ID, getCategoryIndex } from './aqiStandards';
+
+// Trees per AQI point [min, max] for each US EPA category (Good … Hazardous)
+export const TREES_PER_AQI_POINT = [
+  [50, 100],
+  [100, 150],
+  [150, 200],
+  [200, 250],
+  [250, 300],
+  [300, 350],
+];
+
+/**
+ * Default assumptions behind the estimates; every one can be overridden
+ */
+export const DEFAULT_ASSUMPTIONS = {
+  // Where in the category's trees-per-AQI-point range to plan, 0 (min) to 1 (max)
+  densityPosition: 0.5,
+  // ₹ per sapling planted: sapling, pit, guard and first-year care
+  costPerSapling: 4000,
+  // Share of planted saplings that establish; more are planted to end up with the target count
+  survivalRate: 1,
+  // Tonnes of CO2 a grown tree sequesters per year
+  sequestrationPerTree: 0.025,
+  // Per-species overrides of sequestrationPerTree, keyed by species name
+  speciesSequestration: {},
+  // Years a tree keeps sequestering, for the lifetime total
+  treeLifetimeYears: 20,
+  // Annual maintenance as a share of the planting investment
+  maintenanceRate: 0.05,
+  // Largest AQI improvement planting alone is credited with after 5 years
+  maxAQIImprovement: 0.3,
+  // Trees at which the improvement reaches maxAQIImprovement (it scales linearly up to there)
+  treesForMaxImprovement: 100000,
+  // Air pollution reduction in % per 10,000 trees, kept within pollutionReductionRange
+  pollutionReductionPer10kTrees: 2,
+  pollutionReductionRange: [20, 35],
+  // Share of the saplings planted in each programme year (year 1, 2, ...); must add up to 1
+  plantingSchedule: [0.5, 0.3, 0.2],
+  // Years a budget has to cover, planting plus maintenance of what has been planted
+  planningHorizonYears: 5,
+  // Financial model (see utils/financialModel.js), run over treeLifetimeYears
+  // Discount rate for NPV, per year
+  discountRate: 0.08,
+  // ₹ a tonne of sequestered CO2 earns as carbon credits
+  carbonPricePerTon: 1500,
+  // ₹ of avoided healthcare costs per grown tree per year
+  healthBenefitPerTree: 500,
+  // Share of established trees that die and are replaced with a new sapling each year
+  replacementRate: 0.02,
+  // Years until a tree sequesters and filters at its full rate (benefits ramp up linearly)
+  maturityYears: 5,
+};
+
+/**
+ * Labels, units and input steps for the assumptions panel
+ * `scale` converts the stored value to the displayed one (e.g. 0.85 -> 85 %); `group: 'finance'`
+ * marks the financial model's inputs.
+ */
+export const ASSUMPTION_FIELDS = [
+  { key: 'costPerSapling', label: 'Cost per sapling', unit: '₹', step: 100, min: 0 },
+  { key: 'survivalRate', label: 'Sapling survival rate', unit: '%', scale: 100, step: 1, min: 1, max: 100 },
+  { key: 'sequestrationPerTree', label: 'CO₂ per tree', unit: 't/yr', step: 0.001, min: 0 },
+  { key: 'treeLifetimeYears', label: 'Sequestration lifetime', unit: 'years', step: 1, min: 1 },
+  { key: 'maintenanceRate', label: 'Annual maintenance', unit: '% of investment', scale: 100, step: 0.5, min: 0 },
+  { key: 'densityPosition', label: 'Planting density', unit: '% of range', scale: 100, step: 5, min: 0, max: 100 },
+  { key: 'maxAQIImprovement', label: 'Max AQI improvement', unit: '%', scale: 100, step: 1, min: 0, max: 100 },
+  { key: 'treesForMaxImprovement', label: 'Trees for max improvement', unit: 'trees', step: 1000, min: 1 },
+  { key: 'planningHorizonYears', label: 'Budget horizon', unit: 'years', step: 1, min: 1 },
+  { key: 'discountRate', label: 'Discount rate', unit: '%/yr', scale: 100, step: 0.5, min: 0, group: 'finance' },
+  { key: 'carbonPricePerTon', label: 'Carbon credit price', unit: '₹/t CO₂', step: 100, min: 0, group: 'finance' },
+  { key: 'healthBenefitPerTree', label: 'Health savings per tree', unit: '₹/yr', step: 10, min: 0, group: 'finance' },
+  { key: 'replacementRate', label: 'Tree replacement', unit: '%/yr', scale: 100, step: 0.5, min: 0, max: 100, group: 'finance' },
+  { key: 'maturityYears', label: 'Years to maturity', unit: 'years', step: 1, min: 1, group: 'finance' },
+];
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Merge user overrides into the defaults, ignoring values that aren't usable numbers
+ * @param {Object} [overrides]
+ * @returns {Object} Complete assumptions
+ */
+export function resolveAssumptions(overrides = {}) {
+  const assumptions = { ...DEFAULT_ASSUMPTIONS };
+  ASSUMPTION_FIELDS.forEach(({ key, min = -Infinity, max = Infinity, scale = 1 }) => {
+    const value = overrides[key];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      assumptions[key] = clamp(value, min / scale, max / scale);
+    }
+  });
+
+  const speciesSequestration = {};
+  Object.entries(overrides.speciesSequestration || {}).forEach(([species, value]) => {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) speciesSequestration[species] = value;
+  });
+  assumptions.speciesSequestration = speciesSequestration;
+  return assumptions;
+}
+
+/**
+ * Expected [min, max] number of trees for a US EPA AQI value
+ * @param {number} aqi
+ * @returns {[number, number]}
+ */
+export function getTreeRange(aqi) {
+  const category = Math.max(0, getCategoryIndex(aqi, DEFAULT_STANDARD_ID));
+  const [min, max] = TREES_PER_AQI_POINT[category];
+  return [aqi * min, aqi * max];
+}
+
+/**
+ * Mean CO2 sequestration per tree for an even mix of species
+ * @param {string[]} species
+ * @param {Object} assumptions - resolveAssumptions result
+ * @returns {number} Tonnes per tree per year
+ */
+export function sequestrationForSpecies(species, assumptions) {
+  if (!species?.length) return assumptions.sequestrationPerTree;
+  const rates = species.map((name) => assumptions.speciesSequestration[name] ?? assumptions.sequestrationPerTree);
+  return rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+}
+
+/**
+ * Split a count into equal shares per species, the remainder going to the first species
+ * @param {number} count
+ * @param {string[]} species
+ * @returns {Array<{species: string, count: number}>}
+ */
+export function splitBySpecies(count, species) {
+  if (!species?.length) return [];
+  const share = Math.floor(count / species.length);
+  const remainder = count - share * species.length;
+  return species.map((name, index) => ({ species: name, count: share + (index < remainder ? 1 : 0) }));
+}
+
+/**
+ * Spend per programme year: planting follows plantingSchedule and everything planted in earlier
+ * years costs maintenanceRate of its planting cost each year
+ * @param {number} saplings - Saplings planted over the programme
+ * @param {Object} assumptions - resolveAssumptions result
+ * @returns {Array<{year: number, saplings: number, planting: number, maintenance: number, total: number}>}
+ */
+export function phaseSpend(saplings, assumptions) {
+  const { plantingSchedule, planningHorizonYears, costPerSapling, maintenanceRate } = assumptions;
+  const years = Math.max(planningHorizonYears, plantingSchedule.length);
+  const phases = [];
+  let planted = 0;
+  let plantedCost = 0;
+
+  for (let year = 1; year <= years; year += 1) {
+    const share = plantingSchedule[year - 1] || 0;
+    // The last planting year takes whatever rounding left over
+    const count = year === plantingSchedule.length ? saplings - planted : Math.round(saplings * share);
+    const maintenance = Math.round(plantedCost * maintenanceRate);
+    const planting = count * costPerSapling;
+    phases.push({ year, saplings: count, planting, maintenance, total: planting + maintenance });
+    planted += count;
+    plantedCost += planting;
+  }
+  return phases;
+}
+
+/**
+ * Figures for a programme of `saplings` planted, `trees` of them establishing
+ */
+function describeProgramme({ aqi, pm25 = null, pm10 = null, species = [] }, assumptions, trees, saplings) {
+  const treeRange = getTreeRange(aqi);
+  const investment = saplings * assumptions.costPerSapling;
+  const sequestrationPerTree = sequestrationForSpecies(species, assumptions);
+  const annualCarbon = trees * sequestrationPerTree;
+
+  const [minReduction, maxReduction] = assumptions.pollutionReductionRange;
+  const pollutionReduction = clamp(
+    Math.round((trees / 10000) * assumptions.pollutionReductionPer10kTrees),
+    minReduction,
+    maxReduction
+  );
+
+  const improvementFactor = Math.min(
+    assumptions.maxAQIImprovement,
+    (trees / assumptions.treesForMaxImprovement) * assumptions.maxAQIImprovement
+  );
+  const improvement = Math.round(improvementFactor * 100);
+  const pmReduction = clamp(improvement, minReduction, maxReduction);
+  const reducePM = (value) => (Number.isFinite(value) ? Math.round(value * (1 - pmReduction / 100)) : null);
+
+  return {
+    assumptions,
+    treeRange,
+    trees,
+    saplings,
+    speciesMix: splitBySpecies(saplings, species).map(({ species: name, count }) => ({ species: name, saplings: count })),
+    phases: phaseSpend(saplings, assumptions),
+    investment,
+    annualMaintenance: Math.round(investment * assumptions.maintenanceRate),
+    sequestrationPerTree,
+    annualCarbon,
+    lifetimeCarbon: annualCarbon * assumptions.treeLifetimeYears,
+    pollutionReduction,
+    improvement,
+    before: { aqi, pm25, pm10 },
+    after: { aqi: Math.max(0, Math.round(aqi * (1 - improvementFactor))), pm25: reducePM(pm25), pm10: reducePM(pm10) },
+    pmReduction,
+  };
+}
+
+/**
+ * Estimate the size, cost and effect of the planting programme an AQI calls for
+ * @param {Object} inputs
+ * @param {number} inputs.aqi - Current US EPA AQI
+ * @param {number|null} [inputs.pm25] - Current PM2.5 in μg/m³
+ * @param {number|null} [inputs.pm10] - Current PM10 in μg/m³
+ * @param {string[]} [inputs.species] - Species planted in equal shares
+ * @param {Object} [overrides] - Assumption overrides (see DEFAULT_ASSUMPTIONS)
+ * @returns {{assumptions: Object, treeRange: [number, number], trees: number, saplings: number,
+ *   speciesMix: Array<{species: string, saplings: number}>, phases: Array, investment: number,
+ *   annualMaintenance: number, sequestrationPerTree: number, annualCarbon: number,
+ *   lifetimeCarbon: number, pollutionReduction: number, improvement: number,
+ *   before: {aqi: number, pm25: number|null, pm10: number|null},
+ *   after: {aqi: number, pm25: number|null, pm10: number|null}, pmReduction: number}}
+ *   `trees` is the number that must survive, `saplings` how many to plant for that; `phases` is the
+ *   phaseSpend schedule; `pollutionReduction`, `improvement` and `pmReduction` are percentages
+ */
+export function computePlantingImpact(inputs, overrides = {}) {
+  const assumptions = resolveAssumptions(overrides);
+  const treeRange = getTreeRange(inputs.aqi);
+  const trees = Math.round(treeRange[0] + (treeRange[1] - treeRange[0]) * assumptions.densityPosition);
+  const saplings = Math.ceil(trees / assumptions.survivalRate);
+  return describeProgramme(inputs, assumptions, trees, saplings);
+}
+
+// Share of the trees the AQI calls for that a programme provides, in %
+function coverageOf(trees, inputs, overrides) {
+  const needed = computePlantingImpact(inputs, overrides).trees;
+  return needed > 0 ? Math.round((trees / needed) * 100) : 100;
+}
+
+/**
+ * Figures for a chosen number of established trees instead of the number the AQI calls for
+ * @param {Object} inputs - As for computePlantingImpact
+ * @param {number} trees - Trees that must establish
+ * @param {Object} [overrides] - Assumption overrides (see DEFAULT_ASSUMPTIONS)
+ * @returns {Object} computePlantingImpact result plus `coverage` (% of the trees the AQI calls for)
+ */
+export function computeTreeCountPlan(inputs, trees, overrides = {}) {
+  const assumptions = resolveAssumptions(overrides);
+  const count = Math.max(0, Math.round(trees));
+  const plan = describeProgramme(inputs, assumptions, count, Math.ceil(count / assumptions.survivalRate));
+  return { ...plan, coverage: coverageOf(count, inputs, overrides) };
+}
+
+/**
+ * Size a planting programme to a budget instead of to the AQI
+ * With only `total`, the budget pays for planting and for maintenance over planningHorizonYears.
+ * With `capex` and `annualMaintenance`, planting must fit the capex and the full programme's yearly
+ * maintenance must fit the maintenance budget.
+ * @param {Object} inputs - As for computePlantingImpact
+ * @param {Object} budget
+ * @param {number} [budget.total] - ₹ for planting and maintenance together
+ * @param {number} [budget.capex] - ₹ for planting
+ * @param {number} [budget.annualMaintenance] - ₹ per year for maintenance
+ * @param {Object} [overrides] - Assumption overrides (see DEFAULT_ASSUMPTIONS)
+ * @returns {Object} computePlantingImpact result plus `budget`, `spend` (₹ over the phases),
+ *   `unspent`, `limitedBy` ("total", "capex" or "maintenance") and `coverage` (% of the trees the
+ *   AQI calls for)
+ */
+export function computeBudgetPlan(inputs, { total = null, capex = null, annualMaintenance = null }, overrides = {}) {
+  const assumptions = resolveAssumptions(overrides);
+  const { costPerSapling, maintenanceRate, survivalRate } = assumptions;
+  const affordable = (amount, costPerUnit) => (costPerUnit > 0 ? Math.floor(Math.max(0, amount) / costPerUnit) : Infinity);
+
+  let saplings;
+  let limitedBy;
+  if (capex !== null || annualMaintenance !== null) {
+    const byCapex = affordable(capex ?? 0, costPerSapling);
+    const byMaintenance = annualMaintenance !== null ? affordable(annualMaintenance, costPerSapling * maintenanceRate) : Infinity;
+    saplings = Math.min(byCapex, byMaintenance);
+    limitedBy = byMaintenance < byCapex ? 'maintenance' : 'capex';
+  } else {
+    // Each sapling is maintained for the years left in the horizon after the year it is planted
+    const maintenanceYears = assumptions.plantingSchedule.reduce((sum, share, index) => (
+      sum + share * Math.max(0, assumptions.planningHorizonYears - index - 1)
+    ), 0);
+    const budgetTotal = Math.max(0, total ?? 0);
+    saplings = affordable(budgetTotal, costPerSapling * (1 + maintenanceRate * maintenanceYears));
+    // Rounding the yearly shares can push the schedule a few rupees over
+    const scheduleCost = (count) => phaseSpend(count, assumptions).reduce((sum, phase) => sum + phase.total, 0);
+    while (Number.isFinite(saplings) && saplings > 0 && scheduleCost(saplings) > budgetTotal) saplings -= 1;
+    limitedBy = 'total';
+  }
+  if (!Number.isFinite(saplings)) saplings = 0;
+
+  const plan = describeProgramme(inputs, assumptions, Math.floor(saplings * survivalRate), saplings);
+  const spend = limitedBy === 'total' ? plan.phases.reduce((sum, phase) => sum + phase.total, 0) : plan.investment;
+  const available = limitedBy === 'total' ? total : capex ?? 0;
+
+  return {
+    ...plan,
+    budget: { total, capex, annualMaintenance },
+    spend,
+    unspent: Math.max(0, available - spend),
+    limitedBy,
+    coverage: coverageOf(plan.trees, inputs, overrides),
+  };
+}
+
+/**
+ * What a programme is sized by: the AQI, a tree count or a budget
+ * @typedef {Object} Planning
+ * @property {'need'|'trees'|'budget'} mode
+ * @property {number|null} trees - Trees to establish, for "trees"
+ * @property {boolean} split - Separate planting and maintenance budgets, for "budget"
+ * @property {number|null} total - ₹ for everything, for an unsplit budget
+ * @property {number|null} capex - ₹ for planting, for a split budget
+ * @property {number|null} annualMaintenance - ₹ per year, for a split budget
+ */
+export const DEFAULT_PLANNING = {
+  mode: 'need',
+  trees: null,
+  split: false,
+  total: null,
+  capex: null,
+  annualMaintenance: null,
+};
+
+/**
+ * The budget argument for computeBudgetPlan
+ * @param {Planning} planning
+ * @returns {Object|null} Null unless planning by a budget that has been entered
+ */
+export function planningBudget(planning) {
+  if (planning.mode !== 'budget') return null;
+  if (planning.split) {
+    return planning.capex !== null ? { capex: planning.capex, annualMaintenance: planning.annualMaintenance } : null;
+  }
+  return planning.total !== null ? { total: planning.total } : null;
+}
+
+/**
+ * Size a programme the way `planning` says, falling back to the AQI while its inputs are empty
+ * @param {Object} inputs - As for computePlantingImpact
+ * @param {Planning} planning
+ * @param {Object} [overrides] - Assumption overrides (see DEFAULT_ASSUMPTIONS)
+ * @returns {Object} computePlantingImpact, computeTreeCountPlan or computeBudgetPlan result
+ */
+export function computePlan(inputs, planning, overrides = {}) {
+  const budget = planningBudget(planning);
+  if (budget) return computeBudgetPlan(inputs, budget, overrides);
+  if (planning.mode === 'trees' && planning.trees !== null) return computeTreeCountPlan(inputs, planning.trees, overrides);
+  return computePlantingImpact(inputs, overrides);
+}
+
+/**
+ * Cost-effectiveness of a programme
+ * The cost is everything in its phased spend: planting plus maintenance over the budget horizon.
+ * @param {Object} impact - computePlan result
+ * @returns {{totalCost: number, aqiReduction: number, costPerAQIPoint: number|null,
+ *   costPerTonCO2: number|null}} Costs in ₹; null where nothing is reduced or sequestered
+ */
+export function costEffectiveness(impact) {
+  const totalCost = impact.phases.reduce((sum, phase) => sum + phase.total, 0);
+  const aqiReduction = impact.before.aqi - impact.after.aqi;
+  return {
+    totalCost,
+    aqiReduction,
+    costPerAQIPoint: aqiReduction > 0 ? Math.round(totalCost / aqiReduction) : null,
+    costPerTonCO2: impact.lifetimeCarbon > 0 ? Math.round(totalCost / impact.lifetimeCarbon) : null,
+  };
+}
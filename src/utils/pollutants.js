@@ -0,0 +1,180 @@
+/**
+ * Pollutant Values
+ * Typed pollutant readings: every value records its unit and whether it is an index or a
+ * concentration. AQICN (and the offline fixtures) report US EPA sub-indices, OpenWeather reports
+ * μg/m³ for every pollutant including CO, and OpenAQ reports whatever unit each sensor uses.
+ *
+ * A value is { value, unit, kind, estimated? }:
+ *   - kind "index": unit is INDEX_UNIT, the value a US EPA sub-index
+ *   - kind "concentration": unit is "μg/m³", "mg/m³", "ppb" or "ppm"
+ *   - estimated: the value was derived from an index rather than measured
+ */
+
+import {
+  EPA_BREAKPOINTS,
+  concentrationToSubIndex,
+  convertConcentration,
+  subIndexToConcentration,
+} from './aqiCalculator';
+
+export const POLLUTANT_KEYS = ['pm25', 'pm10', 'co', 'no2', 'so2', 'o3'];
+
+export const INDEX_UNIT = 'AQI';
+
+const UNITS = {
+  'μg/m³': 'μg/m³',
+  'µg/m³': 'μg/m³',
+  'ug/m3': 'μg/m³',
+  'mg/m³': 'mg/m³',
+  'mg/m3': 'mg/m³',
+  ppb: 'ppb',
+  ppm: 'ppm',
+};
+
+/**
+ * Display unit sets for the pollutant card, exports and prompts
+ * "reported" keeps each value as the provider sent it.
+ */
+export const UNIT_SYSTEMS = {
+  reported: { label: 'As reported', units: null },
+  metric: {
+    label: 'μg/m³',
+    units: { pm25: 'μg/m³', pm10: 'μg/m³', co: 'mg/m³', no2: 'μg/m³', so2: 'μg/m³', o3: 'μg/m³' },
+  },
+  epa: {
+    label: 'ppb / ppm',
+    units: { pm25: 'μg/m³', pm10: 'μg/m³', co: 'ppm', no2: 'ppb', so2: 'ppb', o3: 'ppb' },
+  },
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Canonical spelling of a concentration unit
+ * @param {string} unit - e.g. "µg/m³", "ug/m3", "PPM"
+ * @returns {string|null} "μg/m³", "mg/m³", "ppb", "ppm", or null when unknown
+ */
+export function canonicalUnit(unit) {
+  if (!unit) return null;
+  return UNITS[String(unit).trim()] || UNITS[String(unit).trim().toLowerCase()] || null;
+}
+
+/**
+ * A US EPA sub-index value
+ * @param {number} value
+ * @returns {Object|null} Null when the value is missing
+ */
+export function indexValue(value) {
+  return isNumber(value) ? { value, unit: INDEX_UNIT, kind: 'index' } : null;
+}
+
+/**
+ * A concentration value
+ * @param {number} value
+ * @param {string} unit - Any spelling canonicalUnit understands
+ * @returns {Object|null} Null when the value is missing or the unit unknown
+ */
+export function concentrationValue(value, unit) {
+  const canonical = canonicalUnit(unit);
+  return isNumber(value) && canonical ? { value, unit: canonical, kind: 'concentration' } : null;
+}
+
+/**
+ * Typed values for every pollutant from US EPA sub-indices
+ * @param {Object} subIndices - { pm25, pm10, ... }
+ * @returns {Object} { pm25, pm10, co, no2, so2, o3 } values or null
+ */
+export function pollutantIndices(subIndices = {}) {
+  return Object.fromEntries(POLLUTANT_KEYS.map((pollutant) => [pollutant, indexValue(subIndices[pollutant])]));
+}
+
+/**
+ * Typed values for every pollutant from concentrations
+ * @param {Object} values - { pm25, pm10, ... }
+ * @param {string|Object} units - One unit for all, or a unit per pollutant
+ * @returns {Object} { pm25, pm10, co, no2, so2, o3 } values or null
+ */
+export function pollutantConcentrations(values = {}, units) {
+  return Object.fromEntries(POLLUTANT_KEYS.map((pollutant) => [
+    pollutant,
+    concentrationValue(values[pollutant], typeof units === 'string' ? units : units?.[pollutant]),
+  ]));
+}
+
+/**
+ * Convert a pollutant value to another unit (or to a US EPA sub-index with INDEX_UNIT)
+ * Indices become concentrations through the EPA breakpoints and are marked `estimated`.
+ * @param {string} pollutant - "pm25", "pm10", "co", "no2", "so2" or "o3"
+ * @param {Object|null} reading - Typed value
+ * @param {string} toUnit - Target unit
+ * @param {Object} [options]
+ * @param {number} [options.temperature=25] - Air temperature in °C for ppb ↔ μg/m³
+ * @returns {Object|null} Typed value, or null when the conversion isn't possible
+ */
+export function convertPollutantValue(pollutant, reading, toUnit, { temperature = 25 } = {}) {
+  if (!reading) return null;
+  const epaUnit = EPA_BREAKPOINTS[pollutant]?.unit;
+
+  if (toUnit === INDEX_UNIT) {
+    if (reading.kind === 'index') return reading;
+    const epaValue = convertConcentration(pollutant, reading.value, reading.unit, epaUnit, { temperature });
+    const subIndex = concentrationToSubIndex(pollutant, epaValue);
+    return subIndex === null ? null : { ...indexValue(subIndex), estimated: true };
+  }
+
+  const unit = canonicalUnit(toUnit);
+  if (!unit) return null;
+
+  if (reading.kind === 'index') {
+    // EPA breakpoints are defined at 25 °C; only the step to the target unit uses the air temperature
+    const epaValue = subIndexToConcentration(pollutant, reading.value);
+    const value = convertConcentration(pollutant, epaValue, epaUnit, unit, { temperature });
+    return value === null ? null : { value, unit, kind: 'concentration', estimated: true };
+  }
+
+  const value = convertConcentration(pollutant, reading.value, reading.unit, unit, { temperature });
+  return value === null ? null : { ...reading, value, unit };
+}
+
+/**
+ * A pollutant value in a unit system (see UNIT_SYSTEMS)
+ * @param {string} pollutant
+ * @param {Object|null} reading - Typed value
+ * @param {string} systemId - "reported", "metric" or "epa"
+ * @param {Object} [options] - { temperature }
+ * @returns {Object|null}
+ */
+export function inUnitSystem(pollutant, reading, systemId, options) {
+  const units = UNIT_SYSTEMS[systemId]?.units;
+  if (!reading || !units) return reading;
+  return convertPollutantValue(pollutant, reading, units[pollutant], options);
+}
+
+function roundFor(value, unit) {
+  if (unit === INDEX_UNIT) return Math.round(value);
+  const decimals = Math.abs(value) < 10 ? 2 : Math.abs(value) < 100 ? 1 : 0;
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Format a pollutant value for display
+ * @param {Object|null} reading - Typed value
+ * @returns {string} e.g. "42.1 μg/m³", "≈0.85 ppm", "178 AQI" or "N/A"
+ */
+export function formatPollutantValue(reading) {
+  if (!reading) return 'N/A';
+  return `${reading.estimated ? '≈' : ''}${roundFor(reading.value, reading.unit)} ${reading.unit}`;
+}
+
+/**
+ * Describe a pollutant value unambiguously for the AI prompt
+ * @param {Object|null} reading - Typed value
+ * @returns {string} e.g. "178 (US EPA sub-index, not a concentration)"
+ */
+export function describePollutantValue(reading) {
+  if (!reading) return 'N/A';
+  if (reading.kind === 'index') return `${roundFor(reading.value, INDEX_UNIT)} (US EPA sub-index, not a concentration)`;
+  return `${formatPollutantValue(reading)} (${reading.estimated ? 'estimated from the sub-index' : 'measured concentration'})`;
+}
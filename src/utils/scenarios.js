@@ -0,0 +1,101 @@
+/**
+ * Planting Scenarios
+ * Named planting plans saved per city in localStorage, so options can be compared side by side.
+ * A scenario keeps its inputs (species, planning and assumptions) rather than its figures; the
+ * comparison recomputes them against the city's current reading so every scenario is measured alike.
+ */
+
+import { DEFAULT_PLANNING } from './plantingImpact';
+
+const STORAGE_KEY = 'planting-scenarios';
+
+function storage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    // Access to localStorage can throw (e.g., disabled cookies, sandboxed iframes)
+    return null;
+  }
+}
+
+function readAll() {
+  try {
+    const stored = JSON.parse(storage()?.getItem(STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(scenariosByCity) {
+  try {
+    storage()?.setItem(STORAGE_KEY, JSON.stringify(scenariosByCity));
+  } catch {
+    // Storage can be full or unavailable; the scenarios then last for this session only
+  }
+}
+
+function cityKey(city) {
+  return city.trim().toLowerCase();
+}
+
+/**
+ * Scenarios saved for a city, oldest first
+ * @param {string} city
+ * @returns {Array<{id: string, name: string, city: string, savedAt: number, aqi: number,
+ *   species: string[], planning: Object, assumptions: Object}>}
+ *   `aqi` is the reading the scenario was saved at, for reference
+ */
+export function loadScenarios(city) {
+  const scenarios = readAll()[cityKey(city)];
+  if (!Array.isArray(scenarios)) return [];
+  return scenarios
+    .filter((scenario) => scenario?.id && scenario.name)
+    .map((scenario) => ({
+      ...scenario,
+      species: Array.isArray(scenario.species) ? scenario.species : [],
+      planning: { ...DEFAULT_PLANNING, ...scenario.planning },
+      assumptions: scenario.assumptions || {},
+    }));
+}
+
+/**
+ * Save a scenario for a city, replacing one with the same name
+ * @param {string} city
+ * @param {Object} scenario - { name, aqi, species, planning, assumptions }
+ * @returns {Array} The city's scenarios after saving
+ */
+export function saveScenario(city, { name, aqi, species, planning, assumptions }) {
+  const all = readAll();
+  const key = cityKey(city);
+  const trimmed = name.trim();
+  const scenarios = (Array.isArray(all[key]) ? all[key] : []).filter((scenario) => scenario.name !== trimmed);
+  scenarios.push({
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+    name: trimmed,
+    city,
+    savedAt: Date.now(),
+    aqi,
+    species,
+    planning,
+    assumptions,
+  });
+  all[key] = scenarios;
+  writeAll(all);
+  return loadScenarios(city);
+}
+
+/**
+ * Delete a saved scenario
+ * @param {string} city
+ * @param {string} id
+ * @returns {Array} The city's scenarios after deleting
+ */
+export function deleteScenario(city, id) {
+  const all = readAll();
+  const key = cityKey(city);
+  all[key] = (Array.isArray(all[key]) ? all[key] : []).filter((scenario) => scenario.id !== id);
+  if (all[key].length === 0) delete all[key];
+  writeAll(all);
+  return loadScenarios(city);
+}
@@ -0,0 +1,231 @@
+/**
+ * Source Attribution
+ * Heuristic estimate of the dominant pollution sources (traffic, dust, biomass burning, industry)
+ * from pollutant ratios and patterns: the PM2.5/PM10 ratio, NO2 against CO, SO2 levels and spikes,
+ * and O3 against the time of day. The current reading is combined with its neighbouring stations
+ * so one odd monitor doesn't decide the answer.
+ *
+ * Works from US EPA sub-indices (every provider supplies them) inverted back to concentrations:
+ * PM in μg/m³, O3/NO2/SO2 in ppb, CO in ppm.
+ */
+
+import { subIndexToConcentration } from './aqiCalculator';
+import { localHour } from './forecastSeries';
+
+export const SOURCE_LABELS = {
+  traffic: 'Traffic',
+  dust: 'Dust',
+  biomass: 'Biomass burning',
+  industry: 'Industry',
+};
+
+// Below this score a source isn't reported as likely
+const MIN_SOURCE_SCORE = 0.25;
+const POLLUTANTS = ['pm25', 'pm10', 'o3', 'no2', 'so2', 'co'];
+const RUSH_HOURS = [7, 8, 9, 10, 17, 18, 19, 20, 21];
+const AFTERNOON_HOURS = [11, 12, 13, 14, 15, 16, 17];
+
+// 0 at `low`, 1 at `high`, linear in between
+function ramp(value, low, high) {
+  if (!Number.isFinite(value)) return 0;
+  return Math.min(1, Math.max(0, (value - low) / (high - low)));
+}
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, decimals = 0) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Concentrations behind a set of US EPA sub-indices
+ * @param {Object} subIndices - { pm25, pm10, ... }
+ * @returns {Object} { pm25, pm10, ... } in the EPA tables' units; missing pollutants are left out
+ */
+export function subIndicesToConcentrations(subIndices = {}) {
+  const concentrations = {};
+  POLLUTANTS.forEach((pollutant) => {
+    const concentration = subIndexToConcentration(pollutant, subIndices[pollutant]);
+    if (concentration !== null) concentrations[pollutant] = concentration;
+  });
+  return concentrations;
+}
+
+/**
+ * Ratios and levels the heuristics look at
+ * @param {Object} concentrations - subIndicesToConcentrations result
+ * @returns {{pmRatio: number|null, coToNo2: number|null, so2ToNo2: number|null}}
+ *   `coToNo2` compares both in ppb
+ */
+export function sourceIndicators({ pm25, pm10, no2, so2, co }) {
+  return {
+    pmRatio: Number.isFinite(pm25) && pm10 > 0 ? pm25 / pm10 : null,
+    coToNo2: Number.isFinite(co) && no2 > 0 ? (co * 1000) / no2 : null,
+    so2ToNo2: Number.isFinite(so2) && no2 > 0 ? so2 / no2 : null,
+  };
+}
+
+/**
+ * Score each source for one set of concentrations
+ * @param {Object} concentrations - subIndicesToConcentrations result
+ * @param {number|null} hour - Local hour of the reading
+ * @returns {{scores: Object, evidence: Object}} scores 0–1 and explanations keyed by source
+ */
+function scoreSources(concentrations, hour) {
+  const { pm25, pm10, o3, no2, so2, co } = concentrations;
+  const { pmRatio, coToNo2, so2ToNo2 } = sourceIndicators(concentrations);
+  const scores = { traffic: 0, dust: 0, biomass: 0, industry: 0 };
+  const evidence = { traffic: [], dust: [], biomass: [], industry: [] };
+
+  if (pmRatio !== null) {
+    const percent = Math.round(pmRatio * 100);
+
+    scores.dust = ramp(0.55 - pmRatio, 0, 0.2) * ramp(pm10, 40, 150);
+    if (scores.dust > 0) {
+      evidence.dust.push(
+        `PM2.5 is only ${percent}% of PM10 (${round(pm10)} μg/m³): coarse particles dominate, typical of road, construction and wind-blown dust.`
+      );
+    }
+
+    // Fine combustion particles, strongest with carbon monoxide and little NO2
+    const smoke = Math.max(ramp(co, 0.8, 3), ramp(coToNo2, 40, 100));
+    scores.biomass = ramp(pmRatio, 0.55, 0.75) * ramp(pm25, 25, 100) * (0.5 + 0.5 * smoke);
+    if (scores.biomass > 0) {
+      evidence.biomass.push(
+        `PM2.5 is ${percent}% of PM10 at ${round(pm25)} μg/m³${Number.isFinite(co) ? ` with CO at ${round(co, 1)} ppm` : ''}: fine smoke particles from burning crop residue, wood or waste.`
+      );
+    }
+  }
+
+  if (Number.isFinite(no2)) {
+    // Vehicle exhaust carries NO2 with a moderate CO/NO2 ratio; burning has far more CO
+    const exhaustRatio = coToNo2 === null ? 0.8 : coToNo2 >= 5 && coToNo2 <= 40 ? 1 : 0.6;
+    const rushHour = hour !== null && RUSH_HOURS.includes(hour) ? 1 : 0;
+    scores.traffic = ramp(no2, 10, 40) * exhaustRatio * (0.8 + 0.2 * rushHour);
+    if (scores.traffic > 0) {
+      evidence.traffic.push(
+        `NO2 at ${round(no2)} ppb${coToNo2 !== null ? ` with a CO/NO2 ratio of ${round(coToNo2)}` : ''}${rushHour ? ' during rush hour' : ''}: the signature of vehicle exhaust.`
+      );
+    }
+
+    // Fresh exhaust near the monitor eats up ozone (NO titration)
+    if (Number.isFinite(o3) && o3 < 20 && no2 > 25 && hour !== null && !AFTERNOON_HOURS.includes(hour)) {
+      scores.traffic = Math.min(1, scores.traffic + 0.1);
+      evidence.traffic.push(`Low O3 (${round(o3)} ppb) alongside high NO2 outside the afternoon: fresh exhaust close to the monitors.`);
+    }
+  }
+
+  // Afternoon ozone is photochemical smog formed from vehicle and industrial emissions
+  if (Number.isFinite(o3) && o3 > 50 && hour !== null && AFTERNOON_HOURS.includes(hour)) {
+    scores.traffic = Math.min(1, scores.traffic + 0.15);
+    scores.industry = Math.min(1, scores.industry + 0.05);
+    evidence.traffic.push(`O3 at ${round(o3)} ppb in the afternoon: photochemical smog formed from exhaust and industrial emissions in sunlight.`);
+  }
+
+  if (Number.isFinite(so2)) {
+    const level = ramp(so2, 5, 30) * (so2ToNo2 === null || so2ToNo2 > 0.5 ? 1 : 0.7);
+    scores.industry = Math.min(1, scores.industry + level);
+    if (level > 0) {
+      evidence.industry.push(
+        `SO2 at ${round(so2)} ppb${so2ToNo2 !== null ? ` (${round(so2ToNo2, 1)}× NO2)` : ''}: coal and fuel-oil combustion at power plants, factories and brick kilns.`
+      );
+    }
+  }
+
+  return { scores, evidence };
+}
+
+function topSource(scores) {
+  const [id, score] = Object.entries(scores).reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+  return score >= MIN_SOURCE_SCORE ? id : null;
+}
+
+/**
+ * Classify the probable dominant pollution sources for a reading and its neighbouring stations
+ * @param {Object} inputs
+ * @param {Object} inputs.reading - { subIndices, observedAt?, timezoneOffset? } on the US EPA scale
+ * @param {Array<{uid: *, name: string, subIndices: Object}>} [inputs.neighbours] - Nearby station readings
+ * @returns {{sources: Array<{id: string, label: string, score: number, confidence: string, evidence: string[]}>,
+ *   dominant: Object|null, concentrations: Object, indicators: Object, hour: number|null,
+ *   siteCount: number, missing: string[], summary: string}}
+ *   `sources` is sorted by score and only lists sources scoring at least MIN_SOURCE_SCORE;
+ *   `concentrations` are medians across the sites
+ */
+export function attributeSources({ reading, neighbours = [] }) {
+  const hour = Number.isFinite(reading.observedAt)
+    ? localHour(reading.observedAt, reading.timezoneOffset ?? 0)
+    : null;
+
+  const sites = [{ uid: 'primary', name: 'Main station', subIndices: reading.subIndices || {} }, ...neighbours]
+    .map((site) => ({ ...site, concentrations: subIndicesToConcentrations(site.subIndices) }))
+    .filter((site) => Object.keys(site.concentrations).length > 0);
+
+  const concentrations = {};
+  POLLUTANTS.forEach((pollutant) => {
+    const value = median(sites.map((site) => site.concentrations[pollutant]));
+    if (value !== null) concentrations[pollutant] = value;
+  });
+  const missing = POLLUTANTS.filter((pollutant) => !(pollutant in concentrations));
+
+  const { scores, evidence } = scoreSources(concentrations, hour);
+
+  // An SO2 spike at one station points to a point source next to it
+  const so2Spike = sites.length >= 3
+    ? sites.find((site) => site.concentrations.so2 > 10 && site.concentrations.so2 >= 2 * concentrations.so2)
+    : null;
+  if (so2Spike) {
+    scores.industry = Math.min(1, scores.industry + 0.2);
+    // A zero median has no meaningful ratio
+    const comparison = concentrations.so2 > 0
+      ? `${round(so2Spike.concentrations.so2 / concentrations.so2, 1)}× the area median`
+      : `${round(so2Spike.concentrations.so2)} ppb against an area median of 0 ppb`;
+    evidence.industry.push(
+      `SO2 at ${so2Spike.name} is ${comparison}: likely an industrial source near that station.`
+    );
+  }
+
+  // Confidence rises with the score, with neighbours that agree and with complete data
+  const tops = sites.map((site) => topSource(scoreSources(site.concentrations, hour).scores));
+  const completeness = 1 - missing.length / POLLUTANTS.length;
+  const sources = Object.entries(scores)
+    .filter(([, score]) => score >= MIN_SOURCE_SCORE)
+    .map(([id, score]) => {
+      const agreement = tops.length > 0 ? tops.filter((top) => top === id).length / tops.length : 0;
+      const weight = score * 0.6 + agreement * 0.25 + completeness * 0.15;
+      return {
+        id,
+        label: SOURCE_LABELS[id],
+        score: round(score, 2),
+        confidence: weight >= 0.65 ? 'high' : weight >= 0.4 ? 'medium' : 'low',
+        evidence: evidence[id],
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const dominant = sources[0] || null;
+  let summary;
+  if (sites.length === 0) {
+    summary = 'No pollutant breakdown is available, so sources cannot be estimated.';
+  } else if (!dominant) {
+    summary = 'No source stands out: pollutant levels and ratios are unremarkable.';
+  } else {
+    summary = `Most likely source: ${dominant.label.toLowerCase()} (${dominant.confidence} confidence). ${dominant.evidence[0]}`;
+  }
+
+  return {
+    sources,
+    dominant,
+    concentrations,
+    indicators: sourceIndicators(concentrations),
+    hour,
+    siteCount: sites.length,
+    missing,
+    summary,
+  };
+}
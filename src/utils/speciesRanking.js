@@ -0,0 +1,184 @@
+/**
+ * Species Ranking
+ * Picks a species mix from the bundled knowledge base (see treeSpecies.js) for a city: species must
+ * suit its climate zone, and are ranked by how well they take up the pollutants that dominate there,
+ * whether they are native, how fast they establish, their canopy and how their water needs fit.
+ *
+ * The climate zone comes from the location alone. The current temperature and humidity carry a small
+ * weight, favouring species with low water needs in hot or dry weather, so the day's weather only
+ * reorders closely scored species. The knowledge base covers India: locations outside every native
+ * region are reported as not covered.
+ */
+
+import { CLIMATE_REGIONS, CLIMATE_ZONES, NATIVE_REGIONS, TREE_SPECIES } from './treeSpecies';
+
+const RATINGS = ['pm', 'no2', 'o3', 'so2'];
+const RATING_LABELS = { pm: 'particle capture', no2: 'NO₂ tolerance', o3: 'O₃ tolerance', so2: 'SO₂ tolerance' };
+
+// Share of the score each criterion carries
+const SCORE_WEIGHTS = {
+  pollutants: 0.5,
+  native: 0.2,
+  growth: 0.1,
+  canopy: 0.1,
+  water: 0.05,
+  weather: 0.05,
+};
+const GROWTH_SCORES = { fast: 1, medium: 0.6, slow: 0.3 };
+const MAX_CANOPY = 25;
+// Subtracted from species outside the climate zone when too few species suit it
+const CLIMATE_PENALTY = 0.3;
+
+// Which ratings each dominant pollutant and pollution source calls for
+const POLLUTANT_NEEDS = {
+  pm25: { pm: 2 },
+  pm10: { pm: 2 },
+  no2: { no2: 2 },
+  o3: { o3: 2 },
+  so2: { so2: 2 },
+  co: { pm: 1, no2: 1 },
+};
+const SOURCE_NEEDS = {
+  traffic: { no2: 1.5, pm: 0.5 },
+  dust: { pm: 1.5 },
+  biomass: { pm: 1.5, o3: 0.5 },
+  industry: { so2: 1.5 },
+};
+
+function inBoxes(boxes, { lat, lon }) {
+  return boxes.some(([south, west, north, east]) => lat >= south && lat <= north && lon >= west && lon <= east);
+}
+
+/**
+ * Climate zone of a location (see CLIMATE_REGIONS)
+ * @param {{lat: number, lon: number}} coordinates
+ * @returns {string} CLIMATE_ZONES key
+ */
+export function climateZone(coordinates) {
+  const region = CLIMATE_REGIONS.find(({ boxes }) => inBoxes(boxes, coordinates));
+  if (region) return region.zone;
+  return Math.abs(coordinates.lat) < 23.5 ? 'tropical-dry' : 'subtropical';
+}
+
+/**
+ * Native regions a location falls in
+ * @param {{lat: number, lon: number}} coordinates
+ * @returns {string[]} NATIVE_REGIONS keys
+ */
+export function nativeRegionsAt(coordinates) {
+  return Object.entries(NATIVE_REGIONS)
+    .filter(([, region]) => inBoxes(region.boxes, coordinates))
+    .map(([id]) => id);
+}
+
+/**
+ * Weight of each rating for a pollutant profile, adding up to 1
+ * @param {string|null} dominantPollutant
+ * @param {Array<{id: string, score: number}>} [sources] - attributeSources result `sources`
+ * @returns {{pm: number, no2: number, o3: number, so2: number}}
+ */
+export function ratingWeights(dominantPollutant, sources = []) {
+  // Every species should filter particles and cope with traffic gases to some degree
+  const weights = { pm: 1, no2: 0.5, o3: 0.5, so2: 0.5 };
+  const add = (needs, factor = 1) => {
+    Object.entries(needs).forEach(([rating, weight]) => {
+      weights[rating] += weight * factor;
+    });
+  };
+
+  if (POLLUTANT_NEEDS[dominantPollutant]) add(POLLUTANT_NEEDS[dominantPollutant]);
+  sources.forEach((source) => {
+    if (SOURCE_NEEDS[source.id]) add(SOURCE_NEEDS[source.id], source.score);
+  });
+
+  const total = RATINGS.reduce((sum, rating) => sum + weights[rating], 0);
+  return Object.fromEntries(RATINGS.map((rating) => [rating, weights[rating] / total]));
+}
+
+function waterScore(waterNeeds, zone) {
+  if (zone === 'arid') return { low: 1, medium: 0.4, high: 0 }[waterNeeds];
+  if (zone === 'tropical-dry') return { low: 1, medium: 0.8, high: 0.4 }[waterNeeds];
+  return 1;
+}
+
+// How well a species copes with the current weather: thirsty species suffer in heat or dry air
+function weatherScore(waterNeeds, dryWeather) {
+  return dryWeather ? { low: 1, medium: 0.5, high: 0 }[waterNeeds] : 1;
+}
+
+function scoreSpecies(species, { zone, regions, weights, dryWeather }) {
+  const suited = species.climateZones.includes(zone);
+  const native = species.nativeRange.some((region) => regions.includes(region));
+  const pollutantFit = RATINGS.reduce((sum, rating) => sum + weights[rating] * (species[rating] / 5), 0);
+
+  const score = SCORE_WEIGHTS.pollutants * pollutantFit
+    + SCORE_WEIGHTS.native * (native ? 1 : 0)
+    + SCORE_WEIGHTS.growth * GROWTH_SCORES[species.growthRate]
+    + SCORE_WEIGHTS.canopy * Math.min(1, species.canopy / MAX_CANOPY)
+    + SCORE_WEIGHTS.water * waterScore(species.waterNeeds, zone)
+    + SCORE_WEIGHTS.weather * weatherScore(species.waterNeeds, dryWeather)
+    - (suited ? 0 : CLIMATE_PENALTY);
+
+  // The ratings that matter most here, where the species is strong
+  const topRatings = [...RATINGS].sort((a, b) => weights[b] - weights[a]).slice(0, 2);
+  const reasons = [
+    suited ? `Suits the ${CLIMATE_ZONES[zone].toLowerCase()} climate` : `Not usually grown in a ${CLIMATE_ZONES[zone].toLowerCase()} climate`,
+    ...topRatings
+      .filter((rating) => species[rating] >= 4)
+      .map((rating) => `High ${RATING_LABELS[rating]} (${species[rating]}/5)`),
+  ];
+  if (native) {
+    const region = species.nativeRange.find((id) => regions.includes(id));
+    reasons.push(`Native to ${NATIVE_REGIONS[region].label}`);
+  }
+  if (species.growthRate === 'fast') reasons.push('Fast growing');
+  if (species.waterNeeds === 'low' && (zone === 'arid' || zone === 'tropical-dry')) {
+    reasons.push('Low water needs');
+  } else if (species.waterNeeds === 'low' && dryWeather) {
+    reasons.push('Low water needs for the current hot or dry weather');
+  }
+
+  return { species, score: Math.round(score * 1000) / 1000, suited, native, reasons };
+}
+
+/**
+ * Rank the bundled species for a city and pick a mix
+ * Species outside the climate zone are only ranked in when fewer than `count` suit it. Hot or dry
+ * weather (humidity below 45% or 35 °C and above) lowers the score of thirsty species.
+ * @param {Object} inputs
+ * @param {{lat: number, lon: number}|null} inputs.coordinates
+ * @param {number|null} [inputs.temp] - °C
+ * @param {number|null} [inputs.humidity] - %
+ * @param {string|null} [inputs.dominantPollutant]
+ * @param {Array<{id: string, score: number}>} [inputs.sources] - Likely pollution sources
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - Species in the mix
+ * @returns {{zone: string, regions: string[], covered: boolean, weights: Object,
+ *   ranked: Array<{species: Object, score: number, suited: boolean, native: boolean, reasons: string[]}>,
+ *   mix: string[]}} `mix` holds the names of the top `count` species; `covered` is false when the
+ *   location is unknown or outside the knowledge base's regions, so the mix is no local recommendation
+ */
+export function rankSpecies({ coordinates, temp = null, humidity = null, dominantPollutant = null, sources = [] }, { count = 5 } = {}) {
+  const located = Boolean(coordinates && Number.isFinite(coordinates.lat) && Number.isFinite(coordinates.lon));
+  // Without coordinates, rank for the central Indian plains (reported as not covered)
+  const location = located ? coordinates : { lat: 23, lon: 78 };
+  const context = {
+    zone: climateZone(location),
+    regions: located ? nativeRegionsAt(location) : [],
+    weights: ratingWeights(dominantPollutant, sources),
+  };
+  const dryWeather = (humidity !== null && humidity < 45) || (temp !== null && temp >= 35);
+
+  const scored = TREE_SPECIES.map((species) => scoreSpecies(species, { ...context, dryWeather }));
+  const suitedCount = scored.filter((entry) => entry.suited).length;
+  const ranked = scored
+    .filter((entry) => entry.suited || suitedCount < count)
+    .sort((a, b) => b.score - a.score);
+
+  return {
+    ...context,
+    covered: context.regions.length > 0,
+    ranked,
+    mix: ranked.slice(0, count).map((entry) => entry.species.name),
+  };
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { rankSpecies } from './speciesRanking';
+
+// Mumbai: tropical humid, in the knowledge base's regions
+const MUMBAI = { lat: 19.07, lon: 72.87 };
+
+describe('rankSpecies', () => {
+  it('ranks the same mix in mild weather as without weather', () => {
+    const withoutWeather = rankSpecies({ coordinates: MUMBAI, dominantPollutant: 'pm25' });
+    const mild = rankSpecies({ coordinates: MUMBAI, dominantPollutant: 'pm25', temp: 28, humidity: 80 });
+
+    expect(withoutWeather.zone).toBe('tropical-humid');
+    expect(mild.mix).toEqual(withoutWeather.mix);
+  });
+
+  it('scores thirsty species lower in hot, dry weather', () => {
+    const mild = rankSpecies({ coordinates: MUMBAI, dominantPollutant: 'pm25', temp: 28, humidity: 80 });
+    const dry = rankSpecies({ coordinates: MUMBAI, dominantPollutant: 'pm25', temp: 40, humidity: 30 });
+    const score = (ranking, name) => ranking.ranked.find((entry) => entry.species.name === name).score;
+
+    expect(score(dry, 'Neem')).toBe(score(mild, 'Neem'));
+    expect(score(dry, 'Peepal')).toBeLessThan(score(mild, 'Peepal'));
+    expect(mild.mix.slice(0, 3)).toEqual(['Banyan', 'Peepal', 'Neem']);
+    expect(dry.mix.slice(0, 3)).toEqual(['Banyan', 'Neem', 'Peepal']);
+  });
+
+  it('reports locations outside the knowledge base as not covered', () => {
+    expect(rankSpecies({ coordinates: { lat: 51.5, lon: -0.13 } }).covered).toBe(false);
+    expect(rankSpecies({ coordinates: null }).covered).toBe(false);
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tree Species
+ * Bundled knowledge base of urban planting species for Indian cities, the only species the
+ * recommendations may suggest.
+ *
+ * Ratings are 1 (poor) to 5 (excellent) and are indicative, compiled from Air Pollution Tolerance
+ * Index (APTI) and urban forestry studies: `pm` is how well the foliage captures particles,
+ * `no2`, `o3` and `so2` how well the tree tolerates (and keeps taking up) that gas. `sequestration`
+ * is tonnes of CO2 per grown tree per year, `canopy` the mature crown diameter in metres and `cost`
+ * the ₹ to plant one sapling (sapling, pit, guard and first-year care) at nursery rates.
+ */
+
+// Climate zones a species grows in (see speciesRanking.climateZone)
+export const CLIMATE_ZONES = {
+  'tropical-humid': 'Tropical humid',
+  'tropical-dry': 'Tropical dry',
+  subtropical: 'Subtropical',
+  arid: 'Arid / semi-arid',
+  montane: 'Montane',
+};
+
+// Native ranges as [south, west, north, east] boxes in degrees
+export const NATIVE_REGIONS = {
+  himalaya: { label: 'the Himalaya', boxes: [[29.5, 72, 37, 81], [26.8, 81, 30, 97]] },
+  indoGangetic: { label: 'the Indo-Gangetic plain', boxes: [[21.5, 73, 30.5, 89]] },
+  thar: { label: 'the Thar desert', boxes: [[24, 69, 30.5, 76], [22.5, 68, 24, 71.5]] },
+  northeast: { label: 'North-east India', boxes: [[22, 89.5, 29.5, 97.5]] },
+  peninsular: { label: 'Peninsular India', boxes: [[8, 72, 23.5, 87.5]] },
+  westernGhats: { label: 'the Western Ghats', boxes: [[8, 73, 21, 77.5]] },
+};
+
+// Climate zones by location as [south, west, north, east] boxes, first match wins. Elsewhere the
+// zone follows latitude: tropical dry below the Tropic of Cancer, subtropical above it.
+export const CLIMATE_REGIONS = [
+  // Kashmir, the Himachal ranges, the Kumaon and Garhwal hills, Darjeeling and Sikkim, Arunachal
+  { zone: 'montane', boxes: [[33, 73.5, 37, 80], [31, 76.1, 33, 79], [29.3, 78.2, 31.5, 81], [26.9, 88, 28.2, 89], [27.5, 91.5, 29.5, 97.5]] },
+  // Western Rajasthan, south-west Haryana and Kutch
+  { zone: 'arid', boxes: [[24, 69, 30.5, 76], [22.5, 68, 24.5, 71.5]] },
+  // Konkan, Goa and Karnataka coast, Kerala, the Andaman and Nicobar islands
+  { zone: 'tropical-humid', boxes: [[15.5, 72.5, 21, 73.5], [12.5, 73.5, 15.5, 75], [8, 74.8, 12.5, 77.2], [6, 92, 14, 94]] },
+];
+
+export const TREE_SPECIES = [
+  {
+    id: 'neem',
+    name: 'Neem',
+    scientificName: 'Azadirachta indica',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical', 'arid'],
+    pm: 4, no2: 4, o3: 3, so2: 4,
+    growthRate: 'fast', canopy: 12, waterNeeds: 'low',
+    sequestration: 0.025, cost: 3000,
+    nativeRange: ['indoGangetic', 'peninsular', 'thar'],
+  },
+  {
+    id: 'peepal',
+    name: 'Peepal',
+    scientificName: 'Ficus religiosa',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 4, no2: 4, o3: 4, so2: 3,
+    growthRate: 'fast', canopy: 15, waterNeeds: 'medium',
+    sequestration: 0.03, cost: 3500,
+    nativeRange: ['indoGangetic', 'peninsular', 'northeast'],
+  },
+  {
+    id: 'banyan',
+    name: 'Banyan',
+    scientificName: 'Ficus benghalensis',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 5, no2: 3, o3: 3, so2: 3,
+    growthRate: 'medium', canopy: 25, waterNeeds: 'medium',
+    sequestration: 0.035, cost: 5000,
+    nativeRange: ['indoGangetic', 'peninsular'],
+  },
+  {
+    id: 'arjun',
+    name: 'Arjun',
+    scientificName: 'Terminalia arjuna',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 4, no2: 4, o3: 3, so2: 3,
+    growthRate: 'medium', canopy: 15, waterNeeds: 'medium',
+    sequestration: 0.03, cost: 3500,
+    nativeRange: ['indoGangetic', 'peninsular'],
+  },
+  {
+    id: 'jamun',
+    name: 'Jamun',
+    scientificName: 'Syzygium cumini',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 4, no2: 3, o3: 3, so2: 2,
+    growthRate: 'medium', canopy: 12, waterNeeds: 'medium',
+    sequestration: 0.025, cost: 3000,
+    nativeRange: ['indoGangetic', 'peninsular', 'northeast', 'westernGhats'],
+  },
+  {
+    id: 'mango',
+    name: 'Mango',
+    scientificName: 'Mangifera indica',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 3, no2: 3, o3: 3, so2: 2,
+    growthRate: 'medium', canopy: 12, waterNeeds: 'medium',
+    sequestration: 0.025, cost: 3500,
+    nativeRange: ['peninsular', 'northeast', 'indoGangetic'],
+  },
+  {
+    id: 'saptaparni',
+    name: 'Saptaparni',
+    scientificName: 'Alstonia scholaris',
+    climateZones: ['tropical-humid', 'subtropical'],
+    pm: 4, no2: 4, o3: 3, so2: 3,
+    growthRate: 'fast', canopy: 10, waterNeeds: 'medium',
+    sequestration: 0.025, cost: 3000,
+    nativeRange: ['northeast', 'peninsular', 'westernGhats'],
+  },
+  {
+    id: 'karanj',
+    name: 'Karanj',
+    scientificName: 'Pongamia pinnata',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical', 'arid'],
+    pm: 3, no2: 4, o3: 3, so2: 4,
+    growthRate: 'fast', canopy: 10, waterNeeds: 'low',
+    sequestration: 0.02, cost: 2000,
+    nativeRange: ['peninsular', 'indoGangetic', 'westernGhats'],
+  },
+  {
+    id: 'shisham',
+    name: 'Shisham',
+    scientificName: 'Dalbergia sissoo',
+    climateZones: ['tropical-dry', 'subtropical', 'arid'],
+    pm: 3, no2: 4, o3: 3, so2: 4,
+    growthRate: 'fast', canopy: 12, waterNeeds: 'low',
+    sequestration: 0.025, cost: 2500,
+    nativeRange: ['indoGangetic', 'himalaya'],
+  },
+  {
+    id: 'amaltas',
+    name: 'Amaltas',
+    scientificName: 'Cassia fistula',
+    climateZones: ['tropical-dry', 'subtropical', 'arid'],
+    pm: 2, no2: 3, o3: 3, so2: 3,
+    growthRate: 'medium', canopy: 9, waterNeeds: 'low',
+    sequestration: 0.015, cost: 2000,
+    nativeRange: ['indoGangetic', 'peninsular'],
+  },
+  {
+    id: 'khejri',
+    name: 'Khejri',
+    scientificName: 'Prosopis cineraria',
+    climateZones: ['arid', 'tropical-dry'],
+    pm: 3, no2: 3, o3: 3, so2: 3,
+    growthRate: 'slow', canopy: 8, waterNeeds: 'low',
+    sequestration: 0.012, cost: 2000,
+    nativeRange: ['thar'],
+  },
+  {
+    id: 'babul',
+    name: 'Babul',
+    scientificName: 'Vachellia nilotica',
+    climateZones: ['arid', 'tropical-dry', 'subtropical'],
+    pm: 3, no2: 4, o3: 3, so2: 4,
+    growthRate: 'fast', canopy: 8, waterNeeds: 'low',
+    sequestration: 0.015, cost: 1500,
+    nativeRange: ['thar', 'indoGangetic', 'peninsular'],
+  },
+  {
+    id: 'mahua',
+    name: 'Mahua',
+    scientificName: 'Madhuca longifolia',
+    climateZones: ['tropical-dry', 'subtropical'],
+    pm: 4, no2: 3, o3: 3, so2: 3,
+    growthRate: 'slow', canopy: 15, waterNeeds: 'low',
+    sequestration: 0.025, cost: 3000,
+    nativeRange: ['peninsular', 'indoGangetic'],
+  },
+  {
+    id: 'teak',
+    name: 'Teak',
+    scientificName: 'Tectona grandis',
+    climateZones: ['tropical-humid', 'tropical-dry'],
+    pm: 3, no2: 3, o3: 2, so2: 3,
+    growthRate: 'medium', canopy: 12, waterNeeds: 'medium',
+    sequestration: 0.025, cost: 3000,
+    nativeRange: ['peninsular', 'westernGhats'],
+  },
+  {
+    id: 'ashoka',
+    name: 'Ashoka',
+    scientificName: 'Saraca asoca',
+    climateZones: ['tropical-humid'],
+    pm: 3, no2: 3, o3: 2, so2: 2,
+    growthRate: 'slow', canopy: 6, waterNeeds: 'high',
+    sequestration: 0.01, cost: 3000,
+    nativeRange: ['westernGhats', 'peninsular', 'northeast'],
+  },
+  {
+    id: 'kadamb',
+    name: 'Kadamb',
+    scientificName: 'Neolamarckia cadamba',
+    climateZones: ['tropical-humid', 'subtropical'],
+    pm: 3, no2: 3, o3: 3, so2: 2,
+    growthRate: 'fast', canopy: 12, waterNeeds: 'high',
+    sequestration: 0.03, cost: 2500,
+    nativeRange: ['northeast', 'peninsular', 'westernGhats'],
+  },
+  {
+    id: 'gulmohar',
+    name: 'Gulmohar',
+    scientificName: 'Delonix regia',
+    climateZones: ['tropical-humid', 'tropical-dry', 'subtropical'],
+    pm: 2, no2: 3, o3: 2, so2: 2,
+    growthRate: 'fast', canopy: 10, waterNeeds: 'low',
+    sequestration: 0.02, cost: 2500,
+    nativeRange: [],
+  },
+  {
+    id: 'kachnar',
+    name: 'Kachnar',
+    scientificName: 'Bauhinia variegata',
+    climateZones: ['subtropical', 'tropical-dry', 'montane'],
+    pm: 3, no2: 3, o3: 3, so2: 2,
+    growthRate: 'medium', canopy: 8, waterNeeds: 'medium',
+    sequestration: 0.015, cost: 2000,
+    nativeRange: ['himalaya', 'indoGangetic'],
+  },
+  {
+    id: 'deodar',
+    name: 'Deodar',
+    scientificName: 'Cedrus deodara',
+    climateZones: ['montane'],
+    pm: 4, no2: 3, o3: 3, so2: 2,
+    growthRate: 'slow', canopy: 10, waterNeeds: 'medium',
+    sequestration: 0.02, cost: 4000,
+    nativeRange: ['himalaya'],
+  },
+  {
+    id: 'banj-oak',
+    name: 'Banj Oak',
+    scientificName: 'Quercus leucotrichophora',
+    climateZones: ['montane'],
+    pm: 4, no2: 3, o3: 3, so2: 3,
+    growthRate: 'slow', canopy: 12, waterNeeds: 'medium',
+    sequestration: 0.02, cost: 3500,
+    nativeRange: ['himalaya'],
+  },
+  {
+    id: 'chinar',
+    name: 'Chinar',
+    scientificName: 'Platanus orientalis',
+    climateZones: ['montane'],
+    pm: 4, no2: 3, o3: 3, so2: 3,
+    growthRate: 'medium', canopy: 20, waterNeeds: 'high',
+    sequestration: 0.03, cost: 4500,
+    nativeRange: [],
+  },
+];
+
+/**
+ * A species by its name or id, ignoring case
+ * @param {string} nameOrId - e.g. "Neem" or "banj-oak"
+ * @returns {Object|null} TREE_SPECIES entry
+ */
+export function findSpecies(nameOrId) {
+  const key = String(nameOrId ?? '').trim().toLowerCase();
+  return TREE_SPECIES.find((species) => species.id === key || species.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Species-based defaults for the planting assumptions
+ * Sapling cost is the mix's mean and sequestration is per species; the user's overrides still win.
+ * @param {string[]} names - Species in the mix
+ * @returns {{costPerSapling?: number, speciesSequestration: Object}} Empty when no species is known
+ */
+export function speciesAssumptions(names = []) {
+  const known = names.map(findSpecies).filter(Boolean);
+  const speciesSequestration = {};
+  known.forEach((species) => {
+    speciesSequestration[species.name] = species.sequestration;
+  });
+  if (known.length === 0) return { speciesSequestration };
+  return {
+    costPerSapling: Math.round(known.reduce((sum, species) => sum + species.cost, 0) / known.length),
+    speciesSequestration,
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * Wind Analysis
+ * Compares stations upwind and downwind of the city centre to tell whether polluted air is
+ * blowing in or generated locally, and which side of the city a green belt would shield.
+ * Station values are US EPA AQIs; wind direction is where the wind blows from.
+ */
+
+import { summarizeStations } from './aggregate';
+import { COMPASS_POINTS, angleBetween, bearingDeg, compassPoint, distanceKm } from './geo';
+
+// Stations this close to the centre have no meaningful bearing
+const MIN_DISTANCE_KM = 1;
+
+export const WIND_ANALYSIS_DEFAULTS = {
+  maxDistanceKm: 50, // stations further out belong to other cities
+  sectorHalfWidth: 45, // degrees either side of the wind axis counted as up/downwind
+  calmSpeed: 1, // m/s below which the direction is unreliable
+  significantDifference: 10, // AQI points between upwind and downwind means before calling a source
+};
+
+/**
+ * Direction the wind blows towards, for drawing arrows
+ * @param {number} windDeg - Direction the wind blows from
+ * @returns {number} Degrees clockwise from north
+ */
+export function windHeading(windDeg) {
+  return (windDeg + 180) % 360;
+}
+
+/**
+ * Compare upwind and downwind stations around a city centre
+ * @param {Object} inputs
+ * @param {{lat: number, lon: number}} inputs.center - City centre
+ * @param {Array<{uid: *, lat: number, lon: number, aqi: *, station?: Object}>} inputs.stations - Map stations
+ * @param {number|null} inputs.windDeg - Direction the wind blows from
+ * @param {number|null} [inputs.windSpeed] - m/s
+ * @param {Object} [options] - Overrides for WIND_ANALYSIS_DEFAULTS
+ * @returns {{windFrom: number|null, calm: boolean, stationCount: number,
+ *   upwind: Object|null, downwind: Object|null, sectors: Array, worstSector: Object|null,
+ *   verdict: string, pollutedFrom: string|null, beltSide: string|null}}
+ *   `verdict` is "upwind" (polluted air blows in), "local" (the city adds to it), "even",
+ *   "calm" or "insufficient"; `upwind`/`downwind` are summarizeStations results
+ */
+export function analyzeWind({ center, stations, windDeg, windSpeed = null }, options = {}) {
+  const { maxDistanceKm, sectorHalfWidth, calmSpeed, significantDifference } = {
+    ...WIND_ANALYSIS_DEFAULTS,
+    ...options,
+  };
+
+  const entries = stations
+    .map((station) => ({
+      uid: station.uid,
+      name: station.station?.name || station.name || 'Station',
+      value: Number(station.aqi ?? NaN),
+      distance: distanceKm(center, station),
+      bearing: bearingDeg(center, station),
+    }))
+    .filter((entry) => Number.isFinite(entry.value))
+    .filter((entry) => entry.distance >= MIN_DISTANCE_KM && entry.distance <= maxDistanceKm);
+
+  const within = (bearing, halfWidth) => entries.filter((entry) => angleBetween(entry.bearing, bearing) <= halfWidth);
+
+  const sectors = COMPASS_POINTS.map((direction, index) => ({
+    direction,
+    bearing: index * 45,
+    summary: summarizeStations(within(index * 45, 22.5)),
+  }));
+  const worstSector = sectors
+    .filter((sector) => sector.summary)
+    .reduce((worst, sector) => (!worst || sector.summary.mean > worst.summary.mean ? sector : worst), null);
+
+  const calm = !Number.isFinite(windDeg) || (Number.isFinite(windSpeed) && windSpeed < calmSpeed);
+  const upwind = calm ? null : summarizeStations(within(windDeg, sectorHalfWidth));
+  const downwind = calm ? null : summarizeStations(within(windHeading(windDeg), sectorHalfWidth));
+
+  let verdict = 'insufficient';
+  if (calm) {
+    verdict = 'calm';
+  } else if (upwind && downwind) {
+    const difference = upwind.mean - downwind.mean;
+    if (difference >= significantDifference) verdict = 'upwind';
+    else if (difference <= -significantDifference) verdict = 'local';
+    else verdict = 'even';
+  }
+
+  // Without a clear wind signal the worst sector is the best guess for where pollution sits
+  let pollutedFrom = worstSector?.direction ?? null;
+  let beltSide = pollutedFrom;
+  if (verdict === 'upwind') {
+    pollutedFrom = compassPoint(windDeg);
+    beltSide = pollutedFrom;
+  } else if (verdict === 'local') {
+    pollutedFrom = null;
+    beltSide = compassPoint(windHeading(windDeg));
+  }
+
+  return {
+    windFrom: Number.isFinite(windDeg) ? windDeg : null,
+    calm,
+    stationCount: entries.length,
+    upwind,
+    downwind,
+    sectors,
+    worstSector,
+    verdict,
+    pollutedFrom,
+    beltSide,
+  };
+}
@@ -0,0 +1,44 @@
+-- AQI readings fetched by the dashboard, kept for historical trend charts.
+-- `aqi` and `sub_indices` are on the US EPA scale for every provider; the pollutant columns hold
+-- the provider's raw values.
+
+create table if not exists public.aqi_readings (
+  id bigint generated always as identity primary key,
+  city text not null,
+  station_uid text not null default '',
+  aqi integer,
+  dominant_pollutant text,
+  sub_indices jsonb not null default '{}'::jsonb,
+  pm25 numeric,
+  pm10 numeric,
+  co numeric,
+  no2 numeric,
+  so2 numeric,
+  o3 numeric,
+  temp numeric,
+  humidity numeric,
+  wind numeric,
+  timezone_offset integer not null default 0,
+  source text,
+  observed_at timestamptz not null,
+  created_by uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  -- The same measurement is fetched many times; keep one row per station and observation time
+  constraint aqi_readings_unique_observation unique (city, station_uid, observed_at)
+);
+
+create index if not exists aqi_readings_city_observed_at_idx
+  on public.aqi_readings (city, observed_at desc);
+
+alter table public.aqi_readings enable row level security;
+
+-- History is shared by the whole team: any signed-in user can read every city's readings
+create policy "Authenticated users can read readings"
+  on public.aqi_readings for select
+  to authenticated
+  using (true);
+
+create policy "Authenticated users can insert their own readings"
+  on public.aqi_readings for insert
+  to authenticated
+  with check (created_by = auth.uid());
@@ -0,0 +1,7 @@
+-- The pollutant columns hold each provider's raw values, which are US EPA sub-indices for some
+-- providers and concentrations in various units for others. Record what each value is:
+-- { "pm25": { "unit": "μg/m³", "kind": "concentration" }, "co": { "unit": "AQI", "kind": "index" } }
+-- Rows stored before this column existed keep '{}' (unknown units).
+
+alter table public.aqi_readings
+  add column if not exists pollutant_units jsonb not null default '{}'::jsonb;